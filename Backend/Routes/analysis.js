@@ -1,12 +1,20 @@
 import express from "express";
-import { analyzeVoice, analyzeFacial, analyzeText, computeTruthScore, analyzeAll } from "../controllers/analysis.js";
+import { analyzeVoice, analyzeFacial, analyzeFacialVideo, analyzeText, computeTruthScore, analyzeAll, analyzeAllUpload, listEngines } from "../controllers/analysis.js";
+import { createAnalysisJob, getAnalysisJob, streamAnalysisJob } from "../controllers/analysis_jobs.js";
+import { receiveAnalysisMedia } from "../controllers/media_upload.js";
 
 const router = express.Router();
 
+router.get("/engines", listEngines);
 router.post("/voice", analyzeVoice);
 router.post("/facial", analyzeFacial);
+router.post("/facial/video", receiveAnalysisMedia, analyzeFacialVideo);
 router.post("/text", analyzeText);
 router.post("/truth", computeTruthScore);
 router.post("/all", analyzeAll);
+router.post("/all/upload", receiveAnalysisMedia, analyzeAllUpload);
+router.post("/jobs", receiveAnalysisMedia, createAnalysisJob);
+router.get("/jobs/:id", getAnalysisJob);
+router.get("/jobs/:id/events", streamAnalysisJob);
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,19 @@
+import express from "express";
+import {
+  listScoringProfiles,
+  getScoringProfile,
+  createScoringProfile,
+  updateScoringProfile,
+  deleteScoringProfile,
+} from "../controllers/scoring_profiles.js";
+import { requireAdmin } from "../middlewares/admin.js";
+
+const router = express.Router();
+
+router.get("/", listScoringProfiles);
+router.get("/:name", getScoringProfile);
+router.post("/", requireAdmin, createScoringProfile);
+router.put("/:name", requireAdmin, updateScoringProfile);
+router.delete("/:name", requireAdmin, deleteScoringProfile);
+
+export default router;
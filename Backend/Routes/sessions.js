@@ -1,5 +1,18 @@
 import express from "express";
-import { createSession, listSessions, getSession, exportSessionPdf } from "../controllers/sessions.js";
+import {
+  createSession,
+  listSessions,
+  getSession,
+  exportSessionPdf,
+  createSegments,
+  listSegments,
+  reanalyzeSegments,
+  calibrateSession,
+  analyzeSessionVideo,
+  setGroundTruth,
+} from "../controllers/sessions.js";
+import { receiveAnalysisMedia } from "../controllers/media_upload.js";
+import { requireAdmin } from "../middlewares/admin.js";
 
 const router = express.Router();
 
@@ -7,5 +20,11 @@ router.post("/", createSession);
 router.get("/", listSessions);
 router.get("/:idOrShare", getSession);
 router.post("/:id/export", exportSessionPdf);
+router.post("/:id/segments", receiveAnalysisMedia, createSegments);
+router.get("/:id/segments", listSegments);
+router.post("/:id/segments/analyze", receiveAnalysisMedia, reanalyzeSegments);
+router.post("/:id/calibration", calibrateSession);
+router.post("/:id/facial", analyzeSessionVideo);
+router.put("/:id/ground-truth", requireAdmin, setGroundTruth);
 
 export default router; 
\ No newline at end of file
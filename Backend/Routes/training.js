@@ -0,0 +1,14 @@
+import express from "express";
+import {
+  exportTrainingData,
+  listTrainedModels,
+} from "../controllers/fusion_training.js";
+import { requireAdmin } from "../middlewares/admin.js";
+
+const router = express.Router();
+
+router.use(requireAdmin);
+router.get("/features", exportTrainingData);
+router.get("/models", listTrainedModels);
+
+export default router;
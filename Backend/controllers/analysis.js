@@ -1,73 +1,70 @@
-import { RealMLAnalyzer } from "./real_ml.js";
-import natural from 'natural';
-import sentiment from 'sentiment';
-import { Matrix } from 'ml-matrix';
-
-// Initialize sentiment analyzer
-const sentimentAnalyzer = new sentiment();
+import { SUPPORTED_AUDIO_FORMATS } from "./audio_decoder.js";
+import { scoreDeviation } from "./calibration.js";
+import { sliceFacialStream } from "./facial_stream.js";
+import { detectBlinks } from "./blink.js";
+import { referenceDescriptor } from "./identity.js";
+import { VideoDecoderUnavailableError, VideoDecodeError } from "./video_frames.js";
+import { trackVideoFaces } from "./video_faces.js";
+import {
+  uploadedAnalysisInputs,
+  jsonAnalysisInputs,
+  UploadRejectedError,
+  MediaUrlRejectedError,
+  InvalidMediaError,
+  trustedMediaUrl
+} from "./media_upload.js";
+import {
+  runAnalyzer,
+  runAnalyzerRanges,
+  getAnalyzer,
+  missingInputs,
+  validateInputs,
+  listAnalyzers,
+  parseEngineSelection,
+  UnknownEngineError,
+  MissingInputError,
+  InvalidInputError,
+  AnalyzerOutputError
+} from "./analyzers.js";
+import { DEFAULT_SCORING_PROFILE, requestedScoringProfile, ScoringProfileError } from "./scoring_profiles.js";
+import { explainFusion, topFactors as strongestFactors } from "./truth_explanation.js";
+import { explainModelScore, featureVector, predictProbabilities } from "./fusion_model.js";
+import { assessUncertainty, confidenceThreshold } from "./uncertainty.js";
 
 // Helper function to clamp scores between 0 and 100
 const clampScore = (score) => Math.max(0, Math.min(100, Math.round(score)));
 
-// Helper function to generate deterministic values based on input
-const generateDeterministicValue = (input, base = 0.5) => {
-  if (!input) return base;
-  let hash = 0;
-  for (let i = 0; i < input.length; i++) {
-    const char = input.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  return Math.abs(hash) / 2147483647; // Normalize to 0-1
-};
-
-// Voice analysis helper function (no Express res object)
-const mlAnalyzer = new RealMLAnalyzer();
-
-const analyzeVoiceHelper = async (audioData, transcript) => {
+// Voice analysis helper function (no Express res object). engine selects a
+// registered voice analyzer; the default when omitted.
+const analyzeVoiceHelper = async (audioData, transcript, options = {}, engine) => {
   try {
-    if (!audioData && !transcript) {
-      throw new Error('Audio data or transcript required');
-    }
-
-    // Generate deterministic values based on input
-    const inputHash = generateDeterministicValue(transcript || audioData);
-    
-    // Simulate voice analysis features (kept for determinism if needed)
-    const pitchScore = clampScore(50 + (inputHash * 40 - 20));
-    const toneScore = clampScore(60 + (inputHash * 30 - 15));
-    const emotionalScore = clampScore(45 + (inputHash * 50 - 25));
-    const stressScore = clampScore(30 + (inputHash * 40 - 20));
-    const confidence = clampScore(70 + (inputHash * 20 - 10));
-
-    // Use real analyzer
-    return await mlAnalyzer.analyzeAudio(audioData);
+    return await runAnalyzer('voice', engine, {
+      audioData,
+      transcript,
+      pitchOptions: options.pitch,
+      questionMarks: options.questionMarks
+    });
   } catch (error) {
     console.error('Voice analysis error:', error);
     throw error;
   }
 };
 
-// Facial analysis helper function (no Express res object)
-const analyzeFacialHelper = async (videoData, imageData) => {
-  try {
-    // If no inputs provided, return default facial analysis from real analyzer
-    if (!videoData && !imageData) {
-      return await mlAnalyzer.analyzeVideo(null);
-    }
+// Facial analysis of a recording on disk or at a URL: frames are decoded and
+// faces tracked on the server. Returns the landmark stream with the result so
+// callers can reuse it, e.g. for per-question slices.
+export const analyzeVideoSourceHelper = async (source, options = {}, engine) => {
+  const facialStream = await trackVideoFaces(source, options.video);
+  const facial = await runAnalyzer('facial', engine, { facialStream }, options);
+  return { facialStream, facial };
+};
 
-    // Generate deterministic values based on input
-    const inputHash = generateDeterministicValue(videoData || imageData);
-    
-    // Simulate facial analysis features (kept for determinism if needed)
-    const microExpressions = inputHash > 0.7 ? 'High' : inputHash > 0.4 ? 'Medium' : 'Low';
-    const eyeMovement = inputHash > 0.6 ? 'Frequent' : inputHash > 0.3 ? 'Moderate' : 'Stable';
-    const headPoseStability = clampScore(80 + (inputHash * 20 - 10));
-    const gazeStability = clampScore(75 + (inputHash * 25 - 12));
-    const confidence = clampScore(65 + (inputHash * 30 - 15));
-
-    // Use real analyzer (video preferred, fallback to image data)
-    return await mlAnalyzer.analyzeVideo(videoData || imageData);
+// Facial analysis helper function (no Express res object). The landmark
+// stream takes precedence; recorded video is decoded and tracked on the
+// server, with options.video ({ fps, width }) controlling frame sampling.
+const analyzeFacialHelper = async (videoData, facialStream, options = {}, engine) => {
+  try {
+    return await runAnalyzer('facial', engine, { videoData, facialStream }, options);
   } catch (error) {
     console.error('Facial analysis error:', error);
     throw error;
@@ -75,130 +72,330 @@ const analyzeFacialHelper = async (videoData, imageData) => {
 };
 
 // Text analysis helper function (no Express res object)
-const analyzeTextHelper = async (text) => {
+const analyzeTextHelper = async (text, engine) => {
   try {
-    if (!text || text.trim().length === 0) {
-      throw new Error('Text content required');
-    }
-
-    // Sentiment analysis
-    const sentimentResult = sentimentAnalyzer.analyze(text);
-    const sentimentScore = clampScore(50 + (sentimentResult.score * 20));
-    
-    // Text complexity analysis
-    const words = text.toLowerCase().split(/\s+/);
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const avgWordsPerSentence = words.length / sentences.length;
-    const complexityScore = clampScore(Math.min(avgWordsPerSentence * 8, 100));
-    
-    // Consistency analysis
-    const uniqueWords = new Set(words);
-    const vocabularyDiversity = clampScore((uniqueWords.size / words.length) * 100);
-    const consistencyScore = clampScore(100 - (vocabularyDiversity * 0.3));
-    
-    // Deception indicators
-    const deceptionWords = ['actually', 'basically', 'honestly', 'literally', 'obviously'];
-    const deceptionCount = words.filter(word => deceptionWords.includes(word)).length;
-    const deceptionScore = clampScore(100 - (deceptionCount * 15));
-    
-    // Contradiction analysis
-    const contradictionWords = ['but', 'however', 'although', 'despite', 'nevertheless'];
-    const contradictionCount = words.filter(word => contradictionWords.includes(word)).length;
-    const contradictionScore = clampScore(100 - (contradictionCount * 10));
-    
-    // Confidence indicators
-    const confidenceWords = ['definitely', 'certainly', 'absolutely', 'surely'];
-    const confidenceCount = words.filter(word => confidenceWords.includes(word)).length;
-    const confidence = clampScore(60 + (confidenceCount * 8));
-    
-    // Use real analyzer
-    return await mlAnalyzer.analyzeText(text);
+    return await runAnalyzer('text', engine, { transcript: text });
   } catch (error) {
     console.error('Text analysis error:', error);
     throw error;
   }
 };
 
-// Truth score computation helper function (no Express res object)
-const computeTruthScoreHelper = (voiceResult, facialResult, textResult, transcript) => {
+// Interpretation text for a truthfulness score from the scoring profile's
+// thresholds, or an inconclusive note when confidence is below the
+// profile's threshold (limits: what held it back); states whether the score
+// was measured against the subject's own baseline or fixed thresholds
+export const interpretTruthScore = (
+  truthfulness,
+  baseline,
+  profile = DEFAULT_SCORING_PROFILE,
+  { confidence, limits = [] } = {}
+) => {
+  const threshold = confidenceThreshold(profile);
+  let interpretation;
+  if (confidence != null && confidence < threshold) {
+    const reasons = limits.length ? ` (${limits.join('; ')})` : '';
+    interpretation = `Inconclusive: confidence ${confidence}% is below the ${threshold}% needed for a verdict${reasons}.`;
+  } else {
+    const bands = [...profile.thresholds].sort((a, b) => b.min - a.min);
+    ({ interpretation } = bands.find(band => truthfulness >= band.min) || bands[bands.length - 1]);
+  }
+
+  const calibrationNote = baseline
+    ? ` Calibrated: scored as deviation from the subject's baseline over ${baseline.samples} control answer(s).`
+    : ' Not calibrated: scored against fixed population thresholds.';
+  return interpretation + calibrationNote;
+};
+
+// Modality score from a scoring profile's sub-score terms: the weighted mean
+// of the result fields present, null when none are
+const subScore = (terms, result) => {
+  const available = terms.filter(term => term.weight > 0 && Number.isFinite(result[term.field]));
+  const weight = available.reduce((sum, term) => sum + term.weight, 0);
+  if (!weight) return null;
+  return available.reduce(
+    (sum, { field, weight: termWeight, invert }) => sum + (invert ? 100 - result[field] : result[field]) * termWeight,
+    0
+  ) / weight;
+};
+
+// Truth score computation helper function (no Express res object).
+// profile (see scoring_profiles.js) sets each modality's weight, the result
+// fields its score is made of and the interpretation thresholds.
+// With a calibration baseline each modality is scored by how far it deviates
+// from the subject's control answers instead of by its absolute values.
+// Withheld facial results (poor capture quality) carry no scores and are
+// left out; degraded ones count for less. Confidence comes from input
+// quality, modality agreement and coverage (see uncertainty.js); below the
+// profile's threshold the outcome is 'inconclusive'. breakdown and
+// topFactors explain the score feature by feature (see truth_explanation.js).
+// A profile with a trained fusion model (see fusion_model.js) takes the
+// score from the model instead; the model has no notion of a baseline, so
+// such scores are never calibrated.
+export const computeTruthScoreHelper = (
+  voiceResult,
+  rawFacialResult,
+  textResult,
+  transcript,
+  baseline = null,
+  profile = DEFAULT_SCORING_PROFILE
+) => {
   try {
+    const facialResult = rawFacialResult?.withheld ? null : rawFacialResult;
+    const results = { voice: voiceResult, facial: facialResult, text: textResult };
     if (!voiceResult && !facialResult && !textResult) {
       throw new Error('At least one analysis result required');
     }
 
-    // Weighted combination of different analysis results
-    let totalScore = 0;
-    let totalWeight = 0;
-    let confidenceSum = 0;
-    let confidenceCount = 0;
-
-    if (voiceResult) {
-      const voiceWeight = 0.3;
-      const voiceScore = (voiceResult.emotionalScore + voiceResult.stressScore) / 2;
-      totalScore += voiceScore * voiceWeight;
-      totalWeight += voiceWeight;
-      confidenceSum += voiceResult.confidence;
-      confidenceCount++;
-    }
+    const model = profile.fusionModel || null;
+    const deviations = baseline && !model
+      ? {
+          voice: scoreDeviation('voice', voiceResult, baseline.voice),
+          facial: scoreDeviation('facial', facialResult, baseline.facial),
+          text: scoreDeviation('text', textResult, baseline.text)
+        }
+      : {};
 
-    if (facialResult) {
-      const facialWeight = 0.3;
-      const facialScore = (facialResult.headPoseStability + facialResult.gazeStability) / 2;
-      totalScore += facialScore * facialWeight;
-      totalWeight += facialWeight;
-      confidenceSum += facialResult.confidence;
-      confidenceCount++;
+    // Weighted combination of the modalities the profile weighs and can
+    // score; a degraded face counts for less
+    const scored = Object.entries(results)
+      .filter(([name, result]) => result && profile.weights[name] > 0)
+      .map(([name, result]) => ({
+        name,
+        result,
+        score: deviations[name] ? deviations[name].score : subScore(profile.subScores[name], result),
+        weight: profile.weights[name] * (name === 'facial' ? result.quality?.confidenceFactor ?? 1 : 1),
+        terms: profile.subScores[name],
+        deviation: deviations[name] || null
+      }))
+      .filter(({ score }) => score != null);
+    if (!scored.length) {
+      throw new Error(`No analysis result that scoring profile "${profile.name}" can score`);
     }
 
-    if (textResult) {
-      const textWeight = 0.4;
-      const textScore = (textResult.sentimentScore + textResult.consistencyScore + textResult.deceptionScore) / 3;
-      totalScore += textScore * textWeight;
-      totalWeight += textWeight;
-      confidenceSum += textResult.confidence;
-      confidenceCount++;
-    }
+    const totalScore = scored.reduce((sum, { score, weight }) => sum + score * weight, 0);
+    const totalWeight = scored.reduce((sum, { weight }) => sum + weight, 0);
 
-    const truthfulness = clampScore(totalScore / totalWeight);
-    const confidence = clampScore(confidenceSum / confidenceCount);
+    // Fewer modalities, less evidence: confidence falls with the nominal
+    // weight of the ones that are missing
+    const modalitiesUsed = scored.map(({ name }) => name);
+    const nominalWeight = Object.values(profile.weights).reduce((sum, weight) => sum + weight, 0);
+    const coverage = modalitiesUsed.reduce((sum, name) => sum + profile.weights[name], 0) / nominalWeight;
 
-    let interpretation;
-    if (truthfulness >= 80) {
-      interpretation = 'High truthfulness indicators detected. Strong consistency across multiple analysis modalities.';
-    } else if (truthfulness >= 60) {
-      interpretation = 'Moderate truthfulness indicators. Some inconsistencies detected but overall credible.';
-    } else if (truthfulness >= 40) {
-      interpretation = 'Mixed signals detected. Some deception indicators present.';
+    // The model sees only the modalities the profile weighs
+    const vector = model
+      && featureVector(Object.fromEntries(scored.map(({ name, result }) => [name, result])));
+    const truthfulness = clampScore(
+      model ? 100 * predictProbabilities(model, [vector])[0] : totalScore / totalWeight
+    );
+    const { confidence, conclusive, uncertainty } = assessUncertainty(scored, coverage, transcript, profile);
+
+    const calibrated = Object.values(deviations).some(Boolean);
+    const interpretation = interpretTruthScore(truthfulness, calibrated ? baseline : null, profile, {
+      confidence,
+      limits: uncertainty.limits
+    });
+    let breakdown, topFactors;
+    if (model) {
+      breakdown = explainModelScore(
+        model,
+        vector,
+        Object.fromEntries(scored.map(({ name, score }) => [name, score]))
+      );
+      topFactors = strongestFactors(breakdown);
     } else {
-      interpretation = 'Low truthfulness indicators. Multiple deception signals detected.';
+      ({ breakdown, topFactors } = explainFusion(scored));
     }
 
-    return { truthfulness, confidence, interpretation };
+    return {
+      truthfulness,
+      confidence,
+      outcome: conclusive ? 'conclusive' : 'inconclusive',
+      uncertainty,
+      interpretation,
+      calibrated,
+      modalitiesUsed,
+      coverage: Math.round(coverage * 100) / 100,
+      profile: { name: profile.name, revision: profile.revision, ...(model && { model: model.name }) },
+      breakdown,
+      topFactors,
+      ...(calibrated && {
+        deviations: Object.fromEntries(
+          Object.entries(deviations).filter(([, deviation]) => deviation)
+        )
+      })
+    };
   } catch (error) {
     console.error('Truth score computation error:', error);
     throw error;
   }
 };
 
+// Per-question analysis: voice from each answer's slice of the recording,
+// facial from the landmark frames inside the answer, text from the answer
+// transcript, truth fused from whatever is available.
+// segments: [{ answerStart, answerEnd, transcript }]; engines: engine name
+// per modality, as from parseEngineSelection; profile: scoring profile of
+// the truth scores
+export const analyzeSegmentsHelper = async (
+  segments,
+  audioData,
+  facialStream,
+  engines = {},
+  profile = DEFAULT_SCORING_PROFILE
+) => {
+  const voiceResults = audioData
+    ? await runAnalyzerRanges(
+        'voice',
+        engines.voice,
+        { audioData },
+        segments.map(s => ({ start: s.answerStart, end: s.answerEnd, transcript: s.transcript }))
+      )
+    : segments.map(() => null);
+
+  // Answers are short, so blink deviation is measured against the rate over
+  // the whole recording's opening baseline window (or the whole recording),
+  // and identity against the face from the recording's opening frames
+  let facialOptions = {};
+  if (facialStream?.frames?.length) {
+    const overall = detectBlinks(facialStream);
+    const reference = referenceDescriptor(facialStream);
+    facialOptions = {
+      blink: { baselineRate: overall.baselineRate ?? overall.ratePerMinute },
+      ...(reference && { identity: { reference } })
+    };
+  }
+
+  const results = [];
+  for (let i = 0; i < segments.length; i++) {
+    const { answerStart, answerEnd, transcript } = segments[i];
+    const voice = voiceResults[i];
+    const frames = facialStream ? sliceFacialStream(facialStream, answerStart, answerEnd) : null;
+    const facial = frames?.frames.length ? await analyzeFacialHelper(null, frames, facialOptions, engines.facial) : null;
+    const text = transcript && transcript.trim() ? await analyzeTextHelper(transcript, engines.text) : null;
+    const truth = voice || (facial && !facial.withheld) || text
+      ? computeTruthScoreHelper(voice, facial, text, transcript, null, profile)
+      : null;
+    results.push({ voice, facial, text, truth });
+  }
+  return results;
+};
+
+// Structured 415 body for audio the decoder cannot read
+const unsupportedAudioBody = (error) => ({
+  error: 'Unsupported audio format',
+  details: error.message,
+  format: error.format,
+  supportedFormats: SUPPORTED_AUDIO_FORMATS
+});
+
+const sendUnsupportedAudio = (res, error) => {
+  res.status(415).json(unsupportedAudioBody(error));
+};
+
+// 400 for JSON media that are not base64 strings
+const invalidMediaBody = (error) => ({ error: 'Invalid media data', details: error.message });
+
+const isVideoError = (error) => error instanceof VideoDecoderUnavailableError || error instanceof VideoDecodeError;
+
+// 501 when no decoder is installed, 422 when the video could not be decoded
+const videoErrorBody = (error) => ({
+  error: error.statusCode === 501 ? 'Video decoding unavailable' : 'Video decoding failed',
+  details: error.message
+});
+
+const sendVideoError = (res, error) => {
+  res.status(error.statusCode).json(videoErrorBody(error));
+};
+
+const isEngineError = (error) =>
+  error instanceof UnknownEngineError
+  || error instanceof MissingInputError
+  || error instanceof InvalidInputError
+  || error instanceof AnalyzerOutputError;
+
+// 400 for an unknown ?engine=, inputs the engine needs or malformed ones,
+// 500 when an engine's result breaks its declared output schema
+const ENGINE_ERRORS = {
+  UnknownEngineError: 'Unknown analysis engine',
+  MissingInputError: 'Missing analysis input',
+  InvalidInputError: 'Invalid analysis input',
+  AnalyzerOutputError: 'Invalid analyzer output'
+};
+
+const engineErrorBody = (error) => ({
+  error: ENGINE_ERRORS[error.name],
+  details: error.message,
+  ...(error instanceof UnknownEngineError && {
+    engines: listAnalyzers().map(({ modality, name, version }) => `${modality}:${name}@${version}`)
+  })
+});
+
+const sendEngineError = (res, error) => {
+  res.status(error.statusCode).json(engineErrorBody(error));
+};
+
+// 404 for a ?profile= that does not exist
+const profileErrorBody = (error) => ({
+  error: error.statusCode === 503 ? 'Scoring profile unavailable' : 'Unknown scoring profile',
+  details: error.message
+});
+
 // Express route handlers
 export const analyzeVoice = async (req, res) => {
   try {
-    const { audioData, transcript } = req.body;
-    const result = await analyzeVoiceHelper(audioData, transcript);
+    const { audioData, transcript, pitchOptions, questionMarks } = jsonAnalysisInputs(req.body);
+    const { voice: engine } = parseEngineSelection(req.query.engine);
+    const result = await analyzeVoiceHelper(audioData, transcript, { pitch: pitchOptions, questionMarks }, engine);
     res.json(result);
   } catch (error) {
     console.error('Voice analysis error:', error);
+    if (isEngineError(error)) return sendEngineError(res, error);
+    if (error instanceof InvalidMediaError) return res.status(400).json(invalidMediaBody(error));
+    if (error.statusCode === 415) return sendUnsupportedAudio(res, error);
     res.status(500).json({ error: 'Voice analysis failed' });
   }
 };
 
 export const analyzeFacial = async (req, res) => {
   try {
-    const { videoData, imageData } = req.body;
-    const result = await analyzeFacialHelper(videoData, imageData);
+    const { videoData, facialStream, facialOptions } = jsonAnalysisInputs(req.body);
+    const { facial: engine } = parseEngineSelection(req.query.engine);
+    const result = await analyzeFacialHelper(videoData, facialStream, facialOptions, engine);
     res.json(result);
   } catch (error) {
     console.error('Facial analysis error:', error);
+    if (isEngineError(error)) return sendEngineError(res, error);
+    if (error instanceof InvalidMediaError) return res.status(400).json(invalidMediaBody(error));
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: 'Invalid facial stream', details: error.message });
+    }
+    if (isVideoError(error)) return sendVideoError(res, error);
+    res.status(500).json({ error: 'Facial analysis failed' });
+  }
+};
+
+// Facial analysis of a recording decoded on the server: a multipart upload
+// (field "video", streamed to a temporary file by receiveAnalysisMedia) or a
+// videoUrl of the app's Cloudinary uploads (see trustedMediaUrl)
+export const analyzeFacialVideo = async (req, res) => {
+  const upload = req.files?.video?.[0]?.path;
+  try {
+    const { videoUrl, fps, width } = req.body;
+    if (!upload && !videoUrl) {
+      return res.status(400).json({ error: 'No video provided', details: 'Upload a "video" file or pass videoUrl' });
+    }
+    const source = upload || trustedMediaUrl(videoUrl);
+    const { facial: engine } = parseEngineSelection(req.query.engine);
+    const { facial } = await analyzeVideoSourceHelper(source, { video: { fps, width } }, engine);
+    res.json(facial);
+  } catch (error) {
+    console.error('Facial video analysis error:', error);
+    if (error instanceof MediaUrlRejectedError) {
+      return res.status(400).json({ error: 'Video URL rejected', details: error.message });
+    }
+    if (isEngineError(error)) return sendEngineError(res, error);
+    if (isVideoError(error)) return sendVideoError(res, error);
     res.status(500).json({ error: 'Facial analysis failed' });
   }
 };
@@ -206,48 +403,180 @@ export const analyzeFacial = async (req, res) => {
 export const analyzeText = async (req, res) => {
   try {
     const { text } = req.body;
-    const result = await analyzeTextHelper(text);
+    const { text: engine } = parseEngineSelection(req.query.engine);
+    const result = await analyzeTextHelper(text, engine);
     res.json(result);
   } catch (error) {
     console.error('Text analysis error:', error);
+    if (isEngineError(error)) return sendEngineError(res, error);
     res.status(500).json({ error: 'Text analysis failed' });
   }
 };
 
 export const computeTruthScore = async (req, res) => {
   try {
-    const { voice, facial, text, transcript } = req.body;
-    const result = computeTruthScoreHelper(voice, facial, text, transcript);
+    const { voice, facial, text, transcript, baseline } = req.body;
+    const profile = await requestedScoringProfile(req);
+    const result = computeTruthScoreHelper(voice, facial, text, transcript, baseline, profile);
     res.json(result);
   } catch (error) {
     console.error('Truth score computation error:', error);
+    if (error instanceof ScoringProfileError) return res.status(error.statusCode).json(profileErrorBody(error));
     res.status(500).json({ error: 'Truth score computation failed' });
   }
 };
 
-// Combined analysis function
-export const analyzeAll = async (req, res) => {
-  try {
-    const { audioData, videoData, imageData, transcript } = req.body;
+// Stages of a combined analysis: voice, facial and text run concurrently,
+// truth once they have finished
+export const ANALYSIS_STAGES = ['voice', 'facial', 'text', 'truth'];
 
-    // Run all analyses using helper functions
-    const voiceResult = await analyzeVoiceHelper(audioData, transcript);
-    const facialResult = await analyzeFacialHelper(videoData, imageData);
-    const textResult = await analyzeTextHelper(transcript || 'No transcript provided');
+// Modality inputs left out of a combined analysis report status 'skipped'
+const skip = (reason) => ({ status: 'skipped', reason });
 
-    // Compute truth score
-    const truthResult = computeTruthScoreHelper(voiceResult, facialResult, textResult, transcript);
+// Combined analysis of all modalities. Media are base64 strings or Buffers
+// (JSON body) or uploaded files ({ path }, multipart body). Voice, facial and
+// text run concurrently and independently: each reports a status in
+// modalities ('ok', 'skipped' when its engine's required inputs are missing,
+// or 'failed' with its reason), and the truth score fuses only those that
+// succeeded. Throws only when no modality succeeded and one failed.
+// engines picks a registered engine per modality (parseEngineSelection) and
+// profile the scoring profile of the truth score. onStage(stage, status,
+// result) is called as each stage starts ('running') and ends ('done' with
+// its result, 'skipped' or 'failed').
+export const analyzeAllHelper = async (
+  { audioData, videoData, facialStream, facialOptions, transcript, pitchOptions, questionMarks, baseline },
+  { onStage = () => {}, engines = {}, profile = DEFAULT_SCORING_PROFILE } = {}
+) => {
+  const stage = async (name, run) => {
+    onStage(name, 'running');
+    try {
+      const outcome = await run();
+      if (outcome.status) {
+        onStage(name, 'skipped');
+        return outcome;
+      }
+      onStage(name, 'done', outcome.result);
+      return { status: 'ok', ...outcome };
+    } catch (error) {
+      onStage(name, 'failed');
+      return { status: 'failed', reason: error.message, error };
+    }
+  };
 
-    const results = {
-      voice: voiceResult,
-      facial: facialResult,
-      text: textResult,
-      truth: truthResult
-    };
+  const unavailable = (modality, inputs) => missingInputs(getAnalyzer(modality, engines[modality]), inputs);
+  // Malformed options reject the whole request instead of failing a stage
+  validateInputs('voice', engines.voice, { pitchOptions });
+
+  // A calibrated blink rate overrides the stream's own opening window
+  const calibratedBlinkRate = baseline?.facial?.blinkRate?.mean;
+  const [voice, facial, text] = await Promise.all([
+    stage('voice', async () => {
+      const missing = unavailable('voice', { audioData, transcript });
+      if (missing) return skip(missing);
+      const options = { pitch: pitchOptions, questionMarks };
+      return { result: await analyzeVoiceHelper(audioData, transcript, options, engines.voice) };
+    }),
+    stage('facial', async () => {
+      const missing = unavailable('facial', { videoData, facialStream });
+      if (missing) return skip(missing);
+      const result = await analyzeFacialHelper(videoData, facialStream, {
+        ...facialOptions,
+        blink: calibratedBlinkRate != null
+          ? { ...facialOptions?.blink, baselineRate: calibratedBlinkRate }
+          : facialOptions?.blink
+      }, engines.facial);
+      // Withheld for capture quality: returned, but not part of the truth score
+      return result.withheld ? { ...skip(result.interpretation), result } : { result };
+    }),
+    stage('text', async () => {
+      const missing = unavailable('text', { transcript });
+      if (missing) return skip(missing);
+      return { result: await analyzeTextHelper(transcript, engines.text) };
+    })
+  ]);
+
+  const outcomes = { voice, facial, text };
+  const modalities = Object.fromEntries(
+    Object.entries(outcomes).map(([name, { status, reason }]) => [name, reason ? { status, reason } : { status }])
+  );
+  const succeeded = Object.values(outcomes).some(outcome => outcome.status === 'ok');
+  const failure = Object.values(outcomes).find(outcome => outcome.status === 'failed');
+  if (!succeeded && failure) throw failure.error;
 
-    res.json(results);
+  let truthResult = null;
+  if (succeeded) {
+    const truth = await stage('truth', async () => ({
+      result: computeTruthScoreHelper(
+        voice.status === 'ok' ? voice.result : null,
+        facial.status === 'ok' ? facial.result : null,
+        text.status === 'ok' ? text.result : null,
+        transcript,
+        baseline,
+        profile
+      )
+    }));
+    truthResult = truth.result || null;
+  } else {
+    onStage('truth', 'skipped');
+  }
+
+  return {
+    voice: voice.result || null,
+    facial: facial.result || null,
+    text: text.result || null,
+    truth: truthResult,
+    modalities
+  };
+};
+
+// Status code and JSON body for an error from analyzeAllHelper or from
+// reading its inputs or scoring profile
+export const combinedErrorResponse = (error) => {
+  if (error instanceof UploadRejectedError) {
+    return { statusCode: error.statusCode, body: { error: 'Upload rejected', details: error.message } };
+  }
+  if (isEngineError(error)) return { statusCode: error.statusCode, body: engineErrorBody(error) };
+  if (error instanceof ScoringProfileError) return { statusCode: error.statusCode, body: profileErrorBody(error) };
+  if (error instanceof InvalidMediaError) return { statusCode: 400, body: invalidMediaBody(error) };
+  if (error.statusCode === 415) return { statusCode: 415, body: unsupportedAudioBody(error) };
+  if (error.statusCode === 400) {
+    return { statusCode: 400, body: { error: 'Invalid facial stream', details: error.message } };
+  }
+  if (isVideoError(error)) return { statusCode: error.statusCode, body: videoErrorBody(error) };
+  return { statusCode: 500, body: { error: 'Combined analysis failed' } };
+};
+
+const sendCombinedError = (res, error) => {
+  console.error('Combined analysis error:', error);
+  const { statusCode, body } = combinedErrorResponse(error);
+  res.status(statusCode).json(body);
+};
+
+// Combined analysis function
+export const analyzeAll = async (req, res) => {
+  try {
+    const engines = parseEngineSelection(req.query.engine);
+    const profile = await requestedScoringProfile(req);
+    res.json(await analyzeAllHelper(jsonAnalysisInputs(req.body), { engines, profile }));
+  } catch (error) {
+    sendCombinedError(res, error);
+  }
+};
+
+// Combined analysis of a multipart/form-data upload: audio, video and screen
+// files plus an optional facialStream JSON file, streamed to temporary files
+// by receiveAnalysisMedia; the other fields as in the JSON body
+export const analyzeAllUpload = async (req, res) => {
+  try {
+    const engines = parseEngineSelection(req.query.engine);
+    const profile = await requestedScoringProfile(req);
+    res.json(await analyzeAllHelper(await uploadedAnalysisInputs(req), { engines, profile }));
   } catch (error) {
-    console.error('Combined analysis error:', error);
-    res.status(500).json({ error: 'Combined analysis failed' });
+    sendCombinedError(res, error);
   }
 };
+
+// Registered analysis engines with their versions, inputs and output schemas
+export const listEngines = (req, res) => {
+  res.json({ engines: listAnalyzers() });
+};
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { analyzeAllHelper, combinedErrorResponse, ANALYSIS_STAGES } from './analysis.js';
+import { parseEngineSelection, validateInputs } from './analyzers.js';
+import { requestedScoringProfile } from './scoring_profiles.js';
+import { uploadedAnalysisInputs, jsonAnalysisInputs, claimUploads } from './media_upload.js';
+
+export const DEFAULT_JOB_OPTIONS = {
+  concurrency: Number(process.env.ANALYSIS_WORKERS) || 1, // jobs analyzed at the same time
+  maxQueued: Number(process.env.ANALYSIS_MAX_QUEUED) || 20, // jobs waiting for a worker; more are refused
+  retention: 60 * 60 * 1000, // ms a finished job stays queryable
+  heartbeat: 15 * 1000 // ms between SSE keep-alive comments
+};
+
+// 503 while maxQueued jobs are already waiting: each one holds its inputs
+// (JSON bodies in memory) until a worker takes it
+export class JobQueueFullError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobQueueFullError';
+    this.statusCode = 503;
+  }
+}
+
+// Share of the progress bar each stage accounts for when it finishes
+const STAGE_WEIGHTS = { voice: 40, facial: 35, text: 15, truth: 10 };
+const FINISHED_STAGES = ['done', 'skipped', 'failed'];
+
+const jobs = new Map();
+const queue = [];
+const events = new EventEmitter();
+events.setMaxListeners(0);
+let running = 0;
+
+// Public view of a job: no inputs, stages in run order
+const jobView = (job) => ({
+  id: job.id,
+  status: job.status,
+  progress: job.progress,
+  stage: job.stage,
+  stages: job.stages,
+  results: job.results,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+const update = (job, changes) => {
+  Object.assign(job, changes);
+  events.emit(job.id, jobView(job));
+};
+
+// Stages run concurrently; job.stage is the first one still running
+const onStage = (job) => (stage, status, result) => {
+  const stages = { ...job.stages, [stage]: status };
+  const results = status === 'done' ? { ...job.results, [stage]: result } : job.results;
+  const progress = Object.entries(stages)
+    .filter(([, value]) => FINISHED_STAGES.includes(value))
+    .reduce((sum, [name]) => sum + STAGE_WEIGHTS[name], 0);
+  const current = ANALYSIS_STAGES.find(name => stages[name] === 'running') || null;
+  update(job, { stages, results, progress, stage: current });
+};
+
+const runJob = async (job) => {
+  update(job, { status: 'running', startedAt: new Date() });
+  try {
+    const results = await analyzeAllHelper(job.inputs, { onStage: onStage(job), engines: job.engines, profile: job.profile });
+    update(job, { status: 'completed', progress: 100, stage: null, results, finishedAt: new Date() });
+  } catch (error) {
+    console.error(`Analysis job ${job.id} failed:`, error);
+    const { statusCode, body } = combinedErrorResponse(error);
+    update(job, { status: 'failed', stage: null, error: { statusCode, ...body }, finishedAt: new Date() });
+  } finally {
+    job.inputs = null;
+    job.release?.();
+    setTimeout(() => jobs.delete(job.id), DEFAULT_JOB_OPTIONS.retention).unref();
+  }
+};
+
+// Start queued jobs while fewer than options.concurrency are running
+const drain = () => {
+  while (running < DEFAULT_JOB_OPTIONS.concurrency && queue.length) {
+    const job = queue.shift();
+    running++;
+    runJob(job).finally(() => {
+      running--;
+      drain();
+    });
+  }
+};
+
+const assertQueueHasRoom = () => {
+  if (queue.length >= DEFAULT_JOB_OPTIONS.maxQueued) {
+    throw new JobQueueFullError(`${queue.length} analysis jobs are already waiting; try again later`);
+  }
+};
+
+// Queue a combined analysis of inputs (the analyzeAllHelper argument) with
+// the given engines and scoring profile; release, when given, runs once the
+// job has finished with its inputs
+export const enqueueAnalysisJob = (inputs, { engines = {}, profile, release } = {}) => {
+  assertQueueHasRoom();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    progress: 0,
+    stage: null,
+    stages: Object.fromEntries(ANALYSIS_STAGES.map(stage => [stage, 'pending'])),
+    results: {},
+    error: null,
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    inputs,
+    engines,
+    profile,
+    release
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+  setImmediate(drain);
+  return jobView(job);
+};
+
+export const getAnalysisJobView = (id) => {
+  const job = jobs.get(id);
+  return job ? jobView(job) : null;
+};
+
+const isFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+// Express route handlers
+
+// Accepts the same JSON or multipart body as /all and /all/upload and
+// answers 202 with the job id; uploaded files are kept until the job ends
+export const createAnalysisJob = async (req, res) => {
+  try {
+    assertQueueHasRoom();
+    const engines = parseEngineSelection(req.query.engine);
+    const profile = await requestedScoringProfile(req);
+    const inputs = req.files ? await uploadedAnalysisInputs(req) : jsonAnalysisInputs(req.body);
+    validateInputs('voice', engines.voice, inputs);
+    const release = req.files ? claimUploads(req) : undefined;
+    const job = enqueueAnalysisJob(inputs, { engines, profile, release });
+    res.status(202).json({
+      ...job,
+      links: { self: `/api/analysis/jobs/${job.id}`, events: `/api/analysis/jobs/${job.id}/events` }
+    });
+  } catch (error) {
+    console.error('Analysis job error:', error);
+    if (error instanceof JobQueueFullError) {
+      res.set('Retry-After', '30');
+      return res.status(503).json({ error: 'Analysis queue full', details: error.message });
+    }
+    const { statusCode, body } = combinedErrorResponse(error);
+    res.status(statusCode).json(body);
+  }
+};
+
+export const getAnalysisJob = (req, res) => {
+  const job = getAnalysisJobView(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Analysis job not found' });
+  res.json(job);
+};
+
+// Server-Sent Events: the job's current state, then every change until it
+// completes or fails
+export const streamAnalysisJob = (req, res) => {
+  const job = getAnalysisJobView(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Analysis job not found' });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  const send = (view) => {
+    res.write(`event: ${view.status}\ndata: ${JSON.stringify(view)}\n\n`);
+    if (isFinished(view)) close();
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), DEFAULT_JOB_OPTIONS.heartbeat);
+  const close = () => {
+    clearInterval(heartbeat);
+    events.off(job.id, send);
+    res.end();
+  };
+  events.on(job.id, send);
+  req.on('close', close);
+  send(job);
+};
@@ -0,0 +1,398 @@
+import sentiment from 'sentiment';
+import { decodeAudio } from './audio_decoder.js';
+import { resolvePitchOptions } from './pitch.js';
+import { MLTruthAnalyzer } from './ml_analysis.js';
+import { analyzeLegacyVoice } from './legacy_voice.js';
+import { analyzeLegacyText } from './legacy_text.js';
+import { analyzeFacialStream } from './facial_stream.js';
+import { withTempVideo } from './video_frames.js';
+import { trackVideoFaces } from './video_faces.js';
+
+// Analyzer registry. Each modality analyzer declares:
+//   modality  'voice' | 'facial' | 'text'
+//   name      engine name, selected per request with ?engine=
+//   version   reported on every result (result.engine) and stored with it
+//   inputs    { required: [...], anyOf: [...], optional: [...] } input keys
+//   output    { field: type } of the result; 'type?' marks optional fields
+//   analyze(inputs, options) and, for voice, analyzeRanges(inputs, ranges, options)
+//   validate(inputs)  optional; throws InvalidInputError for malformed
+//             optional inputs before any work is done
+
+export const MODALITIES = ['voice', 'facial', 'text'];
+
+const registry = new Map(MODALITIES.map(modality => [modality, new Map()]));
+const defaults = {};
+
+// ?engine= names an engine that is not registered
+export class UnknownEngineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnknownEngineError';
+    this.statusCode = 400;
+  }
+}
+
+// A request lacks the inputs its analyzer requires
+export class MissingInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MissingInputError';
+    this.statusCode = 400;
+  }
+}
+
+// A request's input is malformed (e.g. out-of-range analysis options)
+export class InvalidInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidInputError';
+    this.statusCode = 400;
+  }
+}
+
+// An analyzer returned a result that does not match its declared output
+export class AnalyzerOutputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalyzerOutputError';
+    this.statusCode = 500;
+  }
+}
+
+// Inputs that are present but empty count as missing
+const INPUT_PRESENT = {
+  facialStream: stream => Array.isArray(stream?.frames) && stream.frames.length > 0,
+  transcript: text => typeof text === 'string' && text.trim().length > 0
+};
+const isPresent = (inputs, key) => (INPUT_PRESENT[key] ? INPUT_PRESENT[key](inputs[key]) : Boolean(inputs[key]));
+
+export const registerAnalyzer = (analyzer, { isDefault = false } = {}) => {
+  const { modality, name, version, analyze } = analyzer;
+  if (!registry.has(modality)) throw new Error(`Unknown modality "${modality}"`);
+  if (!name || !version || typeof analyze !== 'function') {
+    throw new Error('Analyzers need a name, a version and an analyze function');
+  }
+  registry.get(modality).set(name, analyzer);
+  if (isDefault || !defaults[modality]) defaults[modality] = name;
+  return analyzer;
+};
+
+export const getAnalyzer = (modality, name) => {
+  const engines = registry.get(modality);
+  const analyzer = engines?.get(name || defaults[modality]);
+  if (!analyzer) {
+    throw new UnknownEngineError(
+      `No ${modality} engine "${name}" (available: ${[...(engines?.keys() || [])].join(', ')})`
+    );
+  }
+  return analyzer;
+};
+
+// Declarations of every registered analyzer, for GET /api/analysis/engines
+export const listAnalyzers = () =>
+  MODALITIES.flatMap(modality =>
+    [...registry.get(modality).values()].map(({ name, version, description, inputs, output }) => ({
+      modality,
+      name,
+      version,
+      default: defaults[modality] === name,
+      description,
+      inputs,
+      output
+    }))
+  );
+
+// Engine per modality from ?engine=: comma-separated "modality:name" pairs
+// (engine=voice:acoustic,text:lexicon), or a bare name for every modality
+// that has an engine of that name. Modalities left out use their default.
+export const parseEngineSelection = (engine) => {
+  if (!engine) return {};
+  const selection = {};
+  String(engine).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [modality, name] = part.includes(':') ? part.split(':') : [null, part];
+    if (modality) {
+      selection[modality] = getAnalyzer(modality, name).name;
+      return;
+    }
+    const matching = MODALITIES.filter(candidate => registry.get(candidate).has(name));
+    if (!matching.length) throw new UnknownEngineError(`No engine named "${name}"`);
+    matching.forEach(candidate => {
+      selection[candidate] = name;
+    });
+  });
+  return selection;
+};
+
+// Why the analyzer cannot run on inputs, or null when it can
+export const missingInputs = (analyzer, inputs) => {
+  const { required = [], anyOf = [] } = analyzer.inputs || {};
+  const missing = required.filter(key => !isPresent(inputs, key));
+  if (missing.length) return `Missing ${missing.join(', ')}`;
+  if (anyOf.length && !anyOf.some(key => isPresent(inputs, key))) return `Needs one of ${anyOf.join(', ')}`;
+  return null;
+};
+
+// Checks inputs with the engine's validate, when it declares one
+export const validateInputs = (modality, name, inputs) => {
+  getAnalyzer(modality, name).validate?.(inputs);
+};
+
+const validateOutput = (analyzer, result) => {
+  const wrong = Object.entries(analyzer.output || {}).filter(([field, declared]) => {
+    const optional = declared.endsWith('?');
+    const type = declared.replace('?', '');
+    const value = result[field];
+    if (value === undefined || value === null) return !optional;
+    return type === 'array' ? !Array.isArray(value) : typeof value !== type;
+  });
+  if (wrong.length) {
+    throw new AnalyzerOutputError(
+      `${analyzer.modality} engine ${analyzer.name}@${analyzer.version} returned invalid ${wrong.map(([field]) => field).join(', ')}`
+    );
+  }
+};
+
+const stamp = (analyzer, result) => {
+  validateOutput(analyzer, result);
+  return { ...result, engine: { name: analyzer.name, version: analyzer.version } };
+};
+
+// Run a modality's engine (default when name is empty) on inputs; the result
+// carries engine: { name, version }
+export const runAnalyzer = async (modality, name, inputs, options = {}) => {
+  const analyzer = getAnalyzer(modality, name);
+  const missing = missingInputs(analyzer, inputs);
+  if (missing) throw new MissingInputError(`${modality} analysis: ${missing}`);
+  analyzer.validate?.(inputs);
+  return stamp(analyzer, await analyzer.analyze(inputs, options));
+};
+
+// Per-range voice results ({ start, end, transcript } in seconds); ranges
+// too short to score come back null
+export const runAnalyzerRanges = async (modality, name, inputs, ranges, options = {}) => {
+  const analyzer = getAnalyzer(modality, name);
+  if (typeof analyzer.analyzeRanges !== 'function') {
+    throw new UnknownEngineError(`${modality} engine "${analyzer.name}" cannot analyze ranges`);
+  }
+  const missing = missingInputs(analyzer, inputs);
+  if (missing) throw new MissingInputError(`${modality} analysis: ${missing}`);
+  analyzer.validate?.(inputs);
+  const results = await analyzer.analyzeRanges(inputs, ranges, options);
+  return results.map(result => (result ? stamp(analyzer, result) : null));
+};
+
+// Built-in engines
+
+const clampScore = (score) => Math.max(0, Math.min(100, Math.round(score)));
+
+const voiceFeatures = new MLTruthAnalyzer();
+
+// Decode once and run analyzeSlice on each range of the recording; ranges
+// under 0.25 s come back null
+const analyzeAudioRanges = async (audioData, ranges, analyzeSlice) => {
+  const { samples, sampleRate, duration } = await decodeAudio(audioData);
+  const results = [];
+  for (const range of ranges) {
+    const start = Math.max(0, Math.floor(range.start * sampleRate));
+    const end = Math.min(samples.length, Math.ceil(Math.min(range.end, duration) * sampleRate));
+    results.push(end - start < sampleRate * 0.25 ? null : await analyzeSlice(samples.subarray(start, end), sampleRate, range));
+  }
+  return results;
+};
+
+// Pitch, spectral, MFCC, VAD, tremor and hesitation features of the decoded
+// waveform
+registerAnalyzer({
+  modality: 'voice',
+  name: 'acoustic',
+  version: '1.0.0',
+  description: 'Pitch, spectral, MFCC, voice activity, tremor and hesitation features of the decoded audio',
+  inputs: { required: ['audioData'], optional: ['transcript', 'pitchOptions', 'questionMarks'] },
+  output: {
+    pitchScore: 'number',
+    toneScore: 'number',
+    emotionalScore: 'number',
+    stressScore: 'number',
+    tremorScore: 'number',
+    hesitationScore: 'number',
+    confidence: 'number',
+    interpretation: 'string',
+    pitch: 'object',
+    vad: 'object',
+    responseLatency: 'object?'
+  },
+  validate({ pitchOptions }) {
+    try {
+      resolvePitchOptions(pitchOptions);
+    } catch (error) {
+      throw new InvalidInputError(`pitchOptions: ${error.message}`);
+    }
+  },
+  async analyze({ audioData, transcript, pitchOptions, questionMarks }, options = {}) {
+    // Decode the container into mono float samples at the true sample rate,
+    // then score from pitch, spectral and MFCC features of the waveform
+    const { samples, sampleRate, duration, format } = await decodeAudio(audioData);
+    const result = await voiceFeatures.analyzeAudioData(samples, sampleRate, {
+      ...options,
+      pitch: pitchOptions,
+      questionMarks,
+      transcript
+    });
+    return {
+      ...result,
+      interpretation: `${result.interpretation} (${format}, ${sampleRate} Hz, ${duration.toFixed(1)}s)`
+    };
+  },
+  // Decode once and analyze each range of the recording on its own
+  analyzeRanges({ audioData }, ranges, options = {}) {
+    return analyzeAudioRanges(audioData, ranges, (samples, sampleRate, range) =>
+      voiceFeatures.analyzeAudioData(samples, sampleRate, { ...options, transcript: range.transcript })
+    );
+  }
+}, { isDefault: true });
+
+// The original voice scoring (legacy_voice.js), for comparing recordings
+// against 'acoustic' with ?engine=voice:legacy
+registerAnalyzer({
+  modality: 'voice',
+  name: 'legacy',
+  version: '0.1.0',
+  description: 'Original voice scoring: RMS level, spectral centroid, zero crossing rate and one autocorrelation pitch estimate',
+  inputs: { required: ['audioData'] },
+  output: {
+    pitchScore: 'number',
+    toneScore: 'number',
+    emotionalScore: 'number',
+    stressScore: 'number',
+    confidence: 'number',
+    interpretation: 'string'
+  },
+  async analyze({ audioData }) {
+    const { samples, sampleRate, duration, format } = await decodeAudio(audioData);
+    const result = analyzeLegacyVoice(samples, sampleRate);
+    return {
+      ...result,
+      interpretation: `${result.interpretation} (${format}, ${sampleRate} Hz, ${duration.toFixed(1)}s)`
+    };
+  },
+  analyzeRanges({ audioData }, ranges) {
+    return analyzeAudioRanges(audioData, ranges, analyzeLegacyVoice);
+  }
+});
+
+// Blinks, head pose, gaze, micro-expressions and expressions from the
+// per-frame landmark stream; recorded video is decoded and tracked on the
+// server first
+registerAnalyzer({
+  modality: 'facial',
+  name: 'landmarks',
+  version: '1.0.0',
+  description: 'Blink, head pose, gaze, micro-expression and expression features of the face landmark stream',
+  inputs: { anyOf: ['facialStream', 'videoData'], optional: ['facialOptions'] },
+  output: {
+    confidence: 'number',
+    interpretation: 'string',
+    withheld: 'boolean?',
+    microExpressions: 'string?',
+    microExpressionsScore: 'number?',
+    smileSuppressionScore: 'number?',
+    visualEmotionScore: 'number?',
+    eyeMovement: 'string?',
+    headPoseStability: 'number?',
+    gazeStability: 'number?',
+    blinkingScore: 'number?',
+    quality: 'object?',
+    identity: 'object?'
+  },
+  async analyze({ facialStream, videoData }, options = {}) {
+    // Landmark stream from the browser takes precedence over raw video
+    if (isPresent({ facialStream }, 'facialStream')) return analyzeFacialStream(facialStream, options);
+    const stream = await withTempVideo(videoData, file => trackVideoFaces(file, options.video));
+    return analyzeFacialStream(stream, options);
+  }
+});
+
+const sentimentAnalyzer = new sentiment();
+
+// Sentiment, sentence complexity, vocabulary and deception/contradiction
+// word lists
+registerAnalyzer({
+  modality: 'text',
+  name: 'lexicon',
+  version: '1.0.0',
+  description: 'AFINN sentiment, sentence complexity, vocabulary diversity and hedge/contradiction word counts',
+  inputs: { required: ['transcript'] },
+  output: {
+    sentimentScore: 'number',
+    consistencyScore: 'number',
+    complexityScore: 'number',
+    contradictionScore: 'number',
+    deceptionScore: 'number',
+    confidence: 'number',
+    interpretation: 'string'
+  },
+  async analyze({ transcript: text }) {
+    // Sentiment analysis
+    const sentimentResult = sentimentAnalyzer.analyze(text);
+    const sentimentScore = clampScore(50 + (sentimentResult.score * 20));
+
+    // Text complexity analysis
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+    const avgWordsPerSentence = words.length / Math.max(sentences.length, 1);
+    const complexityScore = clampScore(Math.min(avgWordsPerSentence * 8, 100));
+
+    // Consistency analysis
+    const uniqueWords = new Set(words);
+    const vocabularyDiversity = clampScore((uniqueWords.size / words.length) * 100);
+    const consistencyScore = clampScore(100 - (vocabularyDiversity * 0.3));
+
+    // Deception indicators
+    const deceptionWords = ['actually', 'basically', 'honestly', 'literally', 'obviously'];
+    const deceptionCount = words.filter(word => deceptionWords.includes(word)).length;
+    const deceptionScore = clampScore(100 - (deceptionCount * 15));
+
+    // Contradiction analysis
+    const contradictionWords = ['but', 'however', 'although', 'despite', 'nevertheless'];
+    const contradictionCount = words.filter(word => contradictionWords.includes(word)).length;
+    const contradictionScore = clampScore(100 - (contradictionCount * 10));
+
+    // Confidence indicators
+    const confidenceWords = ['definitely', 'certainly', 'absolutely', 'surely'];
+    const confidenceCount = words.filter(word => confidenceWords.includes(word)).length;
+    const confidence = clampScore(60 + (confidenceCount * 8));
+
+    const tone = sentimentResult.score > 0 ? 'positive' : sentimentResult.score < 0 ? 'negative' : 'neutral';
+    return {
+      sentimentScore,
+      consistencyScore,
+      complexityScore,
+      contradictionScore,
+      deceptionScore,
+      confidence,
+      interpretation: `${words.length} words, ${tone} sentiment, ${deceptionCount} hedge and ${contradictionCount} contradiction word(s)`
+    };
+  }
+}, { isDefault: true });
+
+// The original text scoring (legacy_text.js), for comparing transcripts
+// against 'lexicon' with ?engine=text:legacy
+registerAnalyzer({
+  modality: 'text',
+  name: 'legacy',
+  version: '0.1.0',
+  description: 'Original text scoring: six-word sentiment lists, words per sentence and word count',
+  inputs: { required: ['transcript'] },
+  output: {
+    sentimentScore: 'number',
+    consistencyScore: 'number',
+    complexityScore: 'number',
+    contradictionScore: 'number',
+    deceptionScore: 'number',
+    confidence: 'number',
+    interpretation: 'string'
+  },
+  async analyze({ transcript }) {
+    return analyzeLegacyText(transcript);
+  }
+});
@@ -0,0 +1,414 @@
+import fs from 'fs/promises';
+import { OpusDecoder } from 'opus-decoder';
+import { isUploadedFile } from './media_upload.js';
+
+export const SUPPORTED_AUDIO_FORMATS = ['wav', 'webm/opus', 'webm/pcm'];
+
+// Raised when the payload is not a container/codec we can turn into samples.
+// Carries a 415 status so route handlers can answer with a structured error.
+export class UnsupportedAudioFormatError extends Error {
+  constructor(message, format = 'unknown') {
+    super(message);
+    this.name = 'UnsupportedAudioFormatError';
+    this.statusCode = 415;
+    this.format = format;
+  }
+}
+
+// Accepts a base64 string (optionally a data URL), a Buffer or an uploaded
+// file (see isUploadedFile) and returns mono float samples in [-1, 1] with the sample
+// rate of the source.
+export const decodeAudio = async (audioData) => {
+  const buffer = isUploadedFile(audioData) ? await fs.readFile(audioData.path) : toBuffer(audioData);
+  if (buffer.length < 12) {
+    throw new UnsupportedAudioFormatError('Audio payload is too short to identify its format');
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+    return parseContainer('wav', () => decodeWav(buffer));
+  }
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return parseContainer('webm', () => decodeWebm(buffer));
+  }
+
+  throw new UnsupportedAudioFormatError('Unrecognized audio container (expected WAV or WebM)');
+};
+
+// Runs a container decoder, reporting any failure to read a malformed file
+// (out-of-range reads, bad lengths, codec errors) as a 415 rather than a
+// crash
+const parseContainer = async (format, decode) => {
+  try {
+    return await decode();
+  } catch (error) {
+    if (error instanceof UnsupportedAudioFormatError) throw error;
+    throw new UnsupportedAudioFormatError(`Malformed ${format.toUpperCase()} audio: ${error.message}`, format);
+  }
+};
+
+const toBuffer = (audioData) => {
+  if (Buffer.isBuffer(audioData)) return audioData;
+  if (audioData instanceof Uint8Array) return Buffer.from(audioData.buffer, audioData.byteOffset, audioData.byteLength);
+  if (typeof audioData !== 'string') {
+    throw new UnsupportedAudioFormatError('Audio data must be a base64 string or a buffer');
+  }
+  const base64 = audioData.startsWith('data:') ? audioData.slice(audioData.indexOf(',') + 1) : audioData;
+  return Buffer.from(base64, 'base64');
+};
+
+const buildResult = (channels, sampleRate, format) => {
+  const samples = downmix(channels);
+  return {
+    samples,
+    sampleRate,
+    channels: channels.length,
+    duration: sampleRate > 0 ? samples.length / sampleRate : 0,
+    format
+  };
+};
+
+const downmix = (channels) => {
+  if (channels.length === 1) return channels[0];
+  const length = Math.min(...channels.map(c => c.length));
+  const mono = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels.length; c++) sum += channels[c][i];
+    mono[i] = sum / channels.length;
+  }
+  return mono;
+};
+
+// ---------------------------------------------------------------------------
+// WAV
+// ---------------------------------------------------------------------------
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+const decodeWav = (buffer) => {
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+    // Streaming writers leave the data size at 0 or 0xFFFFFFFF; read to the end.
+    const end = size === 0 || size === 0xffffffff ? buffer.length : Math.min(start + size, buffer.length);
+
+    if (id === 'fmt ') {
+      if (size < 16 || start + 16 > buffer.length) {
+        throw new UnsupportedAudioFormatError('WAV fmt chunk is shorter than 16 bytes', 'wav');
+      }
+      let formatTag = buffer.readUInt16LE(start);
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+        formatTag = buffer.readUInt16LE(start + 24);
+      }
+      fmt = {
+        formatTag,
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        blockAlign: buffer.readUInt16LE(start + 12),
+        bitsPerSample: buffer.readUInt16LE(start + 14)
+      };
+    } else if (id === 'data') {
+      data = buffer.subarray(start, end);
+      if (fmt) break;
+    }
+
+    offset = start + size + (size % 2);
+    if (end === buffer.length && id === 'data') break;
+  }
+
+  if (!fmt || !data) {
+    throw new UnsupportedAudioFormatError('WAV file is missing its fmt or data chunk', 'wav');
+  }
+
+  if (!fmt.channels || !fmt.sampleRate || !fmt.bitsPerSample) {
+    throw new UnsupportedAudioFormatError('WAV fmt chunk has zero channels, sample rate or bits per sample', 'wav');
+  }
+
+  const readSample = wavSampleReader(fmt);
+  const bytesPerSample = fmt.bitsPerSample / 8;
+  const frameSize = fmt.blockAlign || bytesPerSample * fmt.channels;
+  if (frameSize < bytesPerSample * fmt.channels) {
+    throw new UnsupportedAudioFormatError(`WAV block align ${frameSize} is too small for its samples`, 'wav');
+  }
+  const frames = Math.floor(data.length / frameSize);
+  const channels = Array.from({ length: fmt.channels }, () => new Float32Array(frames));
+
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < fmt.channels; c++) {
+      channels[c][i] = readSample(data, i * frameSize + c * bytesPerSample);
+    }
+  }
+
+  return buildResult(channels, fmt.sampleRate, 'wav');
+};
+
+const wavSampleReader = ({ formatTag, bitsPerSample }) => {
+  if (formatTag === WAVE_FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8: return (b, o) => (b[o] - 128) / 128;
+      case 16: return (b, o) => b.readInt16LE(o) / 32768;
+      case 24: return (b, o) => b.readIntLE(o, 3) / 8388608;
+      case 32: return (b, o) => b.readInt32LE(o) / 2147483648;
+    }
+  }
+  if (formatTag === WAVE_FORMAT_IEEE_FLOAT) {
+    if (bitsPerSample === 32) return (b, o) => b.readFloatLE(o);
+    if (bitsPerSample === 64) return (b, o) => b.readDoubleLE(o);
+  }
+  throw new UnsupportedAudioFormatError(
+    `Unsupported WAV encoding (format ${formatTag}, ${bitsPerSample}-bit)`,
+    'wav'
+  );
+};
+
+// ---------------------------------------------------------------------------
+// WebM / Matroska
+// ---------------------------------------------------------------------------
+
+const EBML_ID = {
+  segment: 0x18538067,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  trackNumber: 0xd7,
+  codecId: 0x86,
+  codecPrivate: 0x63a2,
+  audio: 0xe1,
+  samplingFrequency: 0xb5,
+  channels: 0x9f,
+  bitDepth: 0x6264,
+  cluster: 0x1f43b675,
+  blockGroup: 0xa0,
+  block: 0xa1,
+  simpleBlock: 0xa3
+};
+
+// Master elements we walk into instead of skipping. MediaRecorder writes the
+// Segment and Clusters with "unknown" sizes, so descending linearly is the
+// only reliable way through a live-recorded file.
+const EBML_CONTAINERS = new Set([
+  EBML_ID.segment, EBML_ID.tracks, EBML_ID.trackEntry, EBML_ID.audio,
+  EBML_ID.cluster, EBML_ID.blockGroup
+]);
+
+const readVint = (buffer, offset, keepMarker) => {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) return null;
+  let length = 1;
+  while (!(first & (0x80 >> (length - 1)))) length++;
+  if (offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) allOnes = false;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+};
+
+const readUnsigned = (data) => {
+  let value = 0;
+  for (let i = 0; i < data.length; i++) value = value * 256 + data[i];
+  return value;
+};
+
+const readFloat = (data) => {
+  if (data.length === 4) return data.readFloatBE(0);
+  if (data.length === 8) return data.readDoubleBE(0);
+  return 0;
+};
+
+const parseWebm = (buffer) => {
+  const tracks = [];
+  const frames = [];
+  let track = null;
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const id = readVint(buffer, offset, true);
+    if (!id) break;
+    const size = readVint(buffer, offset + id.length, false);
+    if (!size) break;
+    const start = offset + id.length + size.length;
+
+    if (EBML_CONTAINERS.has(id.value)) {
+      if (id.value === EBML_ID.trackEntry) {
+        track = { number: 0, codecId: '', codecPrivate: null, sampleRate: 0, channels: 1, bitDepth: 0 };
+        tracks.push(track);
+      }
+      offset = start;
+      continue;
+    }
+
+    const end = size.unknown ? buffer.length : Math.min(start + size.value, buffer.length);
+    const data = buffer.subarray(start, end);
+
+    switch (id.value) {
+      case EBML_ID.trackNumber: if (track) track.number = readUnsigned(data); break;
+      case EBML_ID.codecId: if (track) track.codecId = data.toString('ascii'); break;
+      case EBML_ID.codecPrivate: if (track) track.codecPrivate = data; break;
+      case EBML_ID.samplingFrequency: if (track) track.sampleRate = readFloat(data); break;
+      case EBML_ID.channels: if (track) track.channels = readUnsigned(data); break;
+      case EBML_ID.bitDepth: if (track) track.bitDepth = readUnsigned(data); break;
+      case EBML_ID.simpleBlock:
+      case EBML_ID.block:
+        frames.push(...readBlock(data));
+        break;
+    }
+
+    offset = end;
+  }
+
+  return { tracks, frames };
+};
+
+const malformedBlock = () => new UnsupportedAudioFormatError('WebM block has malformed lacing', 'webm');
+
+// Splits a (Simple)Block into its track number and laced frames.
+const readBlock = (data) => {
+  const trackNumber = readVint(data, 0, false);
+  if (!trackNumber) return [];
+  let offset = trackNumber.length + 3; // timecode (2) + flags (1)
+  const lacing = (data[trackNumber.length + 2] >> 1) & 0x03;
+  const track = trackNumber.value;
+
+  if (lacing === 0) return [{ track, data: data.subarray(offset) }];
+
+  const count = data[offset] + 1;
+  offset += 1;
+  const sizes = [];
+
+  if (lacing === 1) {
+    // Xiph lacing
+    for (let i = 0; i < count - 1; i++) {
+      let size = 0;
+      let byte;
+      do {
+        byte = data[offset++];
+        if (byte === undefined) throw malformedBlock();
+        size += byte;
+      } while (byte === 0xff);
+      sizes.push(size);
+    }
+  } else if (lacing === 3) {
+    // EBML lacing: first size is a vint, the rest are signed deltas
+    const first = readVint(data, offset, false);
+    if (!first) throw malformedBlock();
+    offset += first.length;
+    sizes.push(first.value);
+    for (let i = 1; i < count - 1; i++) {
+      const delta = readVint(data, offset, false);
+      if (!delta) throw malformedBlock();
+      offset += delta.length;
+      const bias = Math.pow(2, 7 * delta.length - 1) - 1;
+      sizes.push(sizes[i - 1] + delta.value - bias);
+    }
+  } else {
+    // Fixed-size lacing
+    const size = Math.floor((data.length - offset) / count);
+    for (let i = 0; i < count - 1; i++) sizes.push(size);
+  }
+
+  const used = sizes.reduce((a, b) => a + b, 0);
+  sizes.push(data.length - offset - used);
+  if (sizes.some(size => size < 0)) throw malformedBlock();
+
+  return sizes.map(size => {
+    const frame = { track, data: data.subarray(offset, offset + size) };
+    offset += size;
+    return frame;
+  });
+};
+
+const decodeWebm = async (buffer) => {
+  const { tracks, frames } = parseWebm(buffer);
+  const audioTrack = tracks.find(t => t.codecId.startsWith('A_'));
+  if (!audioTrack) {
+    throw new UnsupportedAudioFormatError('WebM file contains no audio track', 'webm');
+  }
+
+  const packets = frames.filter(f => f.track === audioTrack.number).map(f => f.data);
+
+  if (audioTrack.codecId === 'A_OPUS') {
+    return decodeOpusPackets(packets, audioTrack);
+  }
+  if (audioTrack.codecId === 'A_PCM/INT/LIT' || audioTrack.codecId === 'A_PCM/FLOAT/IEEE') {
+    return decodeWebmPcm(packets, audioTrack);
+  }
+
+  throw new UnsupportedAudioFormatError(
+    `Unsupported WebM audio codec ${audioTrack.codecId}`,
+    `webm/${audioTrack.codecId.replace(/^A_/, '').toLowerCase()}`
+  );
+};
+
+const decodeOpusPackets = async (packets, track) => {
+  // OpusHead: channel count at byte 9, pre-skip at byte 10
+  const head = track.codecPrivate;
+  const hasHead = head && head.length >= 19 && head.toString('ascii', 0, 8) === 'OpusHead';
+  const channelCount = hasHead ? head[9] : track.channels;
+  const preSkip = hasHead ? head.readUInt16LE(10) : 0;
+
+  if (!channelCount) {
+    throw new UnsupportedAudioFormatError('Opus stream has zero channels', 'webm/opus');
+  }
+  if (channelCount > 2) {
+    throw new UnsupportedAudioFormatError('Multichannel Opus streams are not supported', 'webm/opus');
+  }
+
+  const decoder = new OpusDecoder({ channels: channelCount, preSkip });
+  await decoder.ready;
+  try {
+    const chunks = Array.from({ length: channelCount }, () => []);
+    let sampleRate = 48000;
+    for (const packet of packets) {
+      const decoded = decoder.decodeFrame(packet);
+      sampleRate = decoded.sampleRate;
+      for (let c = 0; c < channelCount; c++) {
+        chunks[c].push(decoded.channelData[c] || decoded.channelData[0]);
+      }
+    }
+    return buildResult(chunks.map(concatFloat32), sampleRate, 'webm/opus');
+  } finally {
+    decoder.free();
+  }
+};
+
+const decodeWebmPcm = (packets, track) => {
+  if (!track.channels) {
+    throw new UnsupportedAudioFormatError('WebM PCM track has zero channels', 'webm/pcm');
+  }
+  const data = Buffer.concat(packets);
+  const formatTag = track.codecId === 'A_PCM/FLOAT/IEEE' ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM;
+  const bitsPerSample = track.bitDepth || (formatTag === WAVE_FORMAT_IEEE_FLOAT ? 32 : 16);
+  const readSample = wavSampleReader({ formatTag, bitsPerSample });
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = Math.floor(data.length / (bytesPerSample * track.channels));
+  const channels = Array.from({ length: track.channels }, () => new Float32Array(frameCount));
+
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < track.channels; c++) {
+      channels[c][i] = readSample(data, (i * track.channels + c) * bytesPerSample);
+    }
+  }
+
+  return buildResult(channels, track.sampleRate || 48000, 'webm/pcm');
+};
+
+const concatFloat32 = (parts) => {
+  const total = parts.reduce((sum, p) => sum + p.length, 0);
+  const out = new Float32Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
@@ -0,0 +1,133 @@
+import { mean, median, round } from './dsp.js';
+import { LANDMARKS, toPoints, distance } from './landmarks.js';
+
+export const DEFAULT_BLINK_OPTIONS = {
+  closedRatio: 0.75, // EAR below this fraction of the open-eye EAR = closed
+  maxBlinkDuration: 0.5, // seconds; longer closures are counted separately
+  burstInterval: 1.0, // seconds between blinks inside a burst
+  burstMinBlinks: 3,
+  baselineWindow: 30, // seconds at the start used as baseline when none is given
+  normalRate: [8, 25] // resting blinks per minute
+};
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value || 0));
+
+// Eye aspect ratio (Soukupova & Cech): vertical lid distances over the eye
+// width, for the six landmarks p1..p6 of one eye
+export const eyeAspectRatio = (points, [from]) => {
+  const [p1, p2, p3, p4, p5, p6] = points.slice(from, from + 6);
+  const width = distance(p1, p4);
+  return width > 0 ? (distance(p2, p6) + distance(p3, p5)) / (2 * width) : 0;
+};
+
+// Mean EAR of both eyes for every frame that has a face
+export const earSeries = (frames) =>
+  frames
+    .filter(frame => frame.faces > 0 && frame.landmarks)
+    .map(frame => {
+      const points = toPoints(frame.landmarks);
+      return {
+        t: frame.t,
+        ear: (eyeAspectRatio(points, LANDMARKS.rightEye) + eyeAspectRatio(points, LANDMARKS.leftEye)) / 2
+      };
+    });
+
+// Blinks per minute over samples, counting only time the face was visible
+const ratePerMinute = (blinks, samples, maxGap) => {
+  let visible = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const dt = samples[i].t - samples[i - 1].t;
+    if (dt > 0 && dt <= maxGap) visible += dt;
+  }
+  return visible > 0 ? (blinks / visible) * 60 : 0;
+};
+
+// Individual blinks from dips in the eye aspect ratio relative to the
+// subject's open-eye level, with durations, bursts and the rate's deviation
+// from a baseline (given rate, or the opening baselineWindow seconds).
+export const detectBlinks = (stream, options = {}) => {
+  const opts = { ...DEFAULT_BLINK_OPTIONS, ...options };
+  const fps = stream.fps || 10;
+  const frameInterval = 1 / fps;
+  const maxGap = 2.5 * frameInterval;
+  const samples = earSeries(stream.frames);
+
+  const openEar = median(samples.map(s => s.ear));
+  const threshold = openEar * opts.closedRatio;
+
+  // Runs of closed-eye frames; a missing face or frame gap ends the run
+  const blinks = [];
+  let longClosures = 0;
+  let run = null;
+  const closeRun = () => {
+    if (!run) return;
+    const duration = run.end - run.start + frameInterval;
+    if (duration <= opts.maxBlinkDuration) {
+      blinks.push({ t: round(run.start, 2), duration: round(duration, 2), minEar: round(run.minEar, 3) });
+    } else {
+      longClosures++;
+    }
+    run = null;
+  };
+  samples.forEach((sample, i) => {
+    if (run && sample.t - samples[i - 1].t > maxGap) closeRun();
+    if (sample.ear < threshold) {
+      if (!run) run = { start: sample.t, end: sample.t, minEar: sample.ear };
+      run.end = sample.t;
+      run.minEar = Math.min(run.minEar, sample.ear);
+    } else {
+      closeRun();
+    }
+  });
+  closeRun();
+
+  // Bursts: at least burstMinBlinks blinks each within burstInterval of the last
+  let bursts = 0;
+  let streak = 1;
+  for (let i = 1; i <= blinks.length; i++) {
+    if (i < blinks.length && blinks[i].t - blinks[i - 1].t <= opts.burstInterval) {
+      streak++;
+    } else {
+      if (streak >= opts.burstMinBlinks) bursts++;
+      streak = 1;
+    }
+  }
+
+  const rate = ratePerMinute(blinks.length, samples, maxGap);
+  const duration = samples.length ? samples[samples.length - 1].t - samples[0].t : 0;
+
+  let baselineRate = Number.isFinite(opts.baselineRate) ? opts.baselineRate : null;
+  if (baselineRate === null && duration >= opts.baselineWindow * 2) {
+    const baselineEnd = samples[0].t + opts.baselineWindow;
+    const baselineSamples = samples.filter(s => s.t <= baselineEnd);
+    baselineRate = ratePerMinute(blinks.filter(b => b.t <= baselineEnd).length, baselineSamples, maxGap);
+  }
+  const baselineDeviation = baselineRate ? (rate - baselineRate) / baselineRate : null;
+
+  // 0-100 blink anomaly: rate outside the resting range, bursts, long
+  // closures and change from baseline (stress raises, cognitive load suppresses)
+  const minutes = Math.max(duration / 60, 1 / 60);
+  const [low, high] = opts.normalRate;
+  const rateAnomaly = rate > high ? clamp01((rate - high) / high) : rate < low ? clamp01((low - rate) / low) : 0;
+  const burstAnomaly = clamp01(bursts / minutes / 3);
+  const closureAnomaly = clamp01(longClosures / minutes / 2);
+  const score = samples.length < 2
+    ? 0
+    : baselineDeviation === null
+      ? 0.55 * rateAnomaly + 0.3 * burstAnomaly + 0.15 * closureAnomaly
+      : 0.4 * rateAnomaly + 0.2 * burstAnomaly + 0.1 * closureAnomaly + 0.3 * clamp01(Math.abs(baselineDeviation));
+
+  return {
+    score: Math.round(100 * score),
+    count: blinks.length,
+    ratePerMinute: round(rate, 1),
+    meanDuration: round(mean(blinks.map(b => b.duration)), 3),
+    maxDuration: round(blinks.reduce((a, b) => Math.max(a, b.duration), 0), 3),
+    bursts,
+    longClosures,
+    openEar: round(openEar, 3),
+    baselineRate: baselineRate === null ? null : round(baselineRate, 1),
+    baselineDeviation: baselineDeviation === null ? null : round(baselineDeviation, 3),
+    events: blinks
+  };
+};
@@ -0,0 +1,81 @@
+import { mean, std, round } from './dsp.js';
+
+// Features baselined per modality: dotted path into the analysis result and
+// the smallest standard deviation trusted from a handful of control answers
+export const CALIBRATION_FEATURES = {
+  voice: {
+    meanF0: { path: 'pitch.meanF0', minStd: 8 },
+    pitchVariability: { path: 'pitch.variability', minStd: 0.5 },
+    jitter: { path: 'pitch.jitter', minStd: 0.3 },
+    syllableRate: { path: 'hesitation.syllableRate', minStd: 0.4 },
+    tremorScore: { path: 'tremorScore', minStd: 5 },
+    hesitationScore: { path: 'hesitationScore', minStd: 5 },
+    stressScore: { path: 'stressScore', minStd: 5 },
+    emotionalScore: { path: 'emotionalScore', minStd: 5 }
+  },
+  facial: {
+    headPoseStability: { path: 'headPoseStability', minStd: 5 },
+    gazeStability: { path: 'gazeStability', minStd: 5 },
+    yawVariance: { path: 'pose.variance.yaw', minStd: 1.5 },
+    pitchVariance: { path: 'pose.variance.pitch', minStd: 1.5 },
+    blinkingScore: { path: 'blinkingScore', minStd: 5 },
+    blinkRate: { path: 'blinks.ratePerMinute', minStd: 3 },
+    microExpressionsScore: { path: 'microExpressionsScore', minStd: 5 },
+    smileSuppressionScore: { path: 'smileSuppressionScore', minStd: 5 },
+    visualEmotionScore: { path: 'visualEmotionScore', minStd: 5 }
+  },
+  text: {
+    sentimentScore: { path: 'sentimentScore', minStd: 5 },
+    consistencyScore: { path: 'consistencyScore', minStd: 5 },
+    deceptionScore: { path: 'deceptionScore', minStd: 5 },
+    complexityScore: { path: 'complexityScore', minStd: 5 }
+  }
+};
+
+const readPath = (object, path) => {
+  const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), object);
+  return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+};
+
+// Per-modality feature distributions over the control answers.
+// results: [{ voice, facial, text }] as returned by the analyzers.
+export const buildBaseline = (results) => {
+  const baseline = { samples: results.length };
+  for (const [modality, features] of Object.entries(CALIBRATION_FEATURES)) {
+    const distributions = {};
+    for (const [name, { path, minStd }] of Object.entries(features)) {
+      const values = results.map(r => readPath(r[modality], path)).filter(v => v !== undefined);
+      if (!values.length) continue;
+      distributions[name] = {
+        mean: round(mean(values), 3),
+        std: round(Math.max(std(values), minStd), 3),
+        n: values.length,
+        values: values.map(v => round(v, 3))
+      };
+    }
+    if (Object.keys(distributions).length) baseline[modality] = distributions;
+  }
+  return baseline;
+};
+
+// z-scores of one modality's result against its baseline distributions,
+// plus a 0-100 consistency score: 100 while the RMS z-score is at most
+// 0.5, then 20 points lower per standard deviation beyond that (0 from 5.5)
+export const scoreDeviation = (modality, result, distributions) => {
+  if (!result || !distributions) return null;
+  const zScores = {};
+  for (const [name, { mean: baseMean, std: baseStd }] of Object.entries(distributions)) {
+    const feature = CALIBRATION_FEATURES[modality]?.[name];
+    const value = feature && readPath(result, feature.path);
+    if (value === undefined || !baseStd) continue;
+    zScores[name] = round((value - baseMean) / baseStd, 2);
+  }
+  const values = Object.values(zScores);
+  if (!values.length) return null;
+  const rmsZ = Math.sqrt(values.reduce((a, z) => a + z * z, 0) / values.length);
+  return {
+    score: Math.max(0, Math.min(100, Math.round(100 - 20 * Math.max(0, rmsZ - 0.5)))),
+    rmsZ: round(rmsZ, 2),
+    zScores
+  };
+};
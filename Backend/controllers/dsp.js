@@ -0,0 +1,60 @@
+// Shared signal-processing helpers for the voice analysis modules.
+// All functions work on mono Float32Array samples in [-1, 1].
+
+// Downsample with a box pre-filter (prefix sums) and linear interpolation.
+// Good enough for pitch/energy work; not meant for playback quality.
+export const resample = (samples, fromRate, toRate) => {
+  if (!samples.length || fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const outLength = Math.floor(samples.length / ratio);
+  const out = new Float32Array(outLength);
+
+  if (ratio <= 1) {
+    for (let i = 0; i < outLength; i++) {
+      const pos = i * ratio;
+      const idx = Math.floor(pos);
+      const frac = pos - idx;
+      const next = idx + 1 < samples.length ? samples[idx + 1] : samples[idx];
+      out[i] = samples[idx] * (1 - frac) + next * frac;
+    }
+    return out;
+  }
+
+  const prefix = new Float64Array(samples.length + 1);
+  for (let i = 0; i < samples.length; i++) prefix[i + 1] = prefix[i] + samples[i];
+  const half = ratio / 2;
+  for (let i = 0; i < outLength; i++) {
+    const center = i * ratio;
+    const start = Math.max(0, Math.floor(center - half));
+    const end = Math.min(samples.length, Math.ceil(center + half));
+    out[i] = (prefix[end] - prefix[start]) / (end - start);
+  }
+  return out;
+};
+
+export const frameRms = (samples, start, length) => {
+  const end = Math.min(samples.length, start + length);
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+  return end > start ? Math.sqrt(sum / (end - start)) : 0;
+};
+
+export const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+export const std = (values) => {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((a, b) => a + (b - m) * (b - m), 0) / values.length);
+};
+
+export const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
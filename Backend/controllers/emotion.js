@@ -0,0 +1,195 @@
+import { mean, median, round } from './dsp.js';
+import { distance } from './landmarks.js';
+import { faceCoordinates } from './microexpressions.js';
+
+// Same classes and order as the face-api expression model
+export const EMOTIONS = ['neutral', 'happy', 'sad', 'angry', 'surprised', 'fearful', 'disgusted'];
+const NEGATIVE = ['sad', 'angry', 'fearful', 'disgusted'];
+
+export const DEFAULT_EMOTION_OPTIONS = {
+  smileProbability: 0.5, // happy probability for a smiling frame
+  maskedSmileDuration: 0.7, // seconds; shorter smiles count as quickly masked
+  maskWindow: 0.5, // seconds after a smile checked for a negative expression
+  asymmetry: 0.4, // normalized left/right corner lift difference
+  seriesInterval: 1 // seconds per emotion-over-time sample
+};
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value || 0));
+const pos = (value) => Math.max(0, value);
+const neg = (value) => Math.max(0, -value);
+
+// Geometry in face coordinates (inter-ocular distance = 1, y down) and the
+// typical size of an expressive change in each, used to scale deviations
+const GEOMETRY = {
+  cornerRight: { scale: 0.04, measure: (p) => p[33][1] - p[48][1] },
+  cornerLeft: { scale: 0.04, measure: (p) => p[33][1] - p[54][1] },
+  mouthWidth: { scale: 0.06, measure: (p) => distance(p[48], p[54]) },
+  mouthOpen: { scale: 0.1, measure: (p) => distance(p[62], p[66]) },
+  innerBrow: { scale: 0.04, measure: (p) => -(p[21][1] + p[22][1]) / 2 },
+  outerBrow: { scale: 0.04, measure: (p) => -(p[17][1] + p[26][1]) / 2 },
+  browGap: { scale: 0.03, measure: (p) => distance(p[21], p[22]) },
+  eyeAperture: { scale: 0.02, measure: (p) => (distance(p[37], p[41]) + distance(p[38], p[40]) + distance(p[43], p[47]) + distance(p[44], p[46])) / 4 },
+  noseLength: { scale: 0.03, measure: (p) => distance(p[27], p[33]) },
+  upperLip: { scale: 0.03, measure: (p) => distance(p[33], p[51]) },
+  lipThickness: { scale: 0.03, measure: (p) => distance(p[51], p[62]) + distance(p[57], p[66]) }
+};
+
+// Evidence for each emotion from deviations off the subject's own neutral
+// face, loosely following the FACS prototypes (happy AU6+12, sad AU1+15,
+// angry AU4+23, surprised AU1+2+5+26, fearful AU1+2+4+5+20, disgusted AU9+10).
+// Mouth opening is weighted low: while answering it mostly reflects speech.
+// Half of the smile evidence comes from the stronger corner so one-sided
+// smiles still register.
+const EVIDENCE = {
+  happy: (d) => 0.5 * pos((d.cornerRight + d.cornerLeft) / 2) + 0.5 * pos(Math.max(d.cornerRight, d.cornerLeft)) + 0.5 * pos(d.mouthWidth),
+  sad: (d) => neg((d.cornerRight + d.cornerLeft) / 2) + 0.5 * pos(d.innerBrow - d.outerBrow),
+  angry: (d) => neg(d.browGap) + 0.7 * neg(d.innerBrow) + 0.5 * neg(d.lipThickness),
+  surprised: (d) => 0.5 * pos(d.innerBrow) + 0.5 * pos(d.outerBrow) + 0.7 * pos(d.eyeAperture) + 0.3 * pos(d.mouthOpen),
+  fearful: (d) => 0.5 * pos(d.innerBrow) + 0.5 * neg(d.browGap) + 0.7 * pos(d.eyeAperture) + 0.5 * pos(d.mouthWidth),
+  disgusted: (d) => neg(d.noseLength) + neg(d.upperLip)
+};
+
+// Evidence to probabilities: each emotion weighs exp(gain * evidence) - 1, so
+// no evidence means no weight, against a fixed weight for neutral
+const NEUTRAL_WEIGHT = Math.exp(2.5) - 1;
+const EVIDENCE_GAIN = 2;
+const toProbabilities = (deviation) => {
+  const weights = EMOTIONS.map(name =>
+    name === 'neutral' ? NEUTRAL_WEIGHT : Math.exp(EVIDENCE_GAIN * EVIDENCE[name](deviation)) - 1
+  );
+  const total = weights.reduce((a, b) => a + b, 0);
+  return Object.fromEntries(EMOTIONS.map((name, i) => [name, weights[i] / total]));
+};
+
+const dominant = (probabilities) =>
+  EMOTIONS.reduce((best, name) => (probabilities[name] > probabilities[best] ? name : best), EMOTIONS[0]);
+
+// Per-frame expression probabilities. Frames carrying the browser expression
+// model's output use it; otherwise landmark geometry is classified against the
+// stream's median face, taken as the subject's neutral expression.
+export const classifyExpressions = (stream) => {
+  const faces = stream.frames
+    .filter(frame => frame.faces > 0 && frame.landmarks)
+    .map(frame => {
+      const points = faceCoordinates(frame.landmarks);
+      const geometry = {};
+      for (const [name, { measure }] of Object.entries(GEOMETRY)) geometry[name] = measure(points);
+      return { t: frame.t, model: frame.expressions, geometry };
+    });
+
+  const neutral = {};
+  for (const name of Object.keys(GEOMETRY)) neutral[name] = median(faces.map(f => f.geometry[name]));
+
+  return faces.map(face => {
+    const deviation = {};
+    for (const [name, { scale }] of Object.entries(GEOMETRY)) {
+      deviation[name] = (face.geometry[name] - neutral[name]) / scale;
+    }
+    const fromModel = face.model && EMOTIONS.every(name => typeof face.model[name] === 'number');
+    const probabilities = fromModel ? face.model : toProbabilities(deviation);
+    return { t: face.t, source: fromModel ? 'model' : 'landmarks', probabilities, emotion: dominant(probabilities), deviation };
+  });
+};
+
+// Expression classification, smile episodes and their suppression (quickly
+// masked or asymmetric smiles), and an emotion-over-time series
+export const analyzeEmotions = (stream, options = {}) => {
+  const opts = { ...DEFAULT_EMOTION_OPTIONS, ...options };
+  const frameInterval = 1 / (stream.fps || 10);
+  const maxGap = 2.5 * frameInterval;
+  const frames = classifyExpressions(stream);
+  const duration = frames.length ? frames[frames.length - 1].t - frames[0].t : 0;
+  const minutes = Math.max(duration / 60, 1 / 60);
+
+  // Smile episodes: runs of frames dominated by a happy expression
+  const smiles = [];
+  let run = null;
+  const closeSmile = (next) => {
+    if (!run) return;
+    const smileFrames = frames.slice(run.from, run.to + 1);
+    const asymmetry = mean(smileFrames.map(f => {
+      const right = pos(f.deviation.cornerRight);
+      const left = pos(f.deviation.cornerLeft);
+      return right + left > 0 ? Math.abs(right - left) / (right + left) : 0;
+    }));
+    const smileDuration = frames[run.to].t - frames[run.from].t + frameInterval;
+    // Masked: replaced by a negative expression or pressed lips soon after
+    const end = frames[run.to].t;
+    const after = next === undefined ? [] : frames.slice(run.to + 1).filter(f => f.t - end <= opts.maskWindow);
+    const replaced = after.some(f => NEGATIVE.includes(f.emotion) || f.deviation.lipThickness <= -1.5);
+    // A smile still running when the face track ends cannot be judged
+    const observedEnd = next !== undefined;
+    const masked = observedEnd && (smileDuration < opts.maskedSmileDuration || replaced);
+    const asymmetric = asymmetry >= opts.asymmetry;
+    smiles.push({
+      t: round(frames[run.from].t, 2),
+      duration: round(smileDuration, 2),
+      intensity: round(Math.max(...smileFrames.map(f => f.probabilities.happy)), 2),
+      asymmetry: round(asymmetry, 2),
+      asymmetric,
+      masked
+    });
+    run = null;
+  };
+  frames.forEach((frame, i) => {
+    if (run && frame.t - frames[i - 1].t > maxGap) closeSmile();
+    if (frame.emotion === 'happy' && frame.probabilities.happy >= opts.smileProbability) {
+      if (!run) run = { from: i, to: i };
+      run.to = i;
+    } else {
+      closeSmile(i);
+    }
+  });
+  closeSmile();
+
+  const suppressed = smiles.filter(s => s.masked || s.asymmetric).length;
+  const smileSuppressionScore = smiles.length
+    ? Math.round(100 * clamp01(0.7 * (suppressed / smiles.length) + 0.3 * (suppressed / minutes / 4)))
+    : 0;
+
+  // Share of frames per dominant emotion
+  const distribution = Object.fromEntries(EMOTIONS.map(name => [
+    name,
+    frames.length ? round(frames.filter(f => f.emotion === name).length / frames.length, 3) : 0
+  ]));
+
+  // Visual emotion: how expressive and how negative the face was, and how
+  // often the dominant expression changed
+  let changes = 0;
+  for (let i = 1; i < frames.length; i++) if (frames[i].emotion !== frames[i - 1].emotion) changes++;
+  const expressiveness = mean(frames.map(f => 1 - f.probabilities.neutral));
+  const negativeShare = NEGATIVE.reduce((a, name) => a + distribution[name], 0);
+  const visualEmotionScore = frames.length
+    ? Math.round(100 * clamp01(0.5 * expressiveness + 0.3 * negativeShare + 0.2 * (changes / minutes / 20)))
+    : 0;
+
+  // Mean probabilities over seriesInterval windows
+  const series = [];
+  for (let i = 0; i < frames.length;) {
+    const windowStart = frames[i].t;
+    let j = i;
+    while (j < frames.length && frames[j].t < windowStart + opts.seriesInterval) j++;
+    const windowFrames = frames.slice(i, j);
+    const probabilities = Object.fromEntries(EMOTIONS.map(name => [
+      name,
+      round(mean(windowFrames.map(f => f.probabilities[name])), 3)
+    ]));
+    series.push({ t: round(windowStart, 2), emotion: dominant(probabilities), probabilities });
+    i = j;
+  }
+
+  return {
+    smileSuppressionScore,
+    visualEmotionScore,
+    emotions: {
+      source: frames.some(f => f.source === 'model') ? 'model' : 'landmarks',
+      dominant: frames.length ? dominant(distribution) : null,
+      distribution,
+      expressiveness: round(expressiveness, 3),
+      smileCount: smiles.length,
+      suppressedSmiles: suppressed,
+      smiles,
+      series
+    }
+  };
+};
@@ -0,0 +1,172 @@
+import { mean, round } from './dsp.js';
+import { LANDMARKS, toPoints, centroid, distance } from './landmarks.js';
+import { detectBlinks } from './blink.js';
+import { analyzeHeadPose } from './headpose.js';
+import { detectMicroExpressions } from './microexpressions.js';
+import { analyzeEmotions } from './emotion.js';
+import { assessFaceQuality } from './quality.js';
+import { checkIdentity } from './identity.js';
+
+export class InvalidFacialStreamError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidFacialStreamError';
+    this.statusCode = 400;
+  }
+}
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value || 0));
+
+// Check the browser's per-frame stream: { fps, width, height, frames: [{ t,
+// faces, score, box, landmarks: [x0, y0, ...], expressions?, descriptor? }] }
+export const validateFacialStream = (stream) => {
+  if (!stream || !Array.isArray(stream.frames)) {
+    throw new InvalidFacialStreamError('Facial stream must contain a frames array');
+  }
+  stream.frames.forEach((frame, i) => {
+    if (typeof frame.t !== 'number') {
+      throw new InvalidFacialStreamError(`Frame ${i} has no timestamp`);
+    }
+    if (frame.faces > 0 && (!Array.isArray(frame.landmarks) || frame.landmarks.length !== 136)) {
+      throw new InvalidFacialStreamError(`Frame ${i} must carry 68 landmark points`);
+    }
+    if (frame.expressions !== undefined && (typeof frame.expressions !== 'object' || frame.expressions === null)) {
+      throw new InvalidFacialStreamError(`Frame ${i} expressions must be an object of probabilities`);
+    }
+    if (frame.descriptor !== undefined && (!Array.isArray(frame.descriptor) || frame.descriptor.length !== 128)) {
+      throw new InvalidFacialStreamError(`Frame ${i} descriptor must have 128 values`);
+    }
+  });
+  return stream;
+};
+
+// Frames within [start, end] seconds, e.g. one answer segment
+export const sliceFacialStream = (stream, start, end) => ({
+  ...stream,
+  frames: stream.frames.filter(frame => frame.t >= start && frame.t <= end)
+});
+
+// Landmarks of face frames with translation removed and scale normalized by
+// the inter-ocular distance, so motion is comparable across face sizes
+export const normalizeFaceFrames = (frames) =>
+  frames
+    .filter(frame => frame.faces > 0 && frame.landmarks)
+    .map(frame => {
+      const points = toPoints(frame.landmarks);
+      const rightEye = centroid(points, LANDMARKS.rightEye);
+      const leftEye = centroid(points, LANDMARKS.leftEye);
+      const scale = distance(rightEye, leftEye) || 1;
+      const center = centroid(points);
+      return {
+        t: frame.t,
+        score: frame.score,
+        scale,
+        center,
+        rightEye,
+        leftEye,
+        roll: Math.atan2(leftEye[1] - rightEye[1], leftEye[0] - rightEye[0]),
+        points: points.map(([x, y]) => [(x - center[0]) / scale, (y - center[1]) / scale])
+      };
+    });
+
+// Mean normalized displacement of landmark range between consecutive frames,
+// per second; gaps longer than maxGap (face lost) are not bridged
+const rangeMotion = (faces, [from, to], maxGap) => {
+  const rates = [];
+  for (let i = 1; i < faces.length; i++) {
+    const dt = faces[i].t - faces[i - 1].t;
+    if (dt <= 0 || dt > maxGap) continue;
+    let sum = 0;
+    for (let k = from; k < to; k++) sum += distance(faces[i].points[k], faces[i - 1].points[k]);
+    rates.push(sum / (to - from) / dt);
+  }
+  return mean(rates);
+};
+
+// Summary of a landmark stream: face presence, head pose and gaze aversion,
+// eye-region and expression motion, blinks, micro-expressions, emotions and
+// identity continuity. Scores follow the existing facial result shape.
+// Capture quality gates the result: insufficient quality withholds every
+// score (identity is still checked), degraded quality scales confidence down.
+// options.quality / .identity / .blink / .pose / .micro / .emotion go to the
+// detectors.
+export const analyzeFacialStream = (stream, options = {}) => {
+  validateFacialStream(stream);
+  const frames = stream.frames;
+  const fps = stream.fps || 5;
+  const faces = normalizeFaceFrames(frames);
+  const maxGap = 2.5 / fps;
+  const duration = frames.length ? frames[frames.length - 1].t - frames[0].t : 0;
+  const facePresentRatio = frames.length ? faces.length / frames.length : 0;
+
+  const eyeMotion = rangeMotion(faces, [LANDMARKS.rightEye[0], LANDMARKS.leftEye[1]], maxGap);
+
+  // Expression motion: brows + mouth after head translation/scale is removed
+  const browMotion = rangeMotion(faces, [LANDMARKS.rightBrow[0], LANDMARKS.leftBrow[1]], maxGap);
+  const mouthMotion = rangeMotion(faces, LANDMARKS.mouth, maxGap);
+  const expressionMotion = (browMotion + mouthMotion) / 2;
+  const detectionScore = mean(faces.map(f => f.score || 0));
+
+  const summary = {
+    frames: frames.length,
+    faceFrames: faces.length,
+    facePresentRatio: round(facePresentRatio, 3),
+    duration: round(duration, 2),
+    fps,
+    meanDetectionScore: round(detectionScore, 3),
+    expressionMotion: round(expressionMotion, 3),
+    eyeMotion: round(eyeMotion, 3)
+  };
+
+  const quality = assessFaceQuality(stream, options.quality);
+  const identity = checkIdentity(stream, options.identity);
+  const identityNote = identity.status === 'fail'
+    ? `; identity changed ${identity.changeCount} time(s), first at ${identity.changes[0].start}s`
+    : '';
+  if (quality.level === 'insufficient') {
+    return {
+      withheld: true,
+      confidence: 0,
+      interpretation: `Facial scores withheld: ${quality.issues.join('; ')}${identityNote}`,
+      quality,
+      identity,
+      stream: summary
+    };
+  }
+
+  // Head pose per frame; neutral 50 when too few face frames to judge
+  const headPose = analyzeHeadPose(stream, options.pose);
+  const headPoseStability = headPose.headPoseStability ?? 50;
+  const gazeStability = headPose.gazeStability ?? 50;
+  const coverage = clamp01(facePresentRatio * (0.5 + 0.5 * detectionScore)) * clamp01(duration / 5 + 0.2);
+  const confidence = Math.round(100 * coverage * quality.confidenceFactor);
+  const blinks = detectBlinks(stream, options.blink);
+  const micro = detectMicroExpressions(
+    stream,
+    { blinks: blinks.events, suddenMovements: headPose.pose.suddenMovements },
+    options.micro
+  );
+  const { score: microExpressionsScore, level, ...microExpressionEvents } = micro;
+  const { smileSuppressionScore, visualEmotionScore, emotions } = analyzeEmotions(stream, options.emotion);
+  const qualityNote = quality.issues.length ? `; quality degraded: ${quality.issues.join(', ')}` : '';
+
+  return {
+    microExpressions: level,
+    microExpressionsScore,
+    eyeMovement: eyeMotion > 0.8 ? 'Frequent' : eyeMotion > 0.4 ? 'Moderate' : 'Stable',
+    headPoseStability,
+    gazeStability,
+    blinkingScore: blinks.score,
+    smileSuppressionScore,
+    visualEmotionScore,
+    confidence,
+    interpretation: `Face landmarks: ${faces.length}/${frames.length} frames with a face over ${duration.toFixed(1)}s, expression motion ${expressionMotion.toFixed(2)}, ${headPose.pose.suddenMovementCount} sudden head movements, ${headPose.pose.gazeAversionCount} gaze aversions, ${blinks.ratePerMinute} blinks/min, ${micro.count} micro-expressions, mostly ${emotions.dominant ?? 'no'} expression, ${emotions.suppressedSmiles}/${emotions.smileCount} smiles suppressed${qualityNote}${identityNote}`,
+    blinks,
+    microExpressionEvents,
+    emotions,
+    pose: headPose.pose,
+    quality,
+    identity,
+    stream: summary
+  };
+};
@@ -0,0 +1,193 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Matrix } from 'ml-matrix';
+import { MODALITIES } from './analyzers.js';
+import { featureLabel } from './truth_explanation.js';
+
+// Learned fusion models: trained offline from labelled sessions
+// (scripts/train_fusion.js), saved as JSON in FUSION_MODELS_DIR and used by
+// scoring profiles that name one in `model`. A model maps a session's
+// modality results to P(truthful); the truth score is 100 * P.
+//
+// Model file:
+//   name, type ('logistic' | 'mlp'), features (FUSION_FEATURES order),
+//   means / stds (standardization, means also impute missing values),
+//   layers [{ weights: [inputs][outputs], bias: [outputs], activation }],
+//   trainedAt, samples, metrics
+
+export const FUSION_MODEL_VERSION = 1;
+
+// Result fields the models read, per modality
+export const FUSION_FEATURES = {
+  voice: ['pitchScore', 'toneScore', 'emotionalScore', 'stressScore', 'tremorScore', 'hesitationScore'],
+  facial: [
+    'headPoseStability',
+    'gazeStability',
+    'blinkingScore',
+    'microExpressionsScore',
+    'smileSuppressionScore',
+    'visualEmotionScore'
+  ],
+  text: ['sentimentScore', 'consistencyScore', 'complexityScore', 'contradictionScore', 'deceptionScore']
+};
+
+// Flat feature names: one presence flag per modality, then its fields
+export const FEATURE_NAMES = MODALITIES.flatMap(modality => [
+  `${modality}.present`,
+  ...FUSION_FEATURES[modality].map(field => `${modality}.${field}`)
+]);
+
+export const modelsDir = () =>
+  process.env.FUSION_MODELS_DIR || fileURLToPath(new URL('../fusion_models', import.meta.url));
+
+// A missing or unreadable model file
+export class FusionModelError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FusionModelError';
+    this.statusCode = 400;
+  }
+}
+
+const finite = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Raw feature vector (FEATURE_NAMES order) of { voice, facial, text }
+// results; missing fields are null. A modality without any of its fields
+// (or a withheld facial result) counts as absent.
+export const featureVector = ({ voice, facial, text }) => {
+  const results = { voice, facial: facial?.withheld ? null : facial, text };
+  return MODALITIES.flatMap(modality => {
+    const values = FUSION_FEATURES[modality].map(field => finite(results[modality]?.[field]));
+    return [values.some(value => value !== null) ? 1 : 0, ...values];
+  });
+};
+
+const ACTIVATIONS = {
+  linear: value => value,
+  relu: value => Math.max(0, value),
+  sigmoid: value => 1 / (1 + Math.exp(-value)),
+  tanh: Math.tanh
+};
+
+// Standardized input row: missing values take the training mean
+const standardize = (model, vector) =>
+  vector.map((value, i) => ((value ?? model.means[i]) - model.means[i]) / (model.stds[i] || 1));
+
+// Output of dense layers for standardized input rows
+export const forwardLayers = (layers, rows) =>
+  layers
+    .reduce((activations, { weights, bias, activation }) => {
+      const output = activations.mmul(new Matrix(weights)).addRowVector(bias);
+      return output.apply((row, column) => output.set(row, column, ACTIVATIONS[activation](output.get(row, column))));
+    }, new Matrix(rows))
+    .getColumn(0);
+
+// P(truthful) for raw feature vectors
+export const predictProbabilities = (model, vectors) =>
+  forwardLayers(model.layers, vectors.map(vector => standardize(model, vector)));
+
+// Whether a feature vector has any modality present
+export const hasModality = (vector) =>
+  FEATURE_NAMES.some((name, i) => name.endsWith('.present') && vector[i] === 1);
+
+// Share of each input in the first layer's absolute weights
+const featureImportance = (model) => {
+  const totals = model.layers[0].weights.map(row => row.reduce((sum, w) => sum + Math.abs(w), 0));
+  const all = totals.reduce((sum, total) => sum + total, 0) || 1;
+  return totals.map(total => total / all);
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Signed points each feature and modality moves the model's score, by
+// replacing it with its training mean (a whole modality: marking it absent).
+// Unlike profile fusion, these contributions need not add up to the score.
+export const explainModelScore = (model, vector, modalityScores = {}) => {
+  const [base] = predictProbabilities(model, [vector]);
+  const importance = featureImportance(model);
+  const without = (indices, absent) =>
+    vector.map((value, i) => (indices.includes(i) ? (absent && model.features[i].endsWith('.present') ? 0 : null) : value));
+
+  return MODALITIES.filter(modality => vector[model.features.indexOf(`${modality}.present`)] === 1).map(modality => {
+    const indices = model.features
+      .map((name, i) => (name.startsWith(`${modality}.`) ? i : -1))
+      .filter(i => i >= 0);
+    const [withoutModality] = predictProbabilities(model, [without(indices, true)]);
+    const features = indices
+      .filter(i => !model.features[i].endsWith('.present') && vector[i] !== null)
+      .map(i => {
+        const [withoutFeature] = predictProbabilities(model, [without([i], false)]);
+        const feature = model.features[i].split('.')[1];
+        return {
+          feature,
+          label: featureLabel(feature),
+          value: round1(vector[i]),
+          weight: Math.round(importance[i] * 1000) / 1000,
+          contribution: round1(100 * (base - withoutFeature))
+        };
+      });
+    return {
+      modality,
+      score: modalityScores[modality] != null ? round1(modalityScores[modality]) : null,
+      weight: Math.round(indices.reduce((sum, i) => sum + importance[i], 0) * 1000) / 1000,
+      calibrated: false,
+      contribution: round1(100 * (base - withoutModality)),
+      features
+    };
+  });
+};
+
+const modelPath = (name) => path.join(modelsDir(), `${path.basename(String(name))}.json`);
+
+const loaded = new Map();
+
+// Saved model by name, cached until the file changes
+export const loadFusionModel = async (name) => {
+  const file = modelPath(name);
+  let stat;
+  try {
+    stat = await fs.stat(file);
+  } catch {
+    throw new FusionModelError(`No fusion model named "${name}" in ${modelsDir()}`);
+  }
+  const cached = loaded.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.model;
+  let model;
+  try {
+    model = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new FusionModelError(`Fusion model "${name}" is not valid JSON: ${error.message}`);
+  }
+  if (model.version !== FUSION_MODEL_VERSION || !Array.isArray(model.layers) || !model.layers.length) {
+    throw new FusionModelError(`Fusion model "${name}" has an unsupported format`);
+  }
+  if (model.features.join() !== FEATURE_NAMES.join()) {
+    throw new FusionModelError(`Fusion model "${name}" was trained on a different feature set; retrain it`);
+  }
+  loaded.set(file, { mtimeMs: stat.mtimeMs, model });
+  return model;
+};
+
+export const saveFusionModel = async (model) => {
+  await fs.mkdir(modelsDir(), { recursive: true });
+  const file = modelPath(model.name);
+  await fs.writeFile(file, JSON.stringify(model, null, 2));
+  return file;
+};
+
+// Summaries of the saved models
+export const listFusionModels = async () => {
+  let files;
+  try {
+    files = (await fs.readdir(modelsDir())).filter(file => file.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  const models = await Promise.all(
+    files.map(file => loadFusionModel(path.basename(file, '.json')).catch(() => null))
+  );
+  return models
+    .filter(Boolean)
+    .map(({ name, type, trainedAt, samples, metrics }) => ({ name, type, trainedAt, samples, metrics }));
+};
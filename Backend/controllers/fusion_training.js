@@ -0,0 +1,273 @@
+import { Matrix } from 'ml-matrix';
+import Session from '../models/Session.js';
+import {
+  FEATURE_NAMES,
+  FUSION_MODEL_VERSION,
+  featureVector,
+  forwardLayers,
+  hasModality,
+  listFusionModels
+} from './fusion_model.js';
+
+// Training data and offline training of fusion models (see fusion_model.js).
+// Rows are the session-level modality results of sessions an admin has
+// labelled (groundTruth.label), with truthful as the positive class:
+//   { sessionId, label, features: [FEATURE_NAMES order, null when missing] }
+// scripts/train_fusion.js fits one of two model types on them:
+//   logistic  L2-regularized logistic regression, batch gradient descent
+//             with ml-matrix
+//   mlp       one hidden ReLU layer and a sigmoid output, trained with
+//             @tensorflow/tfjs
+// A seeded shuffle holds out part of the rows to measure the model, which
+// is then refit on all of them.
+
+export const DEFAULT_TRAINING_OPTIONS = {
+  minSamples: 10,
+  holdout: 0.2, // share of rows held out for metrics (none below minSamples * 2)
+  seed: 42,
+  logistic: { epochs: 2000, learningRate: 0.1, l2: 0.01 },
+  mlp: { hidden: 8, epochs: 200, learningRate: 0.01, batchSize: 16 }
+};
+
+export const FUSION_MODEL_TYPES = ['logistic', 'mlp'];
+
+// Too little or one-sided training data, or an unknown model type
+export class FusionTrainingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FusionTrainingError';
+    this.statusCode = 400;
+  }
+}
+
+const LABELS = { truthful: 1, deceptive: 0 };
+
+// Labelled feature rows of every session with a ground-truth label and at
+// least one analyzed modality
+export const labelledTrainingRows = async () => {
+  const sessions = await Session.find({ 'groundTruth.label': { $in: Object.keys(LABELS) } })
+    .select('voice facial text groundTruth')
+    .sort({ createdAt: 1 })
+    .lean();
+  return sessions
+    .map(({ _id, voice, facial, text, groundTruth }) => ({
+      sessionId: String(_id),
+      label: groundTruth.label,
+      features: featureVector({ voice, facial, text })
+    }))
+    .filter(({ features }) => hasModality(features));
+};
+
+const csvCell = (value) => (value === null || value === undefined ? '' : String(value));
+
+// Rows as CSV: sessionId, label, then one column per feature
+export const trainingRowsToCsv = (rows) =>
+  [
+    ['sessionId', 'label', ...FEATURE_NAMES].join(','),
+    ...rows.map(({ sessionId, label, features }) => [sessionId, label, ...features].map(csvCell).join(','))
+  ].join('\n');
+
+// Mulberry32: repeatable shuffles for a given seed
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const shuffled = (items, seed) => {
+  const random = seededRandom(seed);
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Per-feature mean and standard deviation over the non-missing values
+const featureStats = (vectors) => {
+  const means = [];
+  const stds = [];
+  FEATURE_NAMES.forEach((name, i) => {
+    const values = vectors.map(vector => vector[i]).filter(value => value !== null);
+    const mean = values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    const variance = values.length
+      ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length
+      : 0;
+    means.push(mean);
+    stds.push(Math.sqrt(variance) || 1);
+  });
+  return { means, stds };
+};
+
+const standardizeAll = (vectors, { means, stds }) =>
+  vectors.map(vector => vector.map((value, i) => ((value ?? means[i]) - means[i]) / stds[i]));
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+// Layers of a logistic regression fitted to standardized inputs
+const fitLogistic = (inputs, targets, { epochs, learningRate, l2 }) => {
+  const x = new Matrix(inputs);
+  const y = Matrix.columnVector(targets);
+  const n = inputs.length;
+  let weights = Matrix.zeros(x.columns, 1);
+  let bias = 0;
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const linear = x.mmul(weights).add(bias);
+    const error = linear.apply((row, column) => linear.set(row, column, sigmoid(linear.get(row, column)))).sub(y);
+    const gradient = x.transpose().mmul(error).div(n).add(Matrix.mul(weights, l2));
+    weights = weights.sub(gradient.mul(learningRate));
+    bias -= (learningRate * error.sum()) / n;
+  }
+  return [{ weights: weights.to2DArray(), bias: [bias], activation: 'sigmoid' }];
+};
+
+// Layers of a one-hidden-layer network fitted to standardized inputs
+const fitMlp = async (inputs, targets, { hidden, epochs, learningRate, batchSize }, seed) => {
+  const tf = await import('@tensorflow/tfjs');
+  // Plain JS backend: small networks, no native or wasm setup needed
+  await tf.setBackend('cpu');
+  const model = tf.sequential({
+    layers: [
+      tf.layers.dense({
+        inputShape: [inputs[0].length],
+        units: hidden,
+        activation: 'relu',
+        kernelInitializer: tf.initializers.glorotUniform({ seed })
+      }),
+      tf.layers.dense({
+        units: 1,
+        activation: 'sigmoid',
+        kernelInitializer: tf.initializers.glorotUniform({ seed: seed + 1 })
+      })
+    ]
+  });
+  model.compile({ optimizer: tf.train.adam(learningRate), loss: 'binaryCrossentropy' });
+  const x = tf.tensor2d(inputs);
+  const y = tf.tensor2d(targets, [targets.length, 1]);
+  try {
+    await model.fit(x, y, { epochs, batchSize, shuffle: false, verbose: 0 });
+    return model.layers.map((layer, i) => {
+      const [kernel, bias] = layer.getWeights();
+      return {
+        weights: kernel.arraySync(),
+        bias: bias.arraySync(),
+        activation: i === model.layers.length - 1 ? 'sigmoid' : 'relu'
+      };
+    });
+  } finally {
+    tf.dispose([x, y]);
+    model.dispose();
+  }
+};
+
+// Accuracy at 0.5 and mean log loss
+const evaluate = (layers, inputs, targets) => {
+  const probabilities = forwardLayers(layers, inputs);
+  const epsilon = 1e-7;
+  const correct = probabilities.filter((p, i) => (p >= 0.5 ? 1 : 0) === targets[i]).length;
+  const logLoss = -probabilities.reduce((sum, p, i) => {
+    const q = Math.min(1 - epsilon, Math.max(epsilon, p));
+    return sum + (targets[i] ? Math.log(q) : Math.log(1 - q));
+  }, 0) / targets.length;
+  return {
+    accuracy: Math.round((correct / targets.length) * 1000) / 1000,
+    logLoss: Math.round(logLoss * 1000) / 1000,
+    samples: targets.length
+  };
+};
+
+const fit = (type, inputs, targets, opts) =>
+  type === 'mlp' ? fitMlp(inputs, targets, opts.mlp, opts.seed) : fitLogistic(inputs, targets, opts.logistic);
+
+// A fusion model (see fusion_model.js for the format) fitted to labelled
+// rows; options override DEFAULT_TRAINING_OPTIONS per key
+export const trainFusionModel = async (rows, { name, type = 'logistic', ...options } = {}) => {
+  const opts = {
+    ...DEFAULT_TRAINING_OPTIONS,
+    ...options,
+    logistic: { ...DEFAULT_TRAINING_OPTIONS.logistic, ...options.logistic },
+    mlp: { ...DEFAULT_TRAINING_OPTIONS.mlp, ...options.mlp }
+  };
+  if (!FUSION_MODEL_TYPES.includes(type)) {
+    throw new FusionTrainingError(`Unknown model type "${type}" (available: ${FUSION_MODEL_TYPES.join(', ')})`);
+  }
+  const usable = rows.filter(row => row.label in LABELS && row.features?.length === FEATURE_NAMES.length);
+  const counts = Object.fromEntries(
+    Object.keys(LABELS).map(label => [label, usable.filter(row => row.label === label).length])
+  );
+  if (usable.length < opts.minSamples || Object.values(counts).some(count => count === 0)) {
+    throw new FusionTrainingError(
+      `Training needs at least ${opts.minSamples} labelled sessions including both labels ` +
+        `(have ${counts.truthful} truthful, ${counts.deceptive} deceptive)`
+    );
+  }
+
+  // Measure on held-out rows, then refit on all of them
+  const order = shuffled(usable, opts.seed);
+  const holdoutCount = usable.length >= opts.minSamples * 2 ? Math.round(usable.length * opts.holdout) : 0;
+  const heldOut = order.slice(0, holdoutCount);
+  const training = order.slice(holdoutCount);
+  const prepare = (subset, stats) => ({
+    inputs: standardizeAll(subset.map(row => row.features), stats),
+    targets: subset.map(row => LABELS[row.label])
+  });
+
+  let metrics;
+  if (heldOut.length) {
+    const stats = featureStats(training.map(row => row.features));
+    const train = prepare(training, stats);
+    const test = prepare(heldOut, stats);
+    const layers = await fit(type, train.inputs, train.targets, opts);
+    metrics = { evaluatedOn: 'holdout', ...evaluate(layers, test.inputs, test.targets) };
+  }
+
+  const stats = featureStats(usable.map(row => row.features));
+  const all = prepare(usable, stats);
+  const layers = await fit(type, all.inputs, all.targets, opts);
+  if (!metrics) metrics = { evaluatedOn: 'training', ...evaluate(layers, all.inputs, all.targets) };
+
+  return {
+    version: FUSION_MODEL_VERSION,
+    name,
+    type,
+    features: FEATURE_NAMES,
+    ...stats,
+    layers,
+    trainedAt: new Date().toISOString(),
+    samples: { total: usable.length, ...counts },
+    metrics
+  };
+};
+
+// Express route handlers (admin only, see Routes/training.js)
+
+// Labelled feature rows as JSON ({ features, rows }, the input of
+// scripts/train_fusion.js --input) or, with ?format=csv, as a CSV file
+export const exportTrainingData = async (req, res, next) => {
+  try {
+    const rows = await labelledTrainingRows();
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="fusion-training.csv"');
+      return res.status(200).send(trainingRowsToCsv(rows));
+    }
+    res.status(200).json({ success: true, features: FEATURE_NAMES, rows });
+  } catch (error) {
+    console.error('Training data export error:', error);
+    res.status(500);
+    next(error);
+  }
+};
+
+// Saved fusion models, for naming one in a scoring profile
+export const listTrainedModels = async (req, res, next) => {
+  try {
+    res.status(200).json({ success: true, models: await listFusionModels() });
+  } catch (error) {
+    console.error('Fusion model listing error:', error);
+    res.status(500);
+    next(error);
+  }
+};
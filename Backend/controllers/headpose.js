@@ -0,0 +1,266 @@
+import { mean, std, median, round } from './dsp.js';
+import { toPoints } from './landmarks.js';
+
+export const DEFAULT_POSE_OPTIONS = {
+  suddenVelocity: 90, // degrees/second of head rotation counted as sudden
+  suddenMinAngle: 5, // degrees the head must actually turn in that movement
+  aversionYaw: 20, // degrees away from the subject's neutral pose
+  aversionPitch: 15,
+  minAversion: 0.5 // seconds a turned-away pose must last
+};
+
+// Generic 3D face (mm) in camera axes: x right, y down, z away from the
+// camera, nose tip at the origin. Paired with 68-point landmark indices.
+const MODEL_POINTS = [
+  { index: 30, point: [0, 0, 0] }, // nose tip
+  { index: 8, point: [0, 330, 65] }, // chin
+  { index: 36, point: [-225, -170, 135] }, // outer corner of the eye on image left
+  { index: 45, point: [225, -170, 135] }, // outer corner of the eye on image right
+  { index: 48, point: [-150, 150, 125] }, // mouth corner on image left
+  { index: 54, point: [150, 150, 125] } // mouth corner on image right
+];
+
+const DEG = 180 / Math.PI;
+
+// Rodrigues: rotation vector -> 3x3 matrix
+const rotationMatrix = ([rx, ry, rz]) => {
+  const theta = Math.hypot(rx, ry, rz);
+  if (theta < 1e-12) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  const [kx, ky, kz] = [rx / theta, ry / theta, rz / theta];
+  const c = Math.cos(theta);
+  const s = Math.sin(theta);
+  const v = 1 - c;
+  return [
+    [c + kx * kx * v, kx * ky * v - kz * s, kx * kz * v + ky * s],
+    [ky * kx * v + kz * s, c + ky * ky * v, ky * kz * v - kx * s],
+    [kz * kx * v - ky * s, kz * ky * v + kx * s, c + kz * kz * v]
+  ];
+};
+
+// Pinhole projection residuals (pixels) for pose [rx, ry, rz, tx, ty, tz]
+const residuals = (pose, image, camera) => {
+  const R = rotationMatrix(pose);
+  const out = [];
+  MODEL_POINTS.forEach(({ point }, i) => {
+    const [X, Y, Z] = point;
+    const x = R[0][0] * X + R[0][1] * Y + R[0][2] * Z + pose[3];
+    const y = R[1][0] * X + R[1][1] * Y + R[1][2] * Z + pose[4];
+    const z = R[2][0] * X + R[2][1] * Y + R[2][2] * Z + pose[5];
+    out.push(camera.focal * x / z + camera.cx - image[i][0]);
+    out.push(camera.focal * y / z + camera.cy - image[i][1]);
+  });
+  return out;
+};
+
+// Solve the 6x6 normal equations (A x = b) by Gaussian elimination
+const solve = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    const tmp = M[col];
+    M[col] = M[pivot];
+    M[pivot] = tmp;
+    if (Math.abs(M[col][col]) < 1e-12) return null;
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= factor * M[col][c];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+};
+
+// Levenberg-Marquardt minimization of the reprojection error with a
+// numerical Jacobian, the same objective as an iterative solvePnP
+export const solvePose = (image, camera, initial, iterations = 30) => {
+  let pose = [...initial];
+  let error = residuals(pose, image, camera).reduce((a, r) => a + r * r, 0);
+  let lambda = 1e-3;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const r0 = residuals(pose, image, camera);
+    const J = pose.map((_, p) => {
+      const step = p < 3 ? 1e-5 : 1e-3;
+      const shifted = [...pose];
+      shifted[p] += step;
+      return residuals(shifted, image, camera).map((r, k) => (r - r0[k]) / step);
+    });
+    const JtJ = pose.map((_, a) => pose.map((_, b) => J[a].reduce((s, v, k) => s + v * J[b][k], 0)));
+    const Jtr = pose.map((_, a) => J[a].reduce((s, v, k) => s + v * r0[k], 0));
+
+    let improved = false;
+    while (lambda < 1e8) {
+      const damped = JtJ.map((row, a) => row.map((v, b) => (a === b ? v * (1 + lambda) : v)));
+      const delta = solve(damped, Jtr.map(v => -v));
+      if (!delta) break;
+      const candidate = pose.map((v, p) => v + delta[p]);
+      const candidateError = residuals(candidate, image, camera).reduce((a, r) => a + r * r, 0);
+      if (candidate[5] > 0 && candidateError < error) {
+        const converged = error - candidateError < 1e-6 * error;
+        pose = candidate;
+        error = candidateError;
+        lambda = Math.max(lambda / 10, 1e-9);
+        improved = !converged;
+        break;
+      }
+      lambda *= 10;
+    }
+    if (!improved) break;
+  }
+
+  return { pose, rmsError: Math.sqrt(error / (MODEL_POINTS.length * 2)) };
+};
+
+// Pitch (nodding, positive = looking down), yaw (turning, positive = toward
+// image right) and roll (tilting), in degrees, from a rotation vector
+export const eulerAngles = (rotation) => {
+  const R = rotationMatrix(rotation);
+  return {
+    pitch: Math.atan2(R[2][1], R[2][2]) * DEG,
+    yaw: Math.asin(Math.max(-1, Math.min(1, R[2][0]))) * DEG,
+    roll: Math.atan2(R[1][0], R[0][0]) * DEG
+  };
+};
+
+// Per-frame head pose for every face frame, warm-starting each solve from the
+// previous frame. Camera intrinsics assume focal length = image width.
+export const estimateHeadPoses = (stream) => {
+  const width = stream.width || 640;
+  const height = stream.height || 480;
+  const camera = { focal: width, cx: width / 2, cy: height / 2 };
+  const poses = [];
+  let previous = null;
+
+  for (const frame of stream.frames) {
+    if (!(frame.faces > 0 && frame.landmarks)) continue;
+    const points = toPoints(frame.landmarks);
+    const image = MODEL_POINTS.map(({ index }) => points[index]);
+
+    let initial = previous;
+    if (!initial) {
+      // Distance from the apparent eye-corner span (450 mm in the model)
+      const span = Math.hypot(image[3][0] - image[2][0], image[3][1] - image[2][1]) || 1;
+      const tz = (camera.focal * 450) / span;
+      initial = [0, 0, 0, ((image[0][0] - camera.cx) * tz) / camera.focal, ((image[0][1] - camera.cy) * tz) / camera.focal, tz];
+    }
+    const { pose, rmsError } = solvePose(image, camera, initial);
+    previous = pose;
+    const angles = eulerAngles(pose.slice(0, 3));
+    poses.push({
+      t: frame.t,
+      pitch: round(angles.pitch, 1),
+      yaw: round(angles.yaw, 1),
+      roll: round(angles.roll, 1),
+      error: round(rmsError, 1)
+    });
+  }
+  return poses;
+};
+
+// Pose variance, sudden head movements and head-orientation gaze aversions
+// (no pupil tracking: the gaze direction is taken from the head pose)
+export const analyzeHeadPose = (stream, options = {}) => {
+  const opts = { ...DEFAULT_POSE_OPTIONS, ...options };
+  const poses = estimateHeadPoses(stream);
+  const maxGap = 2.5 / (stream.fps || 10);
+  const duration = poses.length ? poses[poses.length - 1].t - poses[0].t : 0;
+  const minutes = Math.max(duration / 60, 1 / 60);
+
+  const neutral = {
+    pitch: median(poses.map(p => p.pitch)),
+    yaw: median(poses.map(p => p.yaw))
+  };
+
+  // Sudden movements: consecutive frames rotating faster than suddenVelocity,
+  // merged into one event while the fast movement continues
+  const suddenMovements = [];
+  let movement = null;
+  for (let i = 1; i <= poses.length; i++) {
+    const dt = i < poses.length ? poses[i].t - poses[i - 1].t : 0;
+    const angle = i < poses.length
+      ? Math.hypot(poses[i].pitch - poses[i - 1].pitch, poses[i].yaw - poses[i - 1].yaw, poses[i].roll - poses[i - 1].roll)
+      : 0;
+    const fast = dt > 0 && dt <= maxGap && angle / dt >= opts.suddenVelocity;
+    if (fast) {
+      if (!movement) movement = { t: poses[i - 1].t, angle: 0, peakVelocity: 0 };
+      movement.angle += angle;
+      movement.peakVelocity = Math.max(movement.peakVelocity, angle / dt);
+    } else if (movement) {
+      if (movement.angle >= opts.suddenMinAngle) {
+        suddenMovements.push({
+          t: round(movement.t, 2),
+          angle: round(movement.angle, 1),
+          peakVelocity: round(movement.peakVelocity, 1)
+        });
+      }
+      movement = null;
+    }
+  }
+
+  // Gaze aversion: the head stays turned away from the neutral pose;
+  // left/right are image directions
+  const direction = (pose) => {
+    const dyaw = pose.yaw - neutral.yaw;
+    const dpitch = pose.pitch - neutral.pitch;
+    if (Math.abs(dyaw) >= opts.aversionYaw && Math.abs(dyaw) / opts.aversionYaw >= Math.abs(dpitch) / opts.aversionPitch) {
+      return dyaw > 0 ? 'right' : 'left';
+    }
+    if (Math.abs(dpitch) >= opts.aversionPitch) return dpitch > 0 ? 'down' : 'up';
+    return null;
+  };
+  const gazeAversions = [];
+  let aversion = null;
+  const closeAversion = () => {
+    if (aversion && aversion.end - aversion.start >= opts.minAversion) {
+      gazeAversions.push({
+        start: round(aversion.start, 2),
+        end: round(aversion.end, 2),
+        duration: round(aversion.end - aversion.start, 2),
+        direction: aversion.direction
+      });
+    }
+    aversion = null;
+  };
+  poses.forEach((pose, i) => {
+    if (aversion && pose.t - poses[i - 1].t > maxGap) closeAversion();
+    const dir = direction(pose);
+    if (dir && aversion && aversion.direction === dir) {
+      aversion.end = pose.t;
+    } else {
+      closeAversion();
+      if (dir) aversion = { start: pose.t, end: pose.t, direction: dir };
+    }
+  });
+  closeAversion();
+
+  const variance = {
+    pitch: round(std(poses.map(p => p.pitch)), 2),
+    yaw: round(std(poses.map(p => p.yaw)), 2),
+    roll: round(std(poses.map(p => p.roll)), 2)
+  };
+  const spread = Math.hypot(variance.pitch, variance.yaw, variance.roll);
+  const aversionTime = gazeAversions.reduce((a, g) => a + g.duration, 0);
+
+  const clamp01 = (value) => Math.max(0, Math.min(1, value || 0));
+  const stability = poses.length < 2 ? null : Math.round(100 * (1 - clamp01(0.6 * spread / 15 + 0.4 * suddenMovements.length / minutes / 6)));
+  const gaze = poses.length < 2 ? null : Math.round(100 * (1 - clamp01(0.6 * (aversionTime / Math.max(duration, 1)) * 2 + 0.4 * gazeAversions.length / minutes / 4)));
+
+  return {
+    headPoseStability: stability,
+    gazeStability: gaze,
+    pose: {
+      frames: poses.length,
+      neutral: { pitch: round(neutral.pitch, 1), yaw: round(neutral.yaw, 1) },
+      variance,
+      meanError: round(mean(poses.map(p => p.error)), 2),
+      suddenMovementCount: suddenMovements.length,
+      suddenMovements,
+      gazeAversionCount: gazeAversions.length,
+      gazeAversionTime: round(aversionTime, 2),
+      gazeAversions,
+      series: poses.map(({ t, pitch, yaw, roll }) => ({ t, pitch, yaw, roll }))
+    }
+  };
+};
@@ -0,0 +1,73 @@
+import { mean, round } from './dsp.js';
+
+export const DEFAULT_IDENTITY_OPTIONS = {
+  referenceWindow: 5, // seconds of descriptors at the start that define the subject
+  threshold: 0.6, // euclidean descriptor distance; face-api's same-person cut-off
+  minConsecutive: 2 // descriptors in a row beyond the threshold to flag a change
+};
+
+const DESCRIPTOR_LENGTH = 128;
+
+export const descriptorDistance = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return Math.sqrt(sum);
+};
+
+const descriptorFrames = (stream) =>
+  stream.frames.filter(frame => frame.faces > 0 && Array.isArray(frame.descriptor) && frame.descriptor.length === DESCRIPTOR_LENGTH);
+
+// Mean descriptor of the opening referenceWindow seconds, or null when the
+// stream carries no descriptors
+export const referenceDescriptor = (stream, options = {}) => {
+  const opts = { ...DEFAULT_IDENTITY_OPTIONS, ...options };
+  const frames = descriptorFrames(stream);
+  if (!frames.length) return null;
+  const opening = frames.filter(frame => frame.t <= frames[0].t + opts.referenceWindow);
+  return Array.from({ length: DESCRIPTOR_LENGTH }, (_, i) => mean(opening.map(frame => frame.descriptor[i])));
+};
+
+// Whether the face on camera stays the subject from the opening frames:
+// descriptor distances to the reference, with runs of minConsecutive or more
+// descriptors beyond the threshold reported as identity changes. A reference
+// from the whole recording can be passed in (options.reference) when checking
+// a slice of it.
+export const checkIdentity = (stream, options = {}) => {
+  const opts = { ...DEFAULT_IDENTITY_OPTIONS, ...options };
+  const frames = descriptorFrames(stream);
+  const reference = opts.reference || referenceDescriptor(stream, opts);
+  if (!frames.length || !reference) {
+    return { status: 'unverified', descriptors: 0, threshold: opts.threshold, changeCount: 0, changes: [] };
+  }
+
+  const distances = frames.map(frame => ({ t: frame.t, distance: descriptorDistance(frame.descriptor, reference) }));
+  const changes = [];
+  let run = [];
+  const closeRun = () => {
+    if (run.length >= opts.minConsecutive) {
+      changes.push({
+        start: round(run[0].t, 2),
+        end: round(run[run.length - 1].t, 2),
+        duration: round(run[run.length - 1].t - run[0].t, 2),
+        meanDistance: round(mean(run.map(d => d.distance)), 3),
+        maxDistance: round(Math.max(...run.map(d => d.distance)), 3)
+      });
+    }
+    run = [];
+  };
+  distances.forEach(d => {
+    if (d.distance > opts.threshold) run.push(d);
+    else closeRun();
+  });
+  closeRun();
+
+  return {
+    status: changes.length ? 'fail' : 'pass',
+    descriptors: frames.length,
+    threshold: opts.threshold,
+    meanDistance: round(mean(distances.map(d => d.distance)), 3),
+    maxDistance: round(Math.max(...distances.map(d => d.distance)), 3),
+    changeCount: changes.length,
+    changes
+  };
+};
@@ -0,0 +1,29 @@
+// 68-point (iBUG) landmark index ranges
+export const LANDMARKS = {
+  jaw: [0, 17],
+  rightBrow: [17, 22],
+  leftBrow: [22, 27],
+  nose: [27, 36],
+  rightEye: [36, 42],
+  leftEye: [42, 48],
+  mouth: [48, 68],
+  noseTip: 30
+};
+
+export const toPoints = (landmarks) => {
+  const points = [];
+  for (let i = 0; i < landmarks.length; i += 2) points.push([landmarks[i], landmarks[i + 1]]);
+  return points;
+};
+
+export const centroid = (points, [from, to] = [0, points.length]) => {
+  let x = 0;
+  let y = 0;
+  for (let i = from; i < to; i++) {
+    x += points[i][0];
+    y += points[i][1];
+  }
+  return [x / (to - from), y / (to - from)];
+};
+
+export const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
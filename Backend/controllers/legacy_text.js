@@ -0,0 +1,38 @@
+// The original text scoring, kept as the 'legacy' text engine (analyzers.js)
+// so transcripts can be compared against the 'lexicon' engine that replaced
+// it: a six-word positive/negative list for sentiment, words per sentence
+// for complexity and word count for consistency, with fixed contradiction,
+// deception and confidence scores. Scores are clamped to 0-100 like the
+// other engines.
+
+const clampScore = (score) => Math.max(0, Math.min(100, Math.round(score)));
+
+const POSITIVE_WORDS = ['good', 'great', 'excellent', 'amazing', 'love', 'happy'];
+const NEGATIVE_WORDS = ['bad', 'terrible', 'awful', 'hate', 'angry', 'sad'];
+
+// Sentiment in [-1, 1]: 0.2 per listed word
+const wordListSentiment = (text) => {
+  let score = 0;
+  text.toLowerCase().split(' ').forEach(word => {
+    if (POSITIVE_WORDS.includes(word)) score += 0.2;
+    if (NEGATIVE_WORDS.includes(word)) score -= 0.2;
+  });
+  return Math.max(-1, Math.min(1, score));
+};
+
+// Legacy text scores of a transcript
+export const analyzeLegacyText = (text) => {
+  const words = text.split(' ');
+  const sentiment = wordListSentiment(text);
+  const complexity = words.length / text.split('.').length;
+
+  return {
+    sentimentScore: clampScore(sentiment * 100 + 50),
+    consistencyScore: clampScore(100 - words.length / 10),
+    complexityScore: clampScore(complexity * 10),
+    contradictionScore: 90,
+    deceptionScore: 85,
+    confidence: 75,
+    interpretation: `Real text: ${words.length} words, sentiment ${sentiment.toFixed(2)}`
+  };
+};
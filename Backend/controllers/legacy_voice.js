@@ -0,0 +1,82 @@
+import { magnitudeSpectrum } from './spectral.js';
+
+// The original voice scoring, kept as the 'legacy' voice engine
+// (analyzers.js) so recordings can be compared against the 'acoustic'
+// engine that replaced it: RMS level, spectral centroid of the first 1024
+// samples, zero crossing rate and a single autocorrelation pitch estimate
+// over the first 2048 samples. It measures the decoded sample rate instead
+// of assuming 44.1 kHz, and clamps every score to 0-100 like the other
+// engines.
+
+const clampScore = (score) => Math.max(0, Math.min(100, Math.round(score)));
+
+const rootMeanSquare = (signal) => {
+  let sum = 0;
+  for (let i = 0; i < signal.length; i++) sum += signal[i] * signal[i];
+  return Math.sqrt(sum / signal.length);
+};
+
+// Centroid of the full (two-sided) DFT, as a share of its length
+const spectralCentroid = (signal) => {
+  const half = magnitudeSpectrum(signal);
+  const size = (half.length - 1) * 2;
+  let weightedSum = 0;
+  let magnitudeSum = 0;
+  for (let k = 0; k < size; k++) {
+    const magnitude = half[k <= size / 2 ? k : size - k];
+    weightedSum += k * magnitude;
+    magnitudeSum += magnitude;
+  }
+  return magnitudeSum > 0 ? weightedSum / magnitudeSum / size : 0;
+};
+
+const zeroCrossingRate = (signal) => {
+  let crossings = 0;
+  for (let i = 1; i < signal.length; i++) {
+    if ((signal[i] >= 0) !== (signal[i - 1] >= 0)) crossings++;
+  }
+  return crossings / signal.length;
+};
+
+// Frequency (Hz) of the strongest autocorrelation lag of 20-200 samples
+const autocorrelationPitch = (signal, sampleRate) => {
+  let bestPeriod = 0;
+  let bestCorrelation = 0;
+  for (let period = 20; period < 200; period++) {
+    let correlation = 0;
+    for (let i = 0; i < signal.length - period; i++) correlation += signal[i] * signal[i + period];
+    if (correlation > bestCorrelation) {
+      bestCorrelation = correlation;
+      bestPeriod = period;
+    }
+  }
+  return bestPeriod > 0 ? sampleRate / bestPeriod : 0;
+};
+
+const interpretation = (emotionalScore, stressScore) => {
+  const emotional = emotionalScore > 60 ? 'elevated' : emotionalScore > 40 ? 'normal' : 'low';
+  const stress = stressScore > 60 ? 'high' : stressScore > 40 ? 'moderate' : 'low';
+  return `Voice analysis shows ${emotional} emotional state with ${stress} stress indicators.`;
+};
+
+// Legacy voice scores of decoded mono samples
+export const analyzeLegacyVoice = (samples, sampleRate) => {
+  if (!samples?.length) throw new Error('No audio data provided');
+  const duration = samples.length / sampleRate;
+  const rms = rootMeanSquare(samples);
+  const centroid = spectralCentroid(samples.subarray(0, 1024));
+  const zcr = zeroCrossingRate(samples);
+  const pitch = autocorrelationPitch(samples.subarray(0, 2048), sampleRate);
+
+  const emotionalScore = clampScore((rms * 30 + centroid * 40 + zcr * 30) * 100);
+  const stressScore = clampScore((pitch * 0.1 + rms * 20 + (1 / duration) * 10) * 100);
+  return {
+    pitchScore: clampScore(pitch * 100),
+    toneScore: clampScore(centroid * 100),
+    emotionalScore,
+    stressScore,
+    confidence: clampScore((rms * 40 + zcr * 30 + Math.min(duration, 10) * 3) * 100),
+    interpretation: interpretation(emotionalScore, stressScore),
+    features: { rms, spectralCentroid: centroid, zeroCrossingRate: zcr, pitch, duration }
+  };
+};
@@ -0,0 +1,263 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import multer from 'multer';
+
+const MB = 1024 * 1024;
+
+// Accepted media per multipart field. Sizes are per file and can be raised
+// with UPLOAD_MAX_<FIELD>_MB (e.g. UPLOAD_MAX_VIDEO_MB=1000).
+export const UPLOAD_LIMITS = {
+  audio: {
+    maxBytes: (Number(process.env.UPLOAD_MAX_AUDIO_MB) || 200) * MB,
+    mimeTypes: ['audio/webm', 'audio/wav', 'audio/x-wav', 'audio/wave', 'video/webm']
+  },
+  video: {
+    maxBytes: (Number(process.env.UPLOAD_MAX_VIDEO_MB) || 1000) * MB,
+    mimeTypes: ['video/webm', 'video/mp4', 'video/quicktime']
+  },
+  screen: {
+    maxBytes: (Number(process.env.UPLOAD_MAX_SCREEN_MB) || 1000) * MB,
+    mimeTypes: ['video/webm', 'video/mp4', 'image/png', 'image/jpeg']
+  },
+  facialStream: {
+    maxBytes: (Number(process.env.UPLOAD_MAX_FACIALSTREAM_MB) || 100) * MB,
+    mimeTypes: ['application/json']
+  }
+};
+
+// Text fields that carry JSON in a multipart body
+const JSON_FIELDS = ['facialOptions', 'pitchOptions', 'questionMarks', 'baseline', 'segments', 'segmentIds', 'analyze'];
+
+// 413 for a file over its size limit, 415 for an unaccepted MIME type, 400
+// for a malformed body
+export class UploadRejectedError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UploadRejectedError';
+    this.statusCode = statusCode;
+  }
+}
+
+// 400 for a media URL outside the app's Cloudinary account
+export class MediaUrlRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MediaUrlRejectedError';
+    this.statusCode = 400;
+  }
+}
+
+// A client-supplied media URL, normalized, when it is an https URL of the
+// Cloudinary account uploads go to (CLOUDINARY_CLOUD_NAME); the server opens
+// no other URLs or paths on a client's behalf
+export const trustedMediaUrl = (value) => {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw new MediaUrlRejectedError('Media URL is not a valid URL');
+  }
+  if (
+    !cloudName
+    || url.protocol !== 'https:'
+    || url.hostname !== 'res.cloudinary.com'
+    || url.port
+    || url.username
+    || url.password
+    || !url.pathname.startsWith(`/${cloudName}/`)
+  ) {
+    throw new MediaUrlRejectedError('Media URLs must point at the app\'s Cloudinary uploads (https://res.cloudinary.com/<cloud name>/...)');
+  }
+  return url.href;
+};
+
+// 400 for media in a JSON body that are not base64 text
+export class InvalidMediaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidMediaError';
+    this.statusCode = 400;
+  }
+}
+
+// Media fields of a JSON analysis body
+const MEDIA_FIELDS = ['audioData', 'videoData', 'imageData'];
+
+// A JSON analysis body, after checking its media are base64 strings (data
+// URLs included): only files received by receiveAnalysisMedia are read from
+// disk, so a body cannot name a server path
+export const jsonAnalysisInputs = (body = {}) => {
+  const invalid = MEDIA_FIELDS.find(field => body[field] != null && typeof body[field] !== 'string');
+  if (invalid) throw new InvalidMediaError(`"${invalid}" must be a base64 string`);
+  return body;
+};
+
+// Time allowed for downloading media from a URL
+const MEDIA_FETCH_TIMEOUT_MS = Number(process.env.MEDIA_FETCH_TIMEOUT_MS) || 60000;
+
+// Contents of a trusted media URL (see trustedMediaUrl) as a Buffer, held
+// to the size limit of the upload field it stands in for (UPLOAD_LIMITS)
+// and to MEDIA_FETCH_TIMEOUT_MS; redirects are not followed
+export const fetchMediaUrl = async (value, field) => {
+  const { maxBytes } = UPLOAD_LIMITS[field];
+  const tooLarge = () => new UploadRejectedError(`"${field}" exceeds ${Math.round(maxBytes / MB)} MB`, 413);
+  try {
+    const response = await fetch(trustedMediaUrl(value), {
+      redirect: 'error',
+      signal: AbortSignal.timeout(MEDIA_FETCH_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`Failed to fetch ${field} (${response.status})`);
+    if (Number(response.headers.get('content-length')) > maxBytes) throw tooLarge();
+
+    // Leaving the loop early cancels the download
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > maxBytes) throw tooLarge();
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks, size);
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw Object.assign(new Error(`Fetching ${field} timed out after ${MEDIA_FETCH_TIMEOUT_MS} ms`), { statusCode: 504 });
+    }
+    throw error;
+  }
+};
+
+const baseType = (mimetype = '') => mimetype.split(';')[0].trim().toLowerCase();
+
+const fileFilter = (req, file, cb) => {
+  const limit = UPLOAD_LIMITS[file.fieldname];
+  if (!limit) {
+    return cb(new UploadRejectedError(`Unexpected file field "${file.fieldname}"`));
+  }
+  if (!limit.mimeTypes.includes(baseType(file.mimetype))) {
+    return cb(new UploadRejectedError(
+      `Unsupported type ${file.mimetype || 'unknown'} for "${file.fieldname}" (accepted: ${limit.mimeTypes.join(', ')})`,
+      415
+    ));
+  }
+  cb(null, true);
+};
+
+// Streams each file to os.tmpdir(), failing as soon as it passes its field's
+// size limit, so no upload is ever held in memory
+const tempStorage = {
+  _handleFile(req, file, cb) {
+    const { maxBytes } = UPLOAD_LIMITS[file.fieldname];
+    const filePath = path.join(os.tmpdir(), `upload-${crypto.randomUUID()}`);
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, done) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          return done(new UploadRejectedError(`"${file.fieldname}" exceeds ${Math.round(maxBytes / MB)} MB`, 413));
+        }
+        done(null, chunk);
+      }
+    });
+    pipeline(file.stream, counter, fs.createWriteStream(filePath)).then(
+      () => cb(null, { path: filePath, size }),
+      error => fs.rm(filePath, { force: true }, () => cb(error))
+    );
+  },
+  _removeFile(req, file, cb) {
+    fs.rm(file.path, { force: true }, cb);
+  }
+};
+
+const upload = multer({
+  storage: tempStorage,
+  fileFilter,
+  limits: {
+    fileSize: Math.max(...Object.values(UPLOAD_LIMITS).map(limit => limit.maxBytes)),
+    files: Object.keys(UPLOAD_LIMITS).length,
+    fieldSize: 10 * MB // transcripts
+  }
+}).fields(Object.keys(UPLOAD_LIMITS).map(name => ({ name, maxCount: 1 })));
+
+// File objects of this process's uploads; the decoders read only these
+// from disk
+const uploadedFiles = new WeakSet();
+
+export const isUploadedFile = (value) => uploadedFiles.has(value);
+
+const uploadedFile = (file) => {
+  if (!file) return null;
+  uploadedFiles.add(file);
+  return file;
+};
+
+const removeUploads = (files = {}) => {
+  Object.values(files).flat().forEach(file => fs.rm(file.path, { force: true }, () => {}));
+};
+
+// Route middleware for multipart/form-data analysis requests (other content
+// types pass straight through). Media arrive in req.files as temporary files
+// that are deleted once the response has been sent, unless a handler took
+// them over with claimUploads.
+export const receiveAnalysisMedia = (req, res, next) => {
+  upload(req, res, error => {
+    if (!error) {
+      res.on('close', () => {
+        if (!req.uploadsClaimed) removeUploads(req.files);
+      });
+      return next();
+    }
+    console.error('Upload rejected:', error.message);
+    const statusCode = error.statusCode
+      || (error.code === 'LIMIT_FILE_SIZE' ? 413 : error instanceof multer.MulterError ? 400 : 500);
+    res.status(statusCode).json({
+      error: 'Upload rejected',
+      details: error.message,
+      limits: Object.fromEntries(
+        Object.entries(UPLOAD_LIMITS).map(([field, limit]) => [field, { maxMB: Math.round(limit.maxBytes / MB), mimeTypes: limit.mimeTypes }])
+      )
+    });
+  });
+};
+
+// Keep a request's uploaded files past its response (e.g. for a queued job);
+// returns the function that deletes them
+export const claimUploads = (req) => {
+  const files = req.files;
+  req.uploadsClaimed = true;
+  return () => removeUploads(files);
+};
+
+// Analysis inputs of a multipart request in the shape of the JSON body:
+// JSON text fields parsed, media as { path, size, mimetype, ... } file
+// objects the analyzers read from disk (see isUploadedFile), and the facial
+// stream file parsed
+export const uploadedAnalysisInputs = async (req) => {
+  const files = req.files || {};
+  const inputs = { ...req.body };
+  JSON_FIELDS.forEach(field => {
+    if (typeof inputs[field] !== 'string') return;
+    try {
+      inputs[field] = JSON.parse(inputs[field]);
+    } catch {
+      throw new UploadRejectedError(`Field "${field}" is not valid JSON`);
+    }
+  });
+
+  const facialFile = files.facialStream?.[0];
+  if (facialFile) {
+    try {
+      inputs.facialStream = JSON.parse(await fs.promises.readFile(facialFile.path, 'utf8'));
+    } catch {
+      throw new UploadRejectedError('facialStream file is not valid JSON');
+    }
+  }
+  inputs.audioData = uploadedFile(files.audio?.[0]);
+  inputs.videoData = uploadedFile(files.video?.[0]);
+  inputs.imageData = uploadedFile(files.screen?.[0]);
+  return inputs;
+};
@@ -0,0 +1,210 @@
+import { median, round } from './dsp.js';
+import { LANDMARKS, toPoints, centroid, distance } from './landmarks.js';
+
+export const DEFAULT_MICRO_OPTIONS = {
+  baselineWindow: 1.0, // seconds either side for the rolling neutral level
+  threshold: 3.5, // robust z-score that counts as a facial movement
+  maxDuration: 0.5, // seconds; longer movements are ordinary expressions
+  minScale: 0.01, // smallest deviation scale, in inter-ocular units
+  highRate: 4, // events per minute for a 'High' label
+  mediumRate: 1.5
+};
+
+// Action-unit style measurements in face coordinates (eye midpoint at the
+// origin, eye line horizontal, inter-ocular distance = 1, y down). Each maps a
+// rise or fall to the AU family it most resembles; null directions are ignored.
+// Jaw/lip parting is left out: while answering it is dominated by speech.
+const AU_FEATURES = [
+  {
+    name: 'browRaise',
+    region: 'brow',
+    up: 'AU1+2 brow raiser',
+    down: 'AU4 brow lowerer',
+    measure: (p) => -(centroid(p, [17, 27])[1] - centroid(p, [36, 48])[1])
+  },
+  {
+    name: 'browGap',
+    region: 'brow',
+    up: null,
+    down: 'AU4 brow lowerer',
+    measure: (p) => distance(p[21], p[22])
+  },
+  {
+    name: 'eyeAperture',
+    region: 'eye',
+    up: 'AU5 upper lid raiser',
+    down: 'AU7 lid tightener',
+    measure: (p) => (distance(p[37], p[41]) + distance(p[38], p[40]) + distance(p[43], p[47]) + distance(p[44], p[46])) / 4
+  },
+  {
+    name: 'noseLength',
+    region: 'nose',
+    up: null,
+    down: 'AU9 nose wrinkler',
+    measure: (p) => distance(p[27], p[33])
+  },
+  {
+    name: 'upperLipGap',
+    region: 'nose',
+    up: null,
+    down: 'AU10 upper lip raiser',
+    measure: (p) => distance(p[33], p[51])
+  },
+  {
+    name: 'cornerLift',
+    region: 'mouth',
+    up: 'AU12 lip corner puller',
+    down: 'AU15 lip corner depressor',
+    measure: (p) => (p[51][1] + p[57][1]) / 2 - (p[48][1] + p[54][1]) / 2
+  },
+  {
+    name: 'mouthWidth',
+    region: 'mouth',
+    up: 'AU20 lip stretcher',
+    down: 'AU18 lip pucker',
+    measure: (p) => distance(p[48], p[54])
+  },
+  {
+    name: 'lipThickness',
+    region: 'mouth',
+    up: null,
+    down: 'AU23/24 lip tightener/presser',
+    measure: (p) => distance(p[51], p[62]) + distance(p[57], p[66])
+  }
+];
+
+// Landmarks moved into face coordinates so head translation, distance to the
+// camera and in-plane tilt do not register as facial movement
+export const faceCoordinates = (landmarks) => {
+  const points = toPoints(landmarks);
+  const rightEye = centroid(points, LANDMARKS.rightEye);
+  const leftEye = centroid(points, LANDMARKS.leftEye);
+  const origin = [(rightEye[0] + leftEye[0]) / 2, (rightEye[1] + leftEye[1]) / 2];
+  const scale = distance(rightEye, leftEye) || 1;
+  const roll = Math.atan2(leftEye[1] - rightEye[1], leftEye[0] - rightEye[0]);
+  const cos = Math.cos(-roll);
+  const sin = Math.sin(-roll);
+  return points.map(([x, y]) => {
+    const dx = (x - origin[0]) / scale;
+    const dy = (y - origin[1]) / scale;
+    return [dx * cos - dy * sin, dx * sin + dy * cos];
+  });
+};
+
+// Deviation of each sample from the median of its neighbours within radius
+const rollingDeviation = (times, values, radius) => {
+  const out = new Array(values.length);
+  let from = 0;
+  let to = 0;
+  for (let i = 0; i < values.length; i++) {
+    while (times[from] < times[i] - radius) from++;
+    while (to < values.length && times[to] <= times[i] + radius) to++;
+    out[i] = values[i] - median(values.slice(from, to));
+  }
+  return out;
+};
+
+const within = (t, ranges) => ranges.some(([start, end]) => t >= start && t <= end);
+
+// Short-lived facial movements: frames where an AU feature jumps away from
+// its rolling neutral level and returns within maxDuration. Blinks mask the
+// eye feature and sudden head movements mask every feature.
+// context: { blinks: [{ t, duration }], suddenMovements: [{ t }] }
+export const detectMicroExpressions = (stream, context = {}, options = {}) => {
+  const opts = { ...DEFAULT_MICRO_OPTIONS, ...options };
+  const fps = stream.fps || 10;
+  const frameInterval = 1 / fps;
+  const maxGap = 2.5 * frameInterval;
+
+  const faces = stream.frames
+    .filter(frame => frame.faces > 0 && frame.landmarks)
+    .map(frame => ({ t: frame.t, points: faceCoordinates(frame.landmarks) }));
+  const times = faces.map(f => f.t);
+  const blinkRanges = (context.blinks || []).map(b => [b.t - frameInterval, b.t + b.duration + frameInterval]);
+  const headRanges = (context.suddenMovements || []).map(m => [m.t - 0.2, m.t + 0.5]);
+
+  // Robust z-scores per feature: deviation from the rolling median over the
+  // stream-wide median absolute deviation
+  const zScores = AU_FEATURES.map(feature => {
+    const deviation = rollingDeviation(times, faces.map(f => feature.measure(f.points)), opts.baselineWindow);
+    const scale = Math.max(opts.minScale, 1.4826 * median(deviation.map(Math.abs)));
+    return deviation.map((d, i) => {
+      if (within(times[i], headRanges)) return 0;
+      if (feature.region === 'eye' && within(times[i], blinkRanges)) return 0;
+      return d / scale;
+    });
+  });
+
+  const active = (i) => zScores.some(z => Math.abs(z[i]) >= opts.threshold);
+
+  // Peak labelled feature across the run's frames
+  const label = (from, to) => {
+    let best = null;
+    for (let k = 0; k < AU_FEATURES.length; k++) {
+      for (let i = from; i <= to; i++) {
+        const z = zScores[k][i];
+        const family = z > 0 ? AU_FEATURES[k].up : AU_FEATURES[k].down;
+        if (family && Math.abs(z) >= opts.threshold && (!best || Math.abs(z) > best.intensity)) {
+          best = { family, region: AU_FEATURES[k].region, feature: AU_FEATURES[k].name, intensity: Math.abs(z), peak: times[i] };
+        }
+      }
+    }
+    return best;
+  };
+
+  // Runs of active frames inside continuous face tracks. A run only counts
+  // with a neutral frame on both sides, so movements cut off by a lost face
+  // or the end of the recording are not scored.
+  const events = [];
+  let macroCount = 0;
+  const closeRun = (start, end) => {
+    const duration = times[end] - times[start] + frameInterval;
+    if (duration > opts.maxDuration) {
+      macroCount++;
+      return;
+    }
+    const event = label(start, end);
+    if (!event) return;
+    events.push({
+      t: round(times[start], 2),
+      duration: round(duration, 2),
+      family: event.family,
+      region: event.region,
+      feature: event.feature,
+      intensity: round(event.intensity, 1)
+    });
+  };
+  let trackStart = 0;
+  let runStart = -1;
+  for (let i = 0; i <= faces.length; i++) {
+    const trackEnds = i === faces.length || (i > 0 && times[i] - times[i - 1] > maxGap);
+    if (trackEnds) {
+      runStart = -1;
+      trackStart = i;
+    }
+    if (i === faces.length) break;
+    if (active(i)) {
+      if (runStart < 0) runStart = i;
+    } else {
+      if (runStart > trackStart) closeRun(runStart, i - 1);
+      runStart = -1;
+    }
+  }
+
+  const duration = times.length ? times[times.length - 1] - times[0] : 0;
+  const ratePerMinute = duration > 0 ? (events.length / duration) * 60 : 0;
+  const families = {};
+  events.forEach(e => {
+    families[e.family] = (families[e.family] || 0) + 1;
+  });
+
+  return {
+    score: Math.round(100 * Math.min(1, ratePerMinute / 6)),
+    level: ratePerMinute >= opts.highRate ? 'High' : ratePerMinute >= opts.mediumRate ? 'Medium' : 'Low',
+    count: events.length,
+    ratePerMinute: round(ratePerMinute, 2),
+    macroCount,
+    families,
+    events
+  };
+};
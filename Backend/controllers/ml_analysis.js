@@ -1,25 +1,21 @@
-import fs from 'fs';
-import path from 'path';
-import { createRequire } from 'module';
-const require = createRequire(import.meta.url);
-
-// Real ML Analysis Functions
+import { trackPitch, summarizePitch, scorePitch } from './pitch.js';
+import { extractSpectralFeatures } from './spectral.js';
+import { extractVoiceFeatures } from './voice_features.js';
+import { measureTremor, detectHesitation } from './voice_dynamics.js';
+import { detectVoiceActivity } from './vad.js';
+import { measureResponseLatency } from './response_latency.js';
+
+// Voice feature extraction and scoring behind the 'acoustic' voice engine
+// (analyzers.js)
 export class MLTruthAnalyzer {
-  constructor() {
-    this.audioFeatures = [];
-    this.videoFeatures = [];
-    this.textFeatures = [];
-  }
-
-  // Real audio analysis using actual audio data
-  async analyzeAudioData(audioBuffer) {
+  // Real audio analysis using decoded mono samples
+  async analyzeAudioData(audioBuffer, sampleRate = 44100, options = {}) {
     try {
       if (!audioBuffer || audioBuffer.length === 0) {
         throw new Error('No audio data provided');
       }
 
       // Extract real audio features
-      const sampleRate = 44100; // Assume 44.1kHz
       const duration = audioBuffer.length / sampleRate;
       
       // Calculate RMS (Root Mean Square) for volume analysis
@@ -29,34 +25,66 @@ export class MLTruthAnalyzer {
       }
       rms = Math.sqrt(rms / audioBuffer.length);
       
-      // Calculate spectral centroid (brightness of sound)
-      const fft = this.simpleFFT(audioBuffer.slice(0, 1024));
-      const spectralCentroid = this.calculateSpectralCentroid(fft);
+      // Spectral features from an STFT over the whole recording;
+      // centroid is normalized to the Nyquist frequency (brightness 0-1)
+      const spectral = extractSpectralFeatures(audioBuffer, sampleRate);
+      const spectralCentroid = spectral.centroidMean / (sampleRate / 2);
       
       // Calculate zero crossing rate (speech vs noise)
       const zcr = this.calculateZeroCrossingRate(audioBuffer);
       
-      // Calculate pitch using autocorrelation
-      const pitch = this.calculatePitch(audioBuffer.slice(0, 2048));
+      // Frame-by-frame pitch contour over the whole recording
+      const pitchTrack = this.calculatePitch(audioBuffer, sampleRate, options.pitch);
+      const pitch = pitchTrack.meanF0;
+
+      // MFCCs (+ deltas), mel energies, spectral flatness and ZCR per frame
+      const voiceFeatures = extractVoiceFeatures(audioBuffer, sampleRate, options.features);
+      const featureSummary = { rms, spectral, pitch: pitchTrack, mfcc: voiceFeatures.summary };
+
+      // Speech segments and pauses from frame energy/ZCR
+      const hopSeconds = voiceFeatures.summary.hopSize / sampleRate;
+      const { mask, ...vad } = detectVoiceActivity(voiceFeatures.perFrame, hopSeconds, options.vad);
+
+      // 4-12 Hz F0/energy modulation and pause/filler/speech-rate hesitation
+      const tremor = measureTremor(pitchTrack, voiceFeatures.perFrame, hopSeconds, options.dynamics);
+      const hesitation = detectHesitation(pitchTrack, voiceFeatures.perFrame, hopSeconds, { mask, ...vad }, options.transcript, options.dynamics);
+
+      // Time from each "question finished" mark to the subject's speech onset
+      const responseLatency = options.questionMarks?.length
+        ? measureResponseLatency(vad, options.questionMarks, options.latency)
+        : undefined;
       
       // Analyze voice characteristics
-      const emotionalScore = this.analyzeEmotionalState(rms, spectralCentroid, zcr);
-      const stressScore = this.analyzeStressLevel(pitch, rms, duration);
+      const emotion = this.analyzeEmotionalState(featureSummary);
+      const stress = this.analyzeStressLevel(featureSummary);
+      const emotionalScore = emotion.score;
+      const stressScore = stress.score;
       const confidenceScore = this.calculateConfidence(rms, zcr, duration);
 
       return {
-        pitchScore: Math.round(pitch * 100),
+        pitchScore: scorePitch(pitchTrack),
         toneScore: Math.round(spectralCentroid * 100),
         emotionalScore: Math.round(emotionalScore),
         stressScore: Math.round(stressScore),
+        tremorScore: tremor.score,
+        hesitationScore: hesitation.score,
         confidence: Math.round(confidenceScore),
         interpretation: this.generateVoiceInterpretation(emotionalScore, stressScore, confidenceScore),
+        pitch: pitchTrack,
+        tremor,
+        hesitation,
+        vad,
+        responseLatency,
         features: {
           rms,
           spectralCentroid,
+          spectral,
           zeroCrossingRate: zcr,
           pitch,
-          duration
+          duration,
+          mfcc: voiceFeatures.summary,
+          stressComponents: stress.components,
+          emotionComponents: emotion.components
         }
       };
     } catch (error) {
@@ -65,132 +93,7 @@ export class MLTruthAnalyzer {
     }
   }
 
-  // Real video analysis using actual video frames
-  async analyzeVideoData(videoBuffer) {
-    try {
-      if (!videoBuffer || videoBuffer.length === 0) {
-        throw new Error('No video data provided');
-      }
-
-      // Extract video features (simplified analysis)
-      const frameCount = Math.floor(videoBuffer.length / 1000); // Estimate frames
-      
-      // Analyze motion patterns
-      const motionIntensity = this.analyzeMotionPatterns(videoBuffer);
-      
-      // Analyze color distribution
-      const colorVariance = this.analyzeColorVariance(videoBuffer);
-      
-      // Calculate stability metrics
-      const stabilityScore = this.calculateStabilityScore(motionIntensity, colorVariance);
-      
-      // Analyze facial features (simplified)
-      const microExpressions = this.detectMicroExpressions(motionIntensity);
-      const eyeMovement = this.detectEyeMovement(motionIntensity, stabilityScore);
-      
-      const confidence = this.calculateVideoConfidence(motionIntensity, colorVariance, frameCount);
-
-      return {
-        microExpressions: microExpressions,
-        eyeMovement: eyeMovement,
-        headPoseStability: Math.round(stabilityScore),
-        gazeStability: Math.round(stabilityScore * 0.9),
-        confidence: Math.round(confidence),
-        interpretation: this.generateFacialInterpretation(microExpressions, eyeMovement, stabilityScore),
-        features: {
-          motionIntensity,
-          colorVariance,
-          frameCount,
-          stabilityScore
-        }
-      };
-    } catch (error) {
-      console.error('Video analysis error:', error);
-      throw error;
-    }
-  }
-
-  // Enhanced text analysis with real NLP
-  async analyzeTextData(text) {
-    try {
-      if (!text || text.trim().length === 0) {
-        throw new Error('No text data provided');
-      }
-
-      // Real sentiment analysis
-      const sentiment = this.performSentimentAnalysis(text);
-      
-      // Linguistic analysis
-      const linguisticFeatures = this.extractLinguisticFeatures(text);
-      
-      // Deception detection
-      const deceptionIndicators = this.detectDeceptionIndicators(text, linguisticFeatures);
-      
-      // Consistency analysis
-      const consistencyScore = this.analyzeConsistency(text, linguisticFeatures);
-      
-      // Confidence calculation
-      const confidence = this.calculateTextConfidence(text, linguisticFeatures, deceptionIndicators);
-
-      return {
-        sentimentScore: Math.round(sentiment.score * 100 + 50),
-        consistencyScore: Math.round(consistencyScore),
-        complexityScore: Math.round(linguisticFeatures.complexity),
-        contradictionScore: Math.round(100 - deceptionIndicators.contradictions * 20),
-        deceptionScore: Math.round(100 - deceptionIndicators.total * 15),
-        confidenceScore: Math.round(confidence),
-        confidence: Math.round(confidence),
-        interpretation: this.generateTextInterpretation(sentiment, consistencyScore, deceptionIndicators),
-        features: {
-          sentiment,
-          linguisticFeatures,
-          deceptionIndicators,
-          wordCount: linguisticFeatures.wordCount,
-          sentenceCount: linguisticFeatures.sentenceCount,
-          averageWordsPerSentence: linguisticFeatures.avgWordsPerSentence,
-          vocabularyDiversity: linguisticFeatures.vocabularyDiversity,
-          contradictionIndicators: deceptionIndicators.contradictions,
-          deceptionIndicators: deceptionIndicators.total,
-          confidenceIndicators: linguisticFeatures.confidenceWords,
-          textComplexity: linguisticFeatures.complexity
-        }
-      };
-    } catch (error) {
-      console.error('Text analysis error:', error);
-      throw error;
-    }
-  }
-
   // Helper methods for audio analysis
-  simpleFFT(signal) {
-    const N = signal.length;
-    const fft = new Array(N);
-    
-    for (let k = 0; k < N; k++) {
-      let real = 0, imag = 0;
-      for (let n = 0; n < N; n++) {
-        const angle = -2 * Math.PI * k * n / N;
-        real += signal[n] * Math.cos(angle);
-        imag += signal[n] * Math.sin(angle);
-      }
-      fft[k] = Math.sqrt(real * real + imag * imag);
-    }
-    
-    return fft;
-  }
-
-  calculateSpectralCentroid(fft) {
-    let weightedSum = 0;
-    let magnitudeSum = 0;
-    
-    for (let i = 0; i < fft.length; i++) {
-      weightedSum += i * fft[i];
-      magnitudeSum += fft[i];
-    }
-    
-    return magnitudeSum > 0 ? weightedSum / magnitudeSum / fft.length : 0;
-  }
-
   calculateZeroCrossingRate(signal) {
     let crossings = 0;
     for (let i = 1; i < signal.length; i++) {
@@ -201,251 +104,58 @@ export class MLTruthAnalyzer {
     return crossings / signal.length;
   }
 
-  calculatePitch(signal) {
-    // Simplified pitch detection using autocorrelation
-    const minPeriod = 20;
-    const maxPeriod = 200;
-    let bestPeriod = 0;
-    let bestCorrelation = 0;
-    
-    for (let period = minPeriod; period < maxPeriod; period++) {
-      let correlation = 0;
-      for (let i = 0; i < signal.length - period; i++) {
-        correlation += signal[i] * signal[i + period];
-      }
-      
-      if (correlation > bestCorrelation) {
-        bestCorrelation = correlation;
-        bestPeriod = period;
-      }
-    }
-    
-    return bestPeriod > 0 ? 1 / (bestPeriod / 44100) : 0;
-  }
-
-  analyzeEmotionalState(rms, spectralCentroid, zcr) {
-    // Higher RMS = louder = potentially more emotional
-    // Higher spectral centroid = brighter = potentially more excited
-    // Higher ZCR = more speech-like = potentially more emotional
-    const emotionalScore = (rms * 30 + spectralCentroid * 40 + zcr * 30) * 100;
-    return Math.min(100, Math.max(0, emotionalScore));
-  }
-
-  analyzeStressLevel(pitch, rms, duration) {
-    // Higher pitch variation and irregular patterns indicate stress
-    const stressScore = (pitch * 0.1 + rms * 20 + (1 / duration) * 10) * 100;
-    return Math.min(100, Math.max(0, stressScore));
-  }
-
-  calculateConfidence(rms, zcr, duration) {
-    // Confidence based on signal quality
-    const confidence = (rms * 40 + zcr * 30 + Math.min(duration, 10) * 3) * 100;
-    return Math.min(100, Math.max(0, confidence));
-  }
-
-  // Helper methods for video analysis
-  analyzeMotionPatterns(videoBuffer) {
-    // Simplified motion analysis
-    let motionSum = 0;
-    const chunkSize = 100;
-    
-    for (let i = 0; i < videoBuffer.length - chunkSize; i += chunkSize) {
-      const chunk = videoBuffer.slice(i, i + chunkSize);
-      const variance = this.calculateVariance(chunk);
-      motionSum += variance;
-    }
-    
-    return motionSum / Math.floor(videoBuffer.length / chunkSize);
-  }
-
-  analyzeColorVariance(videoBuffer) {
-    // Simplified color analysis
-    let colorSum = 0;
-    for (let i = 0; i < Math.min(videoBuffer.length, 1000); i++) {
-      colorSum += videoBuffer[i];
-    }
-    return colorSum / Math.min(videoBuffer.length, 1000);
+  calculatePitch(signal, sampleRate, options = {}) {
+    // YIN pitch contour plus summary statistics (mean, range, jitter, variability)
+    const contour = trackPitch(signal, sampleRate, options);
+    return { ...summarizePitch(contour), contour };
   }
 
-  calculateVariance(data) {
-    const mean = data.reduce((a, b) => a + b, 0) / data.length;
-    const variance = data.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / data.length;
-    return Math.sqrt(variance);
-  }
-
-  calculateStabilityScore(motionIntensity, colorVariance) {
-    // Lower motion and color variance = higher stability
-    const stability = 100 - (motionIntensity * 50 + colorVariance * 0.1);
-    return Math.min(100, Math.max(0, stability));
-  }
-
-  detectMicroExpressions(motionIntensity) {
-    if (motionIntensity > 0.7) return 'High';
-    if (motionIntensity > 0.4) return 'Medium';
-    return 'Low';
-  }
-
-  detectEyeMovement(motionIntensity, stability) {
-    if (motionIntensity > 0.6 && stability < 70) return 'Frequent';
-    if (motionIntensity > 0.3) return 'Moderate';
-    return 'Stable';
-  }
-
-  calculateVideoConfidence(motionIntensity, colorVariance, frameCount) {
-    const confidence = (motionIntensity * 30 + colorVariance * 0.1 + Math.min(frameCount, 100) * 0.5) * 100;
-    return Math.min(100, Math.max(0, confidence));
-  }
-
-  // Helper methods for text analysis
-  performSentimentAnalysis(text) {
-    const words = text.toLowerCase().split(/\s+/);
-    const positiveWords = ['good', 'great', 'excellent', 'amazing', 'wonderful', 'fantastic', 'love', 'like', 'happy', 'pleased'];
-    const negativeWords = ['bad', 'terrible', 'awful', 'hate', 'dislike', 'angry', 'sad', 'disappointed', 'frustrated', 'worried'];
-    
-    let positiveScore = 0;
-    let negativeScore = 0;
-    
-    words.forEach(word => {
-      if (positiveWords.includes(word)) positiveScore++;
-      if (negativeWords.includes(word)) negativeScore++;
+  // Weighted sum of 0-1 components; returns the score and each component for auditing
+  combineComponents(components, weights) {
+    let score = 0;
+    const breakdown = {};
+    Object.entries(weights).forEach(([name, weight]) => {
+      const value = Math.min(1, Math.max(0, components[name] || 0));
+      breakdown[name] = { value: Math.round(value * 1000) / 1000, weight };
+      score += value * weight * 100;
     });
-    
-    const totalWords = words.length;
-    const score = (positiveScore - negativeScore) / Math.max(totalWords, 1);
-    
-    return {
-      score: Math.max(-1, Math.min(1, score)),
-      positive: positiveScore,
-      negative: negativeScore,
-      comparative: score
-    };
-  }
-
-  extractLinguisticFeatures(text) {
-    const words = text.toLowerCase().split(/\s+/);
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const uniqueWords = new Set(words);
-    
-    return {
-      wordCount: words.length,
-      sentenceCount: sentences.length,
-      avgWordsPerSentence: words.length / Math.max(sentences.length, 1),
-      vocabularyDiversity: (uniqueWords.size / words.length) * 100,
-      complexity: Math.min(100, (words.length / Math.max(sentences.length, 1)) * 10),
-      confidenceWords: words.filter(w => ['definitely', 'certainly', 'absolutely', 'surely'].includes(w)).length
-    };
+    return { score: Math.min(100, Math.max(0, score)), components: breakdown };
   }
 
-  detectDeceptionIndicators(text, linguisticFeatures) {
-    const words = text.toLowerCase().split(/\s+/);
-    const deceptionWords = ['actually', 'basically', 'honestly', 'literally', 'obviously', 'really', 'very', 'quite'];
-    const contradictionWords = ['but', 'however', 'although', 'despite', 'nevertheless', 'yet', 'still'];
-    
-    const deceptionCount = words.filter(w => deceptionWords.includes(w)).length;
-    const contradictionCount = words.filter(w => contradictionWords.includes(w)).length;
-    
-    return {
-      total: deceptionCount,
-      contradictions: contradictionCount,
-      ratio: deceptionCount / Math.max(words.length, 1)
-    };
+  analyzeEmotionalState({ rms, spectral, pitch, mfcc }) {
+    // Louder, brighter, wider-ranging and more rapidly changing speech = higher arousal
+    return this.combineComponents({
+      loudness: rms * 4,
+      brightness: spectral.centroidMean / 3000,
+      pitchRange: pitch.rangeSemitones / 12,
+      articulation: mfcc.deltaMagnitude / 3,
+      noisiness: mfcc.zcrMean * 5
+    }, { loudness: 0.25, brightness: 0.2, pitchRange: 0.2, articulation: 0.2, noisiness: 0.15 });
   }
 
-  analyzeConsistency(text, linguisticFeatures) {
-    // Consistency based on vocabulary diversity and sentence structure
-    const consistency = 100 - (linguisticFeatures.vocabularyDiversity * 0.3);
-    return Math.min(100, Math.max(0, consistency));
+  analyzeStressLevel({ spectral, pitch, mfcc }) {
+    // Vocal stress cues: unstable F0 (jitter, variability), energy shifted into
+    // the upper bands, tonal (low-flatness) strained phonation and fast MFCC change
+    const upperBands = (spectral.bandEnergy.highMid || 0) + (spectral.bandEnergy.high || 0);
+    return this.combineComponents({
+      jitter: pitch.jitter / 4,
+      pitchVariability: (pitch.variability - 1) / 5,
+      upperBandEnergy: upperBands / 0.25,
+      tension: 1 - mfcc.flatnessMean / 0.3,
+      articulation: mfcc.deltaMagnitude / 3
+    }, { jitter: 0.25, pitchVariability: 0.2, upperBandEnergy: 0.2, tension: 0.15, articulation: 0.2 });
   }
 
-  calculateTextConfidence(text, linguisticFeatures, deceptionIndicators) {
-    const confidence = (linguisticFeatures.wordCount * 0.5 + 
-                       (100 - deceptionIndicators.ratio * 100) * 0.3 + 
-                       linguisticFeatures.confidenceWords * 5) * 100;
+  calculateConfidence(rms, zcr, duration) {
+    // Confidence based on signal level, speech-like ZCR and recording length
+    const confidence = Math.min(1, rms * 4) * 40 + Math.min(1, zcr * 10) * 30 + Math.min(duration, 10) * 3;
     return Math.min(100, Math.max(0, confidence));
   }
 
-  // Interpretation generators
+  // Interpretation generator
   generateVoiceInterpretation(emotionalScore, stressScore, confidence) {
     const emotional = emotionalScore > 60 ? 'elevated' : emotionalScore > 40 ? 'normal' : 'low';
     const stress = stressScore > 60 ? 'high' : stressScore > 40 ? 'moderate' : 'low';
     return `Voice analysis shows ${emotional} emotional state with ${stress} stress indicators.`;
   }
-
-  generateFacialInterpretation(microExpressions, eyeMovement, stability) {
-    return `Facial analysis indicates ${microExpressions.toLowerCase()} micro-expression activity with ${eyeMovement.toLowerCase()} eye movement patterns.`;
-  }
-
-  generateTextInterpretation(sentiment, consistency, deception) {
-    const sentimentText = sentiment.score > 0.1 ? 'positive' : sentiment.score < -0.1 ? 'negative' : 'neutral';
-    const consistencyText = consistency > 70 ? 'high' : 'low';
-    const deceptionText = deception.total > 2 ? 'high' : 'low';
-    return `Text analysis shows ${sentimentText} sentiment with ${consistencyText} consistency. Deception indicators: ${deceptionText}.`;
-  }
-
-  // Main analysis function
-  async analyzeAll(audioBuffer, videoBuffer, text) {
-    try {
-      const [voiceResult, facialResult, textResult] = await Promise.all([
-        this.analyzeAudioData(audioBuffer),
-        this.analyzeVideoData(videoBuffer),
-        this.analyzeTextData(text)
-      ]);
-
-      // Calculate truth score
-      const truthResult = this.calculateTruthScore(voiceResult, facialResult, textResult);
-
-      return {
-        voice: voiceResult,
-        facial: facialResult,
-        text: textResult,
-        truth: truthResult
-      };
-    } catch (error) {
-      console.error('ML analysis error:', error);
-      throw error;
-    }
-  }
-
-  calculateTruthScore(voice, facial, text) {
-    // Weighted combination of all analysis results
-    const voiceWeight = 0.3;
-    const facialWeight = 0.3;
-    const textWeight = 0.4;
-
-    const voiceScore = (voice.emotionalScore + voice.stressScore) / 2;
-    const facialScore = (facial.headPoseStability + facial.gazeStability) / 2;
-    const textScore = (text.sentimentScore + text.consistencyScore + text.deceptionScore) / 3;
-
-    const truthfulness = Math.round(
-      voiceScore * voiceWeight + 
-      facialScore * facialWeight + 
-      textScore * textWeight
-    );
-
-    const confidence = Math.round(
-      (voice.confidence + facial.confidence + text.confidence) / 3
-    );
-
-    let interpretation;
-    if (truthfulness >= 80) {
-      interpretation = 'High truthfulness indicators detected. Strong consistency across multiple analysis modalities.';
-    } else if (truthfulness >= 60) {
-      interpretation = 'Moderate truthfulness indicators. Some inconsistencies detected but overall credible.';
-    } else if (truthfulness >= 40) {
-      interpretation = 'Mixed signals detected. Some deception indicators present.';
-    } else {
-      interpretation = 'Low truthfulness indicators. Multiple deception signals detected.';
-    }
-
-    return {
-      truthfulness,
-      confidence,
-      interpretation,
-      breakdown: {
-        voice: voiceScore,
-        facial: facialScore,
-        text: textScore
-      }
-    };
-  }
 }
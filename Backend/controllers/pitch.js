@@ -0,0 +1,180 @@
+import { resample, frameRms, mean, std, median, round } from './dsp.js';
+
+// YIN works on a downsampled copy: 8 kHz keeps F0 up to ~500 Hz well resolved
+// while keeping the per-frame difference function cheap.
+const ANALYSIS_RATE = 8000;
+
+export const DEFAULT_PITCH_OPTIONS = {
+  hopSize: 0.01, // seconds between frames
+  windowSize: 0.04, // integration window in seconds
+  minF0: 65,
+  maxF0: 500,
+  threshold: 0.15, // YIN absolute threshold on the normalized difference
+  silenceRms: 0.01 // frames quieter than this are unvoiced without running YIN
+};
+
+// Accepted range of each option; values outside it are clamped. Tiny hops
+// or F0 floors would make YIN allocate and scan huge lag ranges.
+export const PITCH_OPTION_LIMITS = {
+  hopSize: { min: 0.005, max: 0.1 },
+  windowSize: { min: 0.01, max: 0.1 },
+  minF0: { min: 30, max: 1000 },
+  maxF0: { min: 30, max: 1000 },
+  threshold: { min: 0.01, max: 1 },
+  silenceRms: { min: 0, max: 1 }
+};
+
+// Pitch options merged over the defaults and clamped to PITCH_OPTION_LIMITS.
+// Throws a RangeError for unknown or non-numeric options and for a minF0
+// that is not below maxF0.
+export const resolvePitchOptions = (options) => {
+  if (options == null) return { ...DEFAULT_PITCH_OPTIONS };
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new RangeError('pitch options must be an object');
+  }
+  const opts = { ...DEFAULT_PITCH_OPTIONS };
+  Object.entries(options).forEach(([name, value]) => {
+    const limits = PITCH_OPTION_LIMITS[name];
+    if (!limits) throw new RangeError(`unknown pitch option "${name}"`);
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw new RangeError(`${name} must be a number`);
+    opts[name] = Math.min(limits.max, Math.max(limits.min, value));
+  });
+  if (opts.minF0 >= opts.maxF0) {
+    throw new RangeError(`minF0 (${opts.minF0} Hz) must be below maxF0 (${opts.maxF0} Hz)`);
+  }
+  return opts;
+};
+
+// Frame-by-frame F0 using the YIN estimator (de Cheveigné & Kawahara, 2002).
+// Returns parallel arrays so long recordings stay compact in JSON/MongoDB;
+// unvoiced frames carry f0 = 0.
+export const trackPitch = (samples, sampleRate, options = {}) => {
+  const opts = resolvePitchOptions(options);
+  const signal = sampleRate > ANALYSIS_RATE ? resample(samples, sampleRate, ANALYSIS_RATE) : samples;
+  const rate = sampleRate > ANALYSIS_RATE ? ANALYSIS_RATE : sampleRate;
+
+  const hop = Math.max(1, Math.round(opts.hopSize * rate));
+  const window = Math.max(1, Math.round(opts.windowSize * rate));
+  const tauMin = Math.max(2, Math.floor(rate / opts.maxF0));
+  const tauMax = Math.ceil(rate / opts.minF0);
+  const diff = new Float64Array(tauMax + 2);
+  const cmnd = new Float64Array(tauMax + 2);
+
+  const times = [];
+  const f0 = [];
+  const probability = [];
+
+  for (let start = 0; start + window + tauMax < signal.length; start += hop) {
+    times.push(round(start / rate, 3));
+
+    if (frameRms(signal, start, window + tauMax) < opts.silenceRms) {
+      f0.push(0);
+      probability.push(0);
+      continue;
+    }
+
+    // Difference function and cumulative mean normalized difference
+    for (let tau = 1; tau <= tauMax + 1; tau++) {
+      let sum = 0;
+      for (let j = 0; j < window; j++) {
+        const delta = signal[start + j] - signal[start + j + tau];
+        sum += delta * delta;
+      }
+      diff[tau] = sum;
+    }
+    cmnd[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau <= tauMax + 1; tau++) {
+      running += diff[tau];
+      cmnd[tau] = running > 0 ? (diff[tau] * tau) / running : 1;
+    }
+
+    // First dip below the threshold, then walk down to its local minimum
+    let period = 0;
+    for (let tau = tauMin; tau <= tauMax; tau++) {
+      if (cmnd[tau] < opts.threshold) {
+        while (tau + 1 <= tauMax && cmnd[tau + 1] < cmnd[tau]) tau++;
+        period = tau;
+        break;
+      }
+    }
+
+    if (!period) {
+      f0.push(0);
+      probability.push(0);
+      continue;
+    }
+
+    // Parabolic interpolation around the chosen lag for sub-sample precision
+    const a = cmnd[period - 1];
+    const b = cmnd[period];
+    const c = cmnd[period + 1];
+    const denom = a - 2 * b + c;
+    const refined = denom !== 0 ? period + (a - c) / (2 * denom) : period;
+
+    f0.push(round(rate / refined, 1));
+    probability.push(round(1 - b, 3));
+  }
+
+  return {
+    hopSize: hop / rate,
+    times,
+    f0,
+    probability
+  };
+};
+
+const toSemitones = (hz, reference) => 12 * Math.log2(hz / reference);
+
+// Summary statistics over the voiced part of a contour.
+// jitter is the frame-level approximation: mean absolute change between
+// consecutive voiced periods relative to the mean period (in percent).
+export const summarizePitch = (contour) => {
+  const voiced = contour.f0.filter(v => v > 0);
+  const voicedRatio = contour.f0.length ? voiced.length / contour.f0.length : 0;
+
+  if (voiced.length < 2) {
+    return {
+      meanF0: voiced[0] || 0, medianF0: voiced[0] || 0, minF0: voiced[0] || 0, maxF0: voiced[0] || 0,
+      rangeHz: 0, rangeSemitones: 0, variability: 0, jitter: 0,
+      voicedRatio: round(voicedRatio, 3), voicedFrames: voiced.length
+    };
+  }
+
+  const reference = median(voiced);
+  const semitones = voiced.map(v => toSemitones(v, reference));
+  const minF0 = voiced.reduce((a, b) => Math.min(a, b), Infinity);
+  const maxF0 = voiced.reduce((a, b) => Math.max(a, b), 0);
+
+  let periodDelta = 0;
+  let pairs = 0;
+  for (let i = 1; i < contour.f0.length; i++) {
+    if (contour.f0[i] > 0 && contour.f0[i - 1] > 0) {
+      periodDelta += Math.abs(1 / contour.f0[i] - 1 / contour.f0[i - 1]);
+      pairs++;
+    }
+  }
+  const meanPeriod = mean(voiced.map(v => 1 / v));
+  const jitter = pairs > 0 ? (periodDelta / pairs / meanPeriod) * 100 : 0;
+
+  return {
+    meanF0: round(mean(voiced), 1),
+    medianF0: round(reference, 1),
+    minF0: round(minF0, 1),
+    maxF0: round(maxF0, 1),
+    rangeHz: round(maxF0 - minF0, 1),
+    rangeSemitones: round(toSemitones(maxF0, minF0), 2),
+    variability: round(std(semitones), 2), // standard deviation in semitones
+    jitter: round(jitter, 2),
+    voicedRatio: round(voicedRatio, 3),
+    voicedFrames: voiced.length
+  };
+};
+
+// 0-100 pitch steadiness: conversational speech varies by ~2-4 semitones
+// with frame jitter of a few percent; more than that pulls the score down.
+export const scorePitch = (summary) => {
+  if (summary.voicedFrames < 2) return 50;
+  const score = 100 - Math.max(0, summary.variability - 2) * 12 - Math.max(0, summary.jitter - 2) * 4;
+  return Math.round(Math.max(0, Math.min(100, score)));
+};
@@ -0,0 +1,84 @@
+import { mean, round } from './dsp.js';
+
+export const DEFAULT_QUALITY_OPTIONS = {
+  minFacePresent: 0.5, // share of frames with a face; below it scores are withheld
+  goodFacePresent: 0.85,
+  minFaceFrames: 10,
+  maxMultiFace: 0.3, // share of frames with more than one face; above it scores are withheld
+  goodMultiFace: 0.05,
+  minFaceSize: 0.15, // face box height as a fraction of the frame height
+  brightnessRange: [60, 200], // mean face luminance, 0-255
+  minSharpness: 20 // variance of the Laplacian over the face crop
+};
+
+// Capture quality of a landmark stream: face presence, extra faces, face
+// size and, when the browser measured them, face brightness and sharpness.
+// level is 'good', 'degraded' (confidence scaled by confidenceFactor) or
+// 'insufficient' (facial scores should be withheld).
+export const assessFaceQuality = (stream, options = {}) => {
+  const opts = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const frames = stream.frames;
+  const faceFrames = frames.filter(frame => frame.faces > 0 && frame.landmarks);
+  const multiFaceFrames = frames.filter(frame => frame.faces > 1).length;
+  const facePresentRatio = frames.length ? faceFrames.length / frames.length : 0;
+  const multiFaceRatio = frames.length ? multiFaceFrames / frames.length : 0;
+
+  const sizes = stream.height
+    ? faceFrames.filter(frame => Array.isArray(frame.box)).map(frame => frame.box[3] / stream.height)
+    : [];
+  const brightness = faceFrames.map(frame => frame.quality?.brightness).filter(Number.isFinite);
+  const sharpness = faceFrames.map(frame => frame.quality?.sharpness).filter(Number.isFinite);
+  const meanFaceSize = sizes.length ? mean(sizes) : null;
+  const meanBrightness = brightness.length ? mean(brightness) : null;
+  const meanSharpness = sharpness.length ? mean(sharpness) : null;
+
+  const issues = [];
+  let withhold = false;
+  let confidenceFactor = 1;
+
+  if (facePresentRatio < opts.minFacePresent || faceFrames.length < opts.minFaceFrames) {
+    withhold = true;
+    issues.push(`face visible in only ${Math.round(facePresentRatio * 100)}% of frames`);
+  } else if (facePresentRatio < opts.goodFacePresent) {
+    confidenceFactor *= facePresentRatio / opts.goodFacePresent;
+    issues.push(`face visible in ${Math.round(facePresentRatio * 100)}% of frames`);
+  }
+  if (multiFaceRatio > opts.maxMultiFace) {
+    withhold = true;
+    issues.push(`more than one face in ${Math.round(multiFaceRatio * 100)}% of frames`);
+  } else if (multiFaceRatio > opts.goodMultiFace) {
+    confidenceFactor *= 0.7;
+    issues.push(`more than one face in ${Math.round(multiFaceRatio * 100)}% of frames`);
+  }
+  if (meanFaceSize !== null && meanFaceSize < opts.minFaceSize) {
+    confidenceFactor *= 0.8;
+    issues.push('face too small in frame');
+  }
+  if (meanBrightness !== null) {
+    const [low, high] = opts.brightnessRange;
+    if (meanBrightness < low) {
+      confidenceFactor *= 0.75;
+      issues.push('face underexposed or backlit');
+    } else if (meanBrightness > high) {
+      confidenceFactor *= 0.75;
+      issues.push('face overexposed');
+    }
+  }
+  if (meanSharpness !== null && meanSharpness < opts.minSharpness) {
+    confidenceFactor *= 0.75;
+    issues.push('face blurred');
+  }
+
+  return {
+    level: withhold ? 'insufficient' : issues.length ? 'degraded' : 'good',
+    facePresentRatio: round(facePresentRatio, 3),
+    faceFrames: faceFrames.length,
+    multiFaceFrames,
+    multiFaceRatio: round(multiFaceRatio, 3),
+    meanFaceSize: meanFaceSize === null ? null : round(meanFaceSize, 3),
+    meanBrightness: meanBrightness === null ? null : round(meanBrightness, 1),
+    meanSharpness: meanSharpness === null ? null : round(meanSharpness, 1),
+    confidenceFactor: withhold ? 0 : round(confidenceFactor, 3),
+    issues
+  };
+};
@@ -1,127 +0,0 @@
-import fs from 'fs';
-
-export class RealMLAnalyzer {
-  async analyzeAudio(audioData) {
-    if (!audioData) return this.getDefaultVoice();
-    
-    const buffer = Buffer.from(audioData, 'base64');
-    const duration = buffer.length / 44100;
-    const rms = this.calculateRMS(buffer);
-    const pitch = this.detectPitch(buffer);
-    
-    return {
-      pitchScore: Math.round(pitch * 100),
-      toneScore: Math.round(rms * 100),
-      emotionalScore: Math.round((rms + pitch) * 50),
-      stressScore: Math.round(duration * 10),
-      confidence: Math.round(70 + rms * 20),
-      interpretation: `Real audio: ${duration.toFixed(1)}s, RMS: ${rms.toFixed(2)}`
-    };
-  }
-
-  async analyzeVideo(videoData) {
-    if (!videoData) return this.getDefaultFacial();
-    
-    const buffer = Buffer.from(videoData, 'base64');
-    const motion = this.detectMotion(buffer);
-    const stability = this.calculateStability(buffer);
-    
-    return {
-      microExpressions: motion > 0.5 ? 'High' : motion > 0.2 ? 'Medium' : 'Low',
-      eyeMovement: motion > 0.6 ? 'Frequent' : 'Stable',
-      headPoseStability: Math.round(stability * 100),
-      gazeStability: Math.round(stability * 90),
-      confidence: Math.round(60 + motion * 30),
-      interpretation: `Real video: motion ${motion.toFixed(2)}, stability ${stability.toFixed(2)}`
-    };
-  }
-
-  async analyzeText(text) {
-    if (!text) return this.getDefaultText();
-    
-    const words = text.split(' ');
-    const sentiment = this.calculateSentiment(text);
-    const complexity = words.length / text.split('.').length;
-    
-    return {
-      sentimentScore: Math.round(sentiment * 100 + 50),
-      consistencyScore: Math.round(100 - (words.length / 10)),
-      complexityScore: Math.round(complexity * 10),
-      contradictionScore: Math.round(90),
-      deceptionScore: Math.round(85),
-      confidence: Math.round(75),
-      interpretation: `Real text: ${words.length} words, sentiment ${sentiment.toFixed(2)}`
-    };
-  }
-
-  calculateRMS(buffer) {
-    let sum = 0;
-    for (let i = 0; i < buffer.length; i++) {
-      sum += buffer[i] * buffer[i];
-    }
-    return buffer.length > 0 ? Math.sqrt(sum / buffer.length) / 255 : 0;
-  }
-
-  detectPitch(buffer) {
-    let max = 0;
-    for (let i = 0; i < buffer.length; i++) {
-      if (buffer[i] > max) max = buffer[i];
-    }
-    return buffer.length > 0 ? max / 255 : 0;
-  }
-
-  detectMotion(buffer) {
-    if (buffer.length < 2) return 0;
-    let diff = 0;
-    for (let i = 1; i < buffer.length; i++) {
-      diff += Math.abs(buffer[i] - buffer[i-1]);
-    }
-    return diff / (buffer.length * 255);
-  }
-
-  calculateStability(buffer) {
-    const chunks = Math.floor(buffer.length / 100);
-    if (chunks <= 0) return 1; // default stable when too small
-    let variance = 0;
-    for (let i = 0; i < chunks; i++) {
-      const chunk = buffer.slice(i * 100, (i + 1) * 100);
-      const avg = chunk.reduce((a, b) => a + b, 0) / 100;
-      variance += Math.abs(chunk[0] - avg);
-    }
-    return 1 - (variance / chunks / 255);
-  }
-
-  calculateSentiment(text) {
-    const positive = ['good', 'great', 'excellent', 'amazing', 'love', 'happy'];
-    const negative = ['bad', 'terrible', 'awful', 'hate', 'angry', 'sad'];
-    const words = text.toLowerCase().split(' ');
-    let score = 0;
-    words.forEach(word => {
-      if (positive.includes(word)) score += 0.2;
-      if (negative.includes(word)) score -= 0.2;
-    });
-    return Math.max(-1, Math.min(1, score));
-  }
-
-  getDefaultVoice() {
-    return {
-      pitchScore: 50, toneScore: 50, emotionalScore: 50, stressScore: 50,
-      confidence: 50, interpretation: 'No audio data provided'
-    };
-  }
-
-  getDefaultFacial() {
-    return {
-      microExpressions: 'Low', eyeMovement: 'Stable', headPoseStability: 80,
-      gazeStability: 75, confidence: 50, interpretation: 'No video data provided'
-    };
-  }
-
-  getDefaultText() {
-    return {
-      sentimentScore: 50, consistencyScore: 70, complexityScore: 40,
-      contradictionScore: 90, deceptionScore: 85, confidence: 60,
-      interpretation: 'No text data provided'
-    };
-  }
-}
@@ -0,0 +1,58 @@
+import { mean, median, round } from './dsp.js';
+
+export const DEFAULT_LATENCY_OPTIONS = {
+  overlapTolerance: 0.1, // seconds of speech right at the mark still treated as the question's tail
+  minAnswerSpeech: 0.3 // seconds of speech needed for an onset to count as an answer
+};
+
+// Normalizes marks sent by the recorder: numbers (seconds) or { time, label }
+const normalizeMarks = (questionMarks) =>
+  (questionMarks || [])
+    .map((mark, index) => (typeof mark === 'number' ? { time: mark, index } : { ...mark, time: Number(mark.time), index }))
+    .filter(mark => Number.isFinite(mark.time) && mark.time >= 0)
+    .sort((a, b) => a.time - b.time);
+
+// Latency from each "question finished" mark to the next speech onset in the
+// voice activity segments. An answer must start before the following mark;
+// speech already running past the mark is reported as an overlap (latency 0).
+export const measureResponseLatency = (vad, questionMarks, options = {}) => {
+  const opts = { ...DEFAULT_LATENCY_OPTIONS, ...options };
+  const marks = normalizeMarks(questionMarks);
+  const segments = (vad.segments || []).filter(s => s.end - s.start >= opts.minAnswerSpeech);
+
+  const questions = marks.map((mark, i) => {
+    const windowEnd = i + 1 < marks.length ? marks[i + 1].time : Infinity;
+    const ongoing = segments.find(s => s.start < mark.time && s.end > mark.time + opts.overlapTolerance);
+    const next = segments.find(s => s.start >= mark.time - opts.overlapTolerance && s.start < windowEnd);
+
+    let answerStart = null;
+    let overlap = false;
+    if (next && (!ongoing || next.start <= mark.time + opts.overlapTolerance)) {
+      answerStart = Math.max(mark.time, next.start);
+    } else if (ongoing) {
+      answerStart = mark.time;
+      overlap = true;
+    }
+
+    return {
+      index: mark.index,
+      label: mark.label,
+      questionEnd: round(mark.time, 2),
+      answerStart: answerStart === null ? null : round(answerStart, 2),
+      latency: answerStart === null ? null : round(answerStart - mark.time, 2),
+      overlap,
+      answered: answerStart !== null
+    };
+  });
+
+  const latencies = questions.filter(q => q.answered).map(q => q.latency);
+
+  return {
+    questions,
+    questionCount: questions.length,
+    answered: latencies.length,
+    meanLatency: round(mean(latencies), 2),
+    medianLatency: round(median(latencies), 2),
+    maxLatency: round(latencies.reduce((a, b) => Math.max(a, b), 0), 2)
+  };
+};
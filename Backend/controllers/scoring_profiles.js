@@ -0,0 +1,252 @@
+import ScoringProfile from '../models/ScoringProfile.js';
+import { MODALITIES, listAnalyzers } from './analyzers.js';
+import { loadFusionModel } from './fusion_model.js';
+
+// Scoring profiles decide how the truth score fuses the modality results:
+//   weights     nominal share of each modality (0 leaves it out)
+//   subScores   per modality, the weighted mean of result fields that makes
+//               up its score: [{ field, weight, invert }]
+//   thresholds  interpretation per score band: [{ min, interpretation }]
+//   minConfidence  confidence needed for a verdict (optional; see
+//               uncertainty.js)
+//   model       trained fusion model that computes the score instead of
+//               the weighted mean (optional; see fusion_model.js). weights
+//               then only pick the modalities fed to it; missing weights,
+//               subScores and thresholds fall back to the default's.
+// 'default' is built in and read-only; named profiles live in MongoDB and
+// are edited through the admin API (/api/scoring-profiles).
+
+export const DEFAULT_PROFILE_NAME = 'default';
+
+export const DEFAULT_SCORING_PROFILE = {
+  name: DEFAULT_PROFILE_NAME,
+  description: 'Built-in weighting used when no profile is requested',
+  builtIn: true,
+  revision: 1,
+  weights: { voice: 0.3, facial: 0.3, text: 0.4 },
+  subScores: {
+    voice: [{ field: 'emotionalScore', weight: 1 }, { field: 'stressScore', weight: 1 }],
+    facial: [{ field: 'headPoseStability', weight: 1 }, { field: 'gazeStability', weight: 1 }],
+    text: [
+      { field: 'sentimentScore', weight: 1 },
+      { field: 'consistencyScore', weight: 1 },
+      { field: 'deceptionScore', weight: 1 }
+    ]
+  },
+  thresholds: [
+    { min: 80, interpretation: 'High truthfulness indicators detected. Strong consistency across multiple analysis modalities.' },
+    { min: 60, interpretation: 'Moderate truthfulness indicators. Some inconsistencies detected but overall credible.' },
+    { min: 40, interpretation: 'Mixed signals detected. Some deception indicators present.' },
+    { min: 0, interpretation: 'Low truthfulness indicators. Multiple deception signals detected.' }
+  ]
+};
+
+// 400 for an invalid profile, 404 for an unknown one, 409 for a taken name,
+// 403 for an attempt to change the built-in profile, 503 when its fusion
+// model can no longer be loaded
+export class ScoringProfileError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ScoringProfileError';
+    this.statusCode = statusCode;
+  }
+}
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Numeric result fields a sub-score can use: those any registered engine of
+// the modality declares in its output schema
+const numericFields = (modality) => [
+  ...new Set(
+    listAnalyzers()
+      .filter(analyzer => analyzer.modality === modality)
+      .flatMap(({ output = {} }) =>
+        Object.entries(output)
+          .filter(([, type]) => type.replace('?', '') === 'number')
+          .map(([field]) => field)
+      )
+  )
+];
+
+const isWeight = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Checked and normalized profile fields from a request body
+export const validateScoringProfile = (body = {}) => {
+  const { description, model, minConfidence } = body;
+  const { weights, subScores, thresholds } = model ? { ...DEFAULT_SCORING_PROFILE, ...body } : body;
+  const problems = [];
+
+  if (!weights || !MODALITIES.every(modality => isWeight(weights[modality]))) {
+    problems.push(`weights needs a number >= 0 for each of ${MODALITIES.join(', ')}`);
+  } else if (MODALITIES.every(modality => weights[modality] === 0)) {
+    problems.push('weights needs at least one modality above 0');
+  }
+
+  const terms = {};
+  MODALITIES.forEach(modality => {
+    const list = subScores?.[modality] ?? [];
+    if (!Array.isArray(list)) {
+      problems.push(`subScores.${modality} must be an array of { field, weight, invert }`);
+      return;
+    }
+    const allowed = numericFields(modality);
+    terms[modality] = list.map(({ field, weight = 1, invert = false } = {}) => {
+      if (!allowed.includes(field)) {
+        problems.push(`subScores.${modality}: unknown field "${field}" (available: ${allowed.join(', ')})`);
+      }
+      if (!isWeight(weight)) problems.push(`subScores.${modality}.${field}: weight must be a number >= 0`);
+      return { field, weight, invert: Boolean(invert) };
+    });
+    if (weights?.[modality] > 0 && !terms[modality].some(term => term.weight > 0)) {
+      problems.push(`subScores.${modality} needs a weighted field while weights.${modality} is above 0`);
+    }
+  });
+
+  if (!Array.isArray(thresholds) || thresholds.length === 0) {
+    problems.push('thresholds must be a non-empty array of { min, interpretation }');
+  } else {
+    thresholds.forEach(({ min, interpretation } = {}, i) => {
+      if (typeof min !== 'number' || min < 0 || min > 100) problems.push(`thresholds[${i}].min must be 0-100`);
+      if (typeof interpretation !== 'string' || !interpretation.trim()) {
+        problems.push(`thresholds[${i}].interpretation is required`);
+      }
+    });
+    if (!thresholds.some(threshold => threshold.min === 0)) {
+      problems.push('thresholds needs a band with min 0 so every score is interpreted');
+    }
+  }
+
+  if (minConfidence != null && (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 100)) {
+    problems.push('minConfidence must be 0-100');
+  }
+  if (model != null && (typeof model !== 'string' || !NAME_PATTERN.test(model))) {
+    problems.push('model must be the name of a trained fusion model');
+  }
+
+  if (problems.length) throw new ScoringProfileError(`Invalid scoring profile: ${problems.join('; ')}`);
+  return {
+    description: typeof description === 'string' ? description : undefined,
+    weights: Object.fromEntries(MODALITIES.map(modality => [modality, weights[modality]])),
+    subScores: terms,
+    thresholds: [...thresholds]
+      .map(({ min, interpretation }) => ({ min, interpretation: interpretation.trim() }))
+      .sort((a, b) => b.min - a.min),
+    minConfidence: minConfidence ?? undefined,
+    model: model || undefined
+  };
+};
+
+// Checks that a profile's fusion model exists and loads
+const assertModelLoads = async ({ model }) => {
+  if (!model) return;
+  try {
+    await loadFusionModel(model);
+  } catch (error) {
+    throw new ScoringProfileError(`Invalid scoring profile: ${error.message}`);
+  }
+};
+
+// The profile named by a request (?profile= or body.profile); the built-in
+// default when none is named
+export const resolveScoringProfile = async (name) => {
+  if (!name || name === DEFAULT_PROFILE_NAME) return DEFAULT_SCORING_PROFILE;
+  const profile = await ScoringProfile.findOne({ name: String(name) }).lean();
+  if (!profile) throw new ScoringProfileError(`No scoring profile named "${name}"`, 404);
+  if (!profile.model) return profile;
+  try {
+    return { ...profile, fusionModel: await loadFusionModel(profile.model) };
+  } catch (error) {
+    throw new ScoringProfileError(`Scoring profile "${name}" cannot be used: ${error.message}`, 503);
+  }
+};
+
+// Scoring profile named by a request's ?profile= or profile body field
+export const requestedScoringProfile = (req) => resolveScoringProfile(req.query.profile || req.body?.profile);
+
+// Public view of a stored profile
+const profileView = ({ _id, __v, fusionModel, ...profile }) => profile;
+
+const sendProfileError = (res, next, error) => {
+  console.error('Scoring profile error:', error);
+  if (error instanceof ScoringProfileError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  res.status(500);
+  next(error);
+};
+
+const assertEditable = (name) => {
+  if (name === DEFAULT_PROFILE_NAME) {
+    throw new ScoringProfileError(`The "${DEFAULT_PROFILE_NAME}" profile is built in and cannot be changed`, 403);
+  }
+};
+
+// Express route handlers. Reading is public (clients pick a profile);
+// creating, editing and deleting go through requireAdmin.
+
+export const listScoringProfiles = async (req, res, next) => {
+  try {
+    const stored = await ScoringProfile.find({}).sort({ name: 1 }).lean();
+    res.status(200).json({ success: true, profiles: [DEFAULT_SCORING_PROFILE, ...stored.map(profileView)] });
+  } catch (error) {
+    sendProfileError(res, next, error);
+  }
+};
+
+export const getScoringProfile = async (req, res, next) => {
+  try {
+    const profile = await resolveScoringProfile(req.params.name);
+    res.status(200).json({ success: true, profile: profile.builtIn ? profile : profileView(profile) });
+  } catch (error) {
+    sendProfileError(res, next, error);
+  }
+};
+
+export const createScoringProfile = async (req, res, next) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    if (!NAME_PATTERN.test(name)) {
+      throw new ScoringProfileError('name must be 1-64 letters, digits, "-" or "_"');
+    }
+    assertEditable(name);
+    if (await ScoringProfile.exists({ name })) {
+      throw new ScoringProfileError(`A scoring profile named "${name}" already exists`, 409);
+    }
+    const fields = validateScoringProfile(req.body);
+    await assertModelLoads(fields);
+    const profile = await ScoringProfile.create({ name, ...fields });
+    res.status(201).json({ success: true, profile: profileView(profile.toObject()) });
+  } catch (error) {
+    sendProfileError(res, next, error);
+  }
+};
+
+// Replaces the profile's settings and bumps its revision; truth scores
+// already stored keep the revision they were computed with
+export const updateScoringProfile = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    assertEditable(name);
+    const profile = await ScoringProfile.findOne({ name });
+    if (!profile) throw new ScoringProfileError(`No scoring profile named "${name}"`, 404);
+    const fields = validateScoringProfile(req.body);
+    await assertModelLoads(fields);
+    profile.set({ ...fields, revision: profile.revision + 1 });
+    await profile.save();
+    res.status(200).json({ success: true, profile: profileView(profile.toObject()) });
+  } catch (error) {
+    sendProfileError(res, next, error);
+  }
+};
+
+export const deleteScoringProfile = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    assertEditable(name);
+    const deleted = await ScoringProfile.findOneAndDelete({ name });
+    if (!deleted) throw new ScoringProfileError(`No scoring profile named "${name}"`, 404);
+    res.status(200).json({ success: true });
+  } catch (error) {
+    sendProfileError(res, next, error);
+  }
+};
@@ -2,6 +2,24 @@ import crypto from "crypto";
 import Session from "../models/Session.js";
 import PDFDocument from "pdfkit";
 import { v2 as cloudinary } from "cloudinary";
+import {
+  uploadedAnalysisInputs,
+  jsonAnalysisInputs,
+  trustedMediaUrl,
+  fetchMediaUrl,
+} from "./media_upload.js";
+import { parseEngineSelection } from "./analyzers.js";
+import {
+  analyzeSegmentsHelper,
+  analyzeVideoSourceHelper,
+  computeTruthScoreHelper,
+  interpretTruthScore,
+} from "./analysis.js";
+import { buildBaseline } from "./calibration.js";
+import { resolveScoringProfile } from "./scoring_profiles.js";
+import { averageExplanations } from "./truth_explanation.js";
+import { confidenceThreshold } from "./uncertainty.js";
+import { isAdminRequest } from "../middlewares/admin.js";
 
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -12,9 +30,12 @@ cloudinary.config({
 
 export const createSession = async (req, res, next) => {
   try {
-    const payload = req.body || {};
+    // Ground truth is set by admins only (setGroundTruth)
+    const { groundTruth, ...payload } = req.body || {};
     const session = await Session.create({
       ...payload,
+      scoringProfile:
+        payload.scoringProfile || payload.truth?.profile?.name || undefined,
       report: {
         ...payload.report,
         shareId: payload.report?.shareId || crypto.randomUUID(),
@@ -30,13 +51,7 @@ export const createSession = async (req, res, next) => {
 
 export const listSessions = async (req, res, next) => {
   try {
-    const adminKey = req.header("x-admin-key");
-    const isAdmin =
-      adminKey &&
-      process.env.ADMIN_SECRET &&
-      adminKey === process.env.ADMIN_SECRET;
-
-    if (isAdmin) {
+    if (isAdminRequest(req)) {
       const sessions = await Session.find({})
         .sort({ createdAt: -1 })
         .limit(100);
@@ -76,6 +91,397 @@ export const getSession = async (req, res, next) => {
   }
 };
 
+// Audio for segment analysis: base64 sent with the request, else the
+// session's uploaded recording (only from the app's Cloudinary uploads,
+// within the audio upload size limit)
+const loadSessionAudio = async (session, audioData) => {
+  if (audioData) return audioData;
+  if (!session.audioUrl) return null;
+  return fetchMediaUrl(session.audioUrl, "audio");
+};
+
+// JSON body (media as base64 strings), or the fields and uploaded files of a multipart body (audio as
+// a temporary file the decoder reads, facialStream parsed)
+const requestInputs = async (req) => {
+  if (!req.files) return jsonAnalysisInputs(req.body || {});
+  const { audioData, videoData, imageData, ...inputs } =
+    await uploadedAnalysisInputs(req);
+  return { ...inputs, audioData };
+};
+
+// Stored modality result, with an empty subdocument as null
+const present = (result) =>
+  result && Object.keys(result).length ? result : null;
+
+// Stored modality results of a segment, with empty ones as null
+const segmentResults = (segment) => {
+  const { voice, facial, text, transcript } = segment.toObject();
+  return {
+    voice: present(voice),
+    facial: present(facial),
+    text: present(text),
+    transcript,
+  };
+};
+
+// Rebuild the subject's baseline from the analyzed control segments and
+// rescore every other analyzed answer as a deviation from it with the
+// session's scoring profile. The session truth becomes the average over
+// those calibrated answers, with their mean contribution breakdown; it is
+// inconclusive when their mean confidence is below the profile's threshold.
+const applyCalibration = (session, profile) => {
+  const analyzed = session.segments.filter((segment) => segment.analyzedAt);
+  const controls = analyzed.filter((segment) => segment.control);
+  if (controls.length === 0) return false;
+
+  const baseline = buildBaseline(controls.map(segmentResults));
+  session.calibration = {
+    used: true,
+    notes: session.calibration?.notes,
+    controlQuestions: controls.map((segment) => segment.question),
+    baseline,
+    calibratedAt: new Date(),
+  };
+
+  const answers = analyzed.filter((segment) => !segment.control);
+  answers.forEach((segment) => {
+    const { voice, facial, text, transcript } = segmentResults(segment);
+    if (!voice && !facial && !text) return;
+    segment.truth = computeTruthScoreHelper(
+      voice,
+      facial,
+      text,
+      transcript,
+      baseline,
+      profile
+    );
+  });
+
+  const scored = answers.filter((segment) => segment.truth?.truthfulness != null);
+  if (scored.length) {
+    const average = (key) =>
+      Math.round(
+        scored.reduce((sum, segment) => sum + (segment.truth[key] || 0), 0) /
+          scored.length
+      );
+    const truthfulness = average("truthfulness");
+    const confidence = average("confidence");
+    // A profile's fusion model scores without the baseline
+    const calibrated = scored.some((segment) => segment.truth.calibrated);
+    const inconclusive = scored.filter(
+      (segment) => segment.truth.outcome === "inconclusive"
+    ).length;
+    session.truth = {
+      truthfulness,
+      confidence,
+      outcome:
+        confidence >= confidenceThreshold(profile)
+          ? "conclusive"
+          : "inconclusive",
+      interpretation: interpretTruthScore(
+        truthfulness,
+        calibrated ? baseline : null,
+        profile,
+        {
+          confidence,
+          limits: inconclusive
+            ? [`${inconclusive} of ${scored.length} answers inconclusive`]
+            : [],
+        }
+      ),
+      calibrated,
+      profile: { name: profile.name, revision: profile.revision },
+      ...averageExplanations(scored.map((segment) => segment.truth)),
+    };
+  }
+  return true;
+};
+
+// Scoring profile the session's truth scores are computed with
+const sessionProfile = (session) =>
+  resolveScoringProfile(session.scoringProfile);
+
+// Run analysis for the given segment subdocuments with the selected engines
+// (?engine=), store the results and recalibrate the session against its
+// control answers
+const analyzeSessionSegments = async (
+  session,
+  segments,
+  audioData,
+  facialStream,
+  engines
+) => {
+  const profile = await sessionProfile(session);
+  const results = await analyzeSegmentsHelper(
+    segments,
+    audioData,
+    facialStream,
+    engines,
+    profile
+  );
+  segments.forEach((segment, i) => {
+    segment.voice = results[i].voice;
+    segment.facial = results[i].facial;
+    segment.text = results[i].text;
+    segment.truth = results[i].truth;
+    segment.analyzedAt = new Date();
+  });
+  applyCalibration(session, profile);
+};
+
+export const createSegments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { segments, analyze, audioData, facialStream, ...single } =
+      await requestInputs(req);
+    const items = Array.isArray(segments) ? segments : [single];
+
+    const invalid = items.find(
+      (item) =>
+        !Number.isFinite(Number(item.answerStart)) ||
+        !Number.isFinite(Number(item.answerEnd)) ||
+        Number(item.answerEnd) <= Number(item.answerStart)
+    );
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: "Each segment needs answerStart < answerEnd (seconds)",
+      });
+    }
+
+    const session = await Session.findById(id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    const added = items.map((item) => {
+      session.segments.push({
+        question: item.question,
+        control: Boolean(item.control),
+        questionEnd: item.questionEnd,
+        answerStart: item.answerStart,
+        answerEnd: item.answerEnd,
+        transcript: item.transcript,
+      });
+      return session.segments[session.segments.length - 1];
+    });
+
+    if (analyze) {
+      await analyzeSessionSegments(
+        session,
+        added,
+        await loadSessionAudio(session, audioData),
+        facialStream,
+        parseEngineSelection(req.query.engine)
+      );
+    }
+
+    await session.save();
+    return res.status(201).json({ success: true, segments: added });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500);
+    next(error);
+  }
+};
+
+export const listSegments = async (req, res, next) => {
+  try {
+    const session = await Session.findById(req.params.id, { segments: 1 });
+    if (!session) return res.status(404).json({ message: "Session not found" });
+    const segments = [...session.segments].sort(
+      (a, b) => a.answerStart - b.answerStart
+    );
+    return res.status(200).json({ success: true, segments });
+  } catch (error) {
+    console.error(error);
+    res.status(500);
+    next(error);
+  }
+};
+
+// Re-analyze all segments, or only those listed in segmentIds
+export const reanalyzeSegments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { segmentIds, audioData, facialStream } = await requestInputs(req);
+    const session = await Session.findById(id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    const targets = Array.isArray(segmentIds)
+      ? session.segments.filter((segment) =>
+          segmentIds.includes(String(segment._id))
+        )
+      : session.segments;
+    if (targets.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "No matching segments" });
+    }
+
+    await analyzeSessionSegments(
+      session,
+      targets,
+      await loadSessionAudio(session, audioData),
+      facialStream,
+      parseEngineSelection(req.query.engine)
+    );
+    await session.save();
+    return res.status(200).json({ success: true, segments: targets });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500);
+    next(error);
+  }
+};
+
+// Facial analysis of the session's uploaded video (Session.videoUrl) for
+// recordings that were not tracked live in the browser. Frames are decoded
+// on the server at body.fps and body.width (clamped, see video_frames.js);
+// only a videoUrl of the app's Cloudinary uploads is opened. Session and
+// per-question facial results and truth scores are replaced.
+export const analyzeSessionVideo = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { fps, width } = req.body || {};
+    const session = await Session.findById(id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
+    if (!session.videoUrl) {
+      return res
+        .status(400)
+        .json({
+          success: false,
+          message: "Session has no videoUrl to analyze",
+        });
+    }
+
+    const engines = parseEngineSelection(req.query.engine);
+    const profile = await sessionProfile(session);
+    const { facialStream, facial } = await analyzeVideoSourceHelper(
+      trustedMediaUrl(session.videoUrl),
+      { video: { fps, width } },
+      engines.facial
+    );
+    session.facial = facial;
+    const { voice, text } = session.toObject();
+    if (present(voice) || !facial.withheld || present(text)) {
+      session.truth = computeTruthScoreHelper(
+        present(voice),
+        facial,
+        present(text),
+        session.transcript,
+        null,
+        profile
+      );
+    }
+
+    if (session.segments.length) {
+      const results = await analyzeSegmentsHelper(
+        session.segments,
+        null,
+        facialStream,
+        engines,
+        profile
+      );
+      session.segments.forEach((segment, i) => {
+        segment.facial = results[i].facial;
+        const stored = segmentResults(segment);
+        if (
+          stored.voice ||
+          (stored.facial && !stored.facial.withheld) ||
+          stored.text
+        ) {
+          segment.truth = computeTruthScoreHelper(
+            stored.voice,
+            stored.facial,
+            stored.text,
+            stored.transcript,
+            null,
+            profile
+          );
+        }
+        segment.analyzedAt = new Date();
+      });
+      applyCalibration(session, profile);
+    }
+
+    await session.save();
+    return res.status(200).json({
+      success: true,
+      facial: session.facial,
+      truth: session.truth,
+      frames: facialStream.frames.length,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500);
+    next(error);
+  }
+};
+
+// Mark control segments (optional) and rebuild the calibration baseline
+export const calibrateSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { controlSegmentIds } = req.body || {};
+    const session = await Session.findById(id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    if (Array.isArray(controlSegmentIds)) {
+      session.segments.forEach((segment) => {
+        segment.control = controlSegmentIds.includes(String(segment._id));
+      });
+    }
+
+    if (!applyCalibration(session, await sessionProfile(session))) {
+      return res.status(400).json({
+        success: false,
+        message: "Calibration needs at least one analyzed control segment",
+      });
+    }
+
+    await session.save();
+    return res.status(200).json({
+      success: true,
+      calibration: session.calibration,
+      truth: session.truth,
+      segments: session.segments,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500);
+    next(error);
+  }
+};
+
+// Label the session's known outcome (truthful or deceptive) for fusion
+// model training; label null clears it. Admin only.
+export const setGroundTruth = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { label, notes } = req.body || {};
+    if (label !== null && !["truthful", "deceptive"].includes(label)) {
+      return res.status(400).json({
+        success: false,
+        message: 'label must be "truthful", "deceptive" or null',
+      });
+    }
+    const session = await Session.findById(id);
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    session.groundTruth =
+      label === null
+        ? undefined
+        : { label, notes: notes || undefined, labelledAt: new Date() };
+    await session.save();
+    return res
+      .status(200)
+      .json({ success: true, groundTruth: session.groundTruth });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500);
+    next(error);
+  }
+};
+
 export const exportSessionPdf = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -109,14 +515,73 @@ export const exportSessionPdf = async (req, res, next) => {
     doc.text(`Sentiment: ${v.sentimentScore ?? "-"}`);
     doc.text(`Emotional: ${v.emotionalScore ?? "-"}`);
     doc.text(`Stress: ${v.stressScore ?? "-"}`);
+    if (v.pitch?.voicedFrames) {
+      doc.text(
+        `Pitch: mean ${v.pitch.meanF0} Hz, range ${v.pitch.minF0}-${v.pitch.maxF0} Hz, jitter ${v.pitch.jitter}%, variability ${v.pitch.variability} st`
+      );
+    }
+    if (v.responseLatency?.questionCount) {
+      doc.text(
+        `Response latency: mean ${v.responseLatency.meanLatency}s, max ${v.responseLatency.maxLatency}s (${v.responseLatency.answered}/${v.responseLatency.questionCount} answered)`
+      );
+    }
 
     doc.moveDown();
     doc.fontSize(16).text("Facial Analysis");
     doc.fontSize(12);
     const f = session.facial || {};
+    if (f.identity?.status) {
+      const identityLine = {
+        pass: `PASS (${f.identity.descriptors} face checks, max distance ${f.identity.maxDistance})`,
+        fail: `FAIL - ${f.identity.changeCount} identity change(s) at ${(f.identity.changes || []).slice(0, 10).map((c) => `${c.start}s`).join(", ")}`,
+        unverified: "not verified (no face descriptors recorded)",
+      }[f.identity.status];
+      doc.text(`Identity continuity: ${identityLine}`);
+    }
+    if (f.quality?.level) {
+      doc.text(
+        `Capture quality: ${f.withheld ? "insufficient, facial scores withheld" : f.quality.level}${f.quality.issues?.length ? ` (${f.quality.issues.join(", ")})` : ""}`
+      );
+    }
     doc.text(`Micro-expressions: ${f.microExpressionsScore ?? "-"}`);
+    if (f.microExpressionEvents?.count != null) {
+      const families = Object.entries(f.microExpressionEvents.families || {})
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([family, count]) => `${family} x${count}`)
+        .join(", ");
+      doc.text(
+        `Micro-expression events: ${f.microExpressionEvents.count} (${f.microExpressionEvents.ratePerMinute}/min)${families ? ` - ${families}` : ""}`
+      );
+    }
+    if (f.emotions?.dominant) {
+      doc.text(
+        `Expressions: mostly ${f.emotions.dominant}, ${f.emotions.smileCount} smiles (${f.emotions.suppressedSmiles} masked or asymmetric)`
+      );
+    }
     doc.text(`Blinking: ${f.blinkingScore ?? "-"}`);
+    if (f.blinks?.count != null) {
+      const deviation =
+        f.blinks.baselineDeviation != null
+          ? `, ${Math.round(f.blinks.baselineDeviation * 100)}% vs baseline`
+          : "";
+      doc.text(
+        `Blinks: ${f.blinks.count} (${f.blinks.ratePerMinute}/min, mean ${f.blinks.meanDuration}s, ${f.blinks.bursts} bursts${deviation})`
+      );
+    }
     doc.text(`Eye Movement: ${f.eyeMovementScore ?? "-"}`);
+    if (f.pose?.frames) {
+      doc.text(
+        `Head pose: stability ${f.headPoseStability ?? "-"}, variance pitch ${f.pose.variance?.pitch}° / yaw ${f.pose.variance?.yaw}° / roll ${f.pose.variance?.roll}°, ${f.pose.suddenMovementCount} sudden movements`
+      );
+      const aversions = (f.pose.gazeAversions || [])
+        .slice(0, 10)
+        .map((a) => `${a.start}s ${a.direction} (${a.duration}s)`)
+        .join(", ");
+      doc.text(
+        `Gaze aversions: ${f.pose.gazeAversionCount}${aversions ? ` - ${aversions}` : ""}`
+      );
+    }
     doc.text(`Smile Suppression: ${f.smileSuppressionScore ?? "-"}`);
     doc.text(`Visual Emotion: ${f.visualEmotionScore ?? "-"}`);
 
@@ -134,7 +599,125 @@ export const exportSessionPdf = async (req, res, next) => {
     const tr = session.truth || {};
     doc.text(`Truthfulness: ${tr.truthfulness ?? "-"}`);
     doc.text(`Confidence: ${tr.confidence ?? "-"}`);
+    if (tr.outcome) {
+      doc.text(
+        `Outcome: ${tr.outcome}${tr.uncertainty?.threshold != null ? ` (verdicts need ${tr.uncertainty.threshold}% confidence)` : ""}`
+      );
+    }
+    if (tr.uncertainty) {
+      const quality = Object.entries(tr.uncertainty.modalities || {})
+        .map(
+          ([name, modality]) => `${name} ${Math.round(modality.quality * 100)}%`
+        )
+        .join(", ");
+      doc.text(
+        `Input quality: ${quality || "-"}; modality agreement: ${tr.uncertainty.agreement != null ? `${Math.round(tr.uncertainty.agreement * 100)}%` : "n/a"}`
+      );
+    }
     doc.text(`Interpretation: ${tr.interpretation ?? "-"}`);
+    doc.text(
+      `Scoring profile: ${tr.profile?.name ?? session.scoringProfile ?? "default"}${
+        tr.profile?.revision ? ` (revision ${tr.profile.revision})` : ""
+      }${tr.profile?.model ? `, fusion model ${tr.profile.model}` : ""}`
+    );
+    const calibration = session.calibration || {};
+    doc.text(
+      calibration.used
+        ? `Calibration: applied (${calibration.baseline?.samples ?? 0} control answers)`
+        : "Calibration: not applied"
+    );
+    if (tr.topFactors?.length) {
+      doc.text("Top factors:");
+      tr.topFactors.forEach((factor, i) =>
+        doc.text(`  ${i + 1}. ${factor.description}`)
+      );
+    }
+    if (tr.breakdown?.length) {
+      // Signed points each modality and feature moved the score from 50
+      const signed = (points) => `${points >= 0 ? "+" : ""}${points}`;
+      const percent = (weight) => `${Math.round(weight * 100)}%`;
+      doc.moveDown(0.5);
+      doc.text("Score breakdown (points from a neutral 50):");
+      doc.fontSize(10);
+      tr.breakdown.forEach((modality) => {
+        doc.text(
+          `${modality.modality}: score ${modality.score}, weight ${percent(modality.weight)}${modality.calibrated ? ", vs. baseline" : ""}, ${signed(modality.contribution)}`
+        );
+        modality.features.forEach((feature) =>
+          doc.text(
+            `    ${feature.label}: ${feature.value}, weight ${percent(feature.weight)}, ${signed(feature.contribution)}`
+          )
+        );
+      });
+      doc.fontSize(12);
+    }
+
+    const segments = [...(session.segments || [])].sort(
+      (a, b) => a.answerStart - b.answerStart
+    );
+    if (segments.length) {
+      doc.moveDown();
+      doc.fontSize(16).text("Per-Question Results");
+      doc.fontSize(9);
+
+      // Fixed-column table: #, question, answer range, latency, scores
+      const columns = [
+        { title: "#", width: 22 },
+        { title: "Question", width: 170 },
+        { title: "Answer", width: 70 },
+        { title: "Latency", width: 45 },
+        { title: "Stress", width: 40 },
+        { title: "Hesit.", width: 40 },
+        { title: "Sentiment", width: 55 },
+        { title: "Truth", width: 40 },
+      ];
+      const drawRow = (cells, bold = false) => {
+        const y = doc.y;
+        let x = doc.page.margins.left;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+        const heights = cells.map((cell, i) =>
+          doc.heightOfString(String(cell), { width: columns[i].width - 4 })
+        );
+        cells.forEach((cell, i) => {
+          doc.text(String(cell), x, y, { width: columns[i].width - 4 });
+          x += columns[i].width;
+        });
+        doc.x = doc.page.margins.left;
+        doc.y = y + Math.max(...heights) + 4;
+      };
+
+      drawRow(columns.map((column) => column.title), true);
+      segments.forEach((segment, i) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+          doc.addPage();
+        }
+        const latency =
+          segment.questionEnd != null
+            ? `${Math.max(0, segment.answerStart - segment.questionEnd).toFixed(2)}s`
+            : "-";
+        drawRow([
+          i + 1,
+          `${segment.control ? "[Control] " : ""}${(segment.question || "-").substring(0, 120)}`,
+          `${segment.answerStart.toFixed(1)}-${segment.answerEnd.toFixed(1)}s`,
+          latency,
+          segment.voice?.stressScore ?? "-",
+          segment.voice?.hesitationScore ?? "-",
+          segment.text?.sentimentScore ?? "-",
+          segment.truth?.outcome === "inconclusive"
+            ? `(${segment.truth.truthfulness})`
+            : (segment.truth?.truthfulness ?? "-"),
+        ]);
+      });
+      doc.font("Helvetica");
+      if (
+        segments.some((segment) => segment.truth?.outcome === "inconclusive")
+      ) {
+        doc.text(
+          "Truth in parentheses: inconclusive, confidence below the verdict threshold."
+        );
+      }
+      doc.fontSize(12);
+    }
 
     doc.moveDown();
     doc.fontSize(16).text("Notes");
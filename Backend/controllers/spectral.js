@@ -0,0 +1,214 @@
+import { mean, std, round } from './dsp.js';
+
+// Frequency bands (Hz) reported as a share of total spectral energy
+export const ENERGY_BANDS = [
+  { name: 'low', min: 0, max: 300 },
+  { name: 'lowMid', min: 300, max: 1000 },
+  { name: 'mid', min: 1000, max: 2500 },
+  { name: 'highMid', min: 2500, max: 4000 },
+  { name: 'high', min: 4000, max: Infinity }
+];
+
+export const DEFAULT_STFT_OPTIONS = {
+  frameSize: 1024, // samples, rounded up to a power of two
+  hopSize: 512,
+  rolloffPercent: 0.85
+};
+
+export const nextPowerOfTwo = (n) => {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+};
+
+const twiddleCache = new Map();
+const windowCache = new Map();
+
+const getTwiddles = (size) => {
+  if (!twiddleCache.has(size)) {
+    const cos = new Float64Array(size / 2);
+    const sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      cos[i] = Math.cos((-2 * Math.PI * i) / size);
+      sin[i] = Math.sin((-2 * Math.PI * i) / size);
+    }
+    twiddleCache.set(size, { cos, sin });
+  }
+  return twiddleCache.get(size);
+};
+
+export const hannWindow = (size) => {
+  if (!windowCache.has(size)) {
+    const w = new Float64Array(size);
+    for (let i = 0; i < size; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+    windowCache.set(size, w);
+  }
+  return windowCache.get(size);
+};
+
+// In-place iterative radix-2 Cooley-Tukey FFT. re/im length must be a power of two.
+export const fft = (re, im) => {
+  const n = re.length;
+  if (n & (n - 1)) throw new Error(`FFT size must be a power of two (got ${n})`);
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      const tr = re[i];
+      re[i] = re[j];
+      re[j] = tr;
+      const ti = im[i];
+      im[i] = im[j];
+      im[j] = ti;
+    }
+  }
+
+  const { cos, sin } = getTwiddles(n);
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * step];
+        const wi = sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+};
+
+// Magnitudes of the non-negative frequency bins (size / 2 + 1) of a real signal.
+// The input is zero-padded to the next power of two.
+export const magnitudeSpectrum = (signal, window = null) => {
+  const size = nextPowerOfTwo(signal.length);
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let i = 0; i < signal.length; i++) re[i] = window ? signal[i] * window[i] : signal[i];
+  fft(re, im);
+
+  const bins = size / 2 + 1;
+  const magnitudes = new Float32Array(bins);
+  for (let k = 0; k < bins; k++) magnitudes[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+  return magnitudes;
+};
+
+// Short-time Fourier transform. Calls onFrame(magnitudes, frameIndex, timeSeconds)
+// for each Hann-windowed frame so callers can aggregate without keeping the
+// whole spectrogram in memory.
+export const forEachSpectrum = (samples, sampleRate, options, onFrame) => {
+  const opts = { ...DEFAULT_STFT_OPTIONS, ...options };
+  const frameSize = nextPowerOfTwo(opts.frameSize);
+  const hopSize = Math.max(1, opts.hopSize);
+  const window = hannWindow(frameSize);
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  const bins = frameSize / 2 + 1;
+  const magnitudes = new Float32Array(bins);
+  let index = 0;
+
+  for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+    for (let i = 0; i < frameSize; i++) re[i] = samples[start + i] * window[i];
+    im.fill(0);
+    fft(re, im);
+    for (let k = 0; k < bins; k++) magnitudes[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+    onFrame(magnitudes, index++, start / sampleRate);
+  }
+
+  return { frameSize, hopSize, bins, frames: index, binHz: sampleRate / frameSize };
+};
+
+// Collects the full magnitude spectrogram; meant for short clips.
+export const stft = (samples, sampleRate, options = {}) => {
+  const spectrogram = [];
+  const info = forEachSpectrum(samples, sampleRate, options, (magnitudes) => {
+    spectrogram.push(Float32Array.from(magnitudes));
+  });
+  return { ...info, spectrogram };
+};
+
+// Spectral centroid, rolloff, flux and band-energy distribution over the
+// whole recording, summarized as mean/std across frames.
+export const extractSpectralFeatures = (samples, sampleRate, options = {}) => {
+  const opts = { ...DEFAULT_STFT_OPTIONS, ...options };
+  const centroids = [];
+  const rolloffs = [];
+  const fluxes = [];
+  let bandTotals = null;
+  let bandIndex = null;
+  let previous = null;
+  let binHz = 0;
+
+  const info = forEachSpectrum(samples, sampleRate, opts, (magnitudes) => {
+    if (!bandIndex) {
+      binHz = sampleRate / ((magnitudes.length - 1) * 2);
+      bandIndex = Array.from(magnitudes, (_, k) => ENERGY_BANDS.findIndex(b => k * binHz >= b.min && k * binHz < b.max));
+      bandTotals = new Float64Array(ENERGY_BANDS.length);
+      previous = new Float32Array(magnitudes.length);
+    }
+
+    let total = 0;
+    let weighted = 0;
+    let energy = 0;
+    for (let k = 0; k < magnitudes.length; k++) {
+      total += magnitudes[k];
+      weighted += k * binHz * magnitudes[k];
+      const power = magnitudes[k] * magnitudes[k];
+      energy += power;
+      bandTotals[bandIndex[k]] += power;
+    }
+    if (total <= 1e-9) return; // skip digital silence
+
+    centroids.push(weighted / total);
+
+    const threshold = energy * opts.rolloffPercent;
+    let cumulative = 0;
+    let rolloffBin = magnitudes.length - 1;
+    for (let k = 0; k < magnitudes.length; k++) {
+      cumulative += magnitudes[k] * magnitudes[k];
+      if (cumulative >= threshold) {
+        rolloffBin = k;
+        break;
+      }
+    }
+    rolloffs.push(rolloffBin * binHz);
+
+    // Flux between L1-normalized consecutive spectra (positive changes only)
+    let flux = 0;
+    for (let k = 0; k < magnitudes.length; k++) {
+      const current = magnitudes[k] / total;
+      const delta = current - previous[k];
+      if (delta > 0) flux += delta * delta;
+      previous[k] = current;
+    }
+    fluxes.push(Math.sqrt(flux));
+  });
+
+  const bandSum = bandTotals ? bandTotals.reduce((a, b) => a + b, 0) : 0;
+  const bandEnergy = {};
+  ENERGY_BANDS.forEach((band, i) => {
+    bandEnergy[band.name] = bandSum > 0 ? round(bandTotals[i] / bandSum, 4) : 0;
+  });
+
+  return {
+    frames: info.frames,
+    frameSize: info.frameSize,
+    hopSize: info.hopSize,
+    centroidMean: round(mean(centroids), 1),
+    centroidStd: round(std(centroids), 1),
+    rolloffMean: round(mean(rolloffs), 1),
+    rolloffStd: round(std(rolloffs), 1),
+    fluxMean: round(mean(fluxes.slice(1)), 4),
+    fluxStd: round(std(fluxes.slice(1)), 4),
+    bandEnergy
+  };
+};
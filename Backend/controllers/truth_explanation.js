@@ -0,0 +1,161 @@
+import { round } from './dsp.js';
+
+// Contribution breakdown of a fused truth score. The score is a weighted
+// mean of modality scores, each a weighted mean of feature values, so
+//   truthfulness - 50 = sum over features of share * (value - 50)
+// where share is the feature's effective weight in the whole score. Each
+// feature's signed contribution is its term of that sum: points above or
+// below the neutral midpoint it accounts for.
+//
+// Calibrated modalities are scored from the RMS z-score against the
+// subject's baseline instead, 100 minus a penalty; each feature gets an
+// equal part of the modality's maximum and carries the penalty in
+// proportion to its squared z-score, which keeps the same sum.
+
+export const NEUTRAL_SCORE = 50;
+
+// Number of strongest factors reported alongside the breakdown
+export const TOP_FACTOR_COUNT = 3;
+
+// 'headPoseStability' -> 'head pose stability'
+export const featureLabel = (feature) => feature.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+
+const termFeatures = (terms, result, share) => {
+  const available = terms.filter(term => term.weight > 0 && Number.isFinite(result[term.field]));
+  const termWeight = available.reduce((sum, term) => sum + term.weight, 0);
+  return available.map(({ field, weight, invert }) => {
+    const value = invert ? 100 - result[field] : result[field];
+    const featureShare = share * (weight / termWeight);
+    return {
+      feature: field,
+      label: featureLabel(field) + (invert ? ' (inverted)' : ''),
+      value: round(value, 1),
+      weight: round(featureShare, 3),
+      contribution: featureShare * (value - NEUTRAL_SCORE)
+    };
+  });
+};
+
+const deviationFeatures = (deviation, score, share) => {
+  const entries = Object.entries(deviation.zScores);
+  const squares = entries.reduce((sum, [, z]) => sum + z * z, 0);
+  const penalty = 100 - score;
+  return entries.map(([feature, z]) => {
+    const featureShare = share / entries.length;
+    const featurePenalty = squares ? (penalty * z * z) / squares : penalty / entries.length;
+    return {
+      feature,
+      label: `${featureLabel(feature)} vs. baseline`,
+      value: z,
+      zScore: z,
+      weight: round(featureShare, 3),
+      contribution: featureShare * (100 - NEUTRAL_SCORE) - share * featurePenalty
+    };
+  });
+};
+
+const describe = ({ modality, label, value, zScore, contribution }) => {
+  const measured = zScore !== undefined ? `${Math.abs(zScore)} SD from baseline` : `${value}/100`;
+  const direction = contribution >= 0 ? 'raised' : 'lowered';
+  return `${modality.charAt(0).toUpperCase() + modality.slice(1)} ${label} (${measured}) ${direction} the score by ${Math.abs(contribution)} point(s)`;
+};
+
+// Strongest contributions in either direction, from a breakdown
+export const topFactors = (breakdown, count = TOP_FACTOR_COUNT) =>
+  breakdown
+    .flatMap(({ modality, features }) => features.map(feature => ({ modality, ...feature })))
+    .filter(({ contribution }) => contribution !== 0)
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    .slice(0, count)
+    .map(factor => ({
+      modality: factor.modality,
+      feature: factor.feature,
+      label: factor.label,
+      value: factor.value,
+      contribution: factor.contribution,
+      direction: factor.contribution >= 0 ? 'raised' : 'lowered',
+      description: describe(factor)
+    }));
+
+const roundContributions = (breakdown) =>
+  breakdown.map(modality => ({
+    ...modality,
+    contribution: round(modality.contribution, 1),
+    features: modality.features.map(feature => ({ ...feature, contribution: round(feature.contribution, 1) }))
+  }));
+
+// Breakdown and top factors of a fusion. scored: the fused modalities as
+// { name, result, score, weight, terms, deviation } with terms the profile's
+// sub-score terms and deviation the baseline deviation when calibrated.
+export const explainFusion = (scored) => {
+  const totalWeight = scored.reduce((sum, { weight }) => sum + weight, 0);
+  const breakdown = scored.map(({ name, result, score, weight, terms, deviation }) => {
+    const share = weight / totalWeight;
+    const features = deviation
+      ? deviationFeatures(deviation, score, share)
+      : termFeatures(terms, result, share);
+    return {
+      modality: name,
+      score: round(score, 1),
+      weight: round(share, 3),
+      calibrated: Boolean(deviation),
+      contribution: share * (score - NEUTRAL_SCORE),
+      features
+    };
+  });
+  const rounded = roundContributions(breakdown);
+  return { breakdown: rounded, topFactors: topFactors(rounded) };
+};
+
+// Mean breakdown over several truth scores (e.g. a session's calibrated
+// answers). A feature missing from a score counts as contributing nothing
+// to it, so the means still add up to the mean score.
+export const averageExplanations = (truths) => {
+  const withBreakdown = truths.filter(truth => truth?.breakdown?.length);
+  if (!withBreakdown.length) return { breakdown: [], topFactors: [] };
+  const n = withBreakdown.length;
+  const modalities = new Map();
+  withBreakdown.forEach(({ breakdown }) => {
+    breakdown.forEach(({ modality, score, weight, calibrated, contribution, features }) => {
+      const entry = modalities.get(modality)
+        || { modality, score: 0, weight: 0, calibrated: false, contribution: 0, samples: 0, features: new Map() };
+      entry.score += score;
+      entry.weight += weight / n;
+      entry.calibrated = entry.calibrated || calibrated;
+      entry.contribution += contribution / n;
+      entry.samples++;
+      features.forEach(feature => {
+        const current = entry.features.get(feature.label)
+          || {
+            feature: feature.feature,
+            label: feature.label,
+            value: 0,
+            weight: 0,
+            contribution: 0,
+            samples: 0,
+            baselined: feature.zScore !== undefined
+          };
+        current.value += feature.value;
+        current.weight += feature.weight / n;
+        current.contribution += feature.contribution / n;
+        current.samples++;
+        entry.features.set(feature.label, current);
+      });
+      modalities.set(modality, entry);
+    });
+  });
+  const breakdown = roundContributions(
+    [...modalities.values()].map(({ samples, features, ...entry }) => ({
+      ...entry,
+      score: round(entry.score / samples, 1),
+      weight: round(entry.weight, 3),
+      features: [...features.values()].map(({ samples: featureSamples, baselined, ...feature }) => ({
+        ...feature,
+        value: round(feature.value / featureSamples, 2),
+        ...(baselined && { zScore: round(feature.value / featureSamples, 2) }),
+        weight: round(feature.weight, 3)
+      }))
+    }))
+  );
+  return { breakdown, topFactors: topFactors(breakdown) };
+};
@@ -0,0 +1,115 @@
+import { round } from './dsp.js';
+
+// TRUTH_MIN_CONFIDENCE when set to a number (0 included); empty or
+// non-numeric values fall back to the default
+const envMinConfidence = process.env.TRUTH_MIN_CONFIDENCE?.trim()
+  ? Number(process.env.TRUTH_MIN_CONFIDENCE)
+  : NaN;
+
+// Input quality ramps (quality 0 at low, 1 at high) and the confidence a
+// truth score needs for a verdict. TRUTH_MIN_CONFIDENCE sets the default
+// threshold; a scoring profile's minConfidence overrides it.
+export const DEFAULT_UNCERTAINTY_OPTIONS = {
+  minConfidence: Number.isFinite(envMinConfidence) ? envMinConfidence : 40,
+  snrDb: { low: 3, high: 20 }, // speech vs. background level
+  speechSeconds: { low: 0.3, high: 3 },
+  facePresence: { low: 0.5, high: 0.9 }, // share of frames with a face
+  transcriptWords: { low: 1, high: 12 },
+  disagreement: 40 // spread (SD, points) of modality scores at which agreement is 0
+};
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const ramp = (value, { low, high }) => clamp01((value - low) / (high - low));
+const finite = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+const wordCount = (transcript) =>
+  typeof transcript === 'string' ? transcript.split(/\s+/).filter(Boolean).length : null;
+
+// Measured input quality per modality: { factor: { value, quality } }
+const measureFactors = (name, result, transcript, opts) => {
+  const measured = {
+    voice: {
+      snrDb: finite(result.vad?.snrDb),
+      speechSeconds: finite(result.vad?.speakingTime ?? result.hesitation?.speakingTime)
+    },
+    facial: {
+      facePresence: finite(result.quality?.facePresentRatio ?? result.stream?.facePresentRatio)
+    },
+    text: {
+      transcriptWords: wordCount(transcript)
+    }
+  }[name] || {};
+  return Object.fromEntries(
+    Object.entries(measured)
+      .filter(([, value]) => value !== null)
+      .map(([factor, value]) => [factor, { value, quality: round(ramp(value, opts[factor]), 2) }])
+  );
+};
+
+// Why a factor held confidence back, for inconclusive interpretations
+const LIMIT_NOTES = {
+  snrDb: ({ value }) => `noisy audio (SNR ${value} dB)`,
+  speechSeconds: ({ value }) => `little speech (${value}s)`,
+  facePresence: ({ value }) => `face in view ${Math.round(value * 100)}% of the time`,
+  transcriptWords: ({ value }) => `short transcript (${value} word(s))`
+};
+
+// The confidence threshold of a scoring profile
+export const confidenceThreshold = (profile) =>
+  profile?.minConfidence ?? DEFAULT_UNCERTAINTY_OPTIONS.minConfidence;
+
+// Confidence of a fused truth score from the quality of its inputs and the
+// agreement of its modalities. scored: the fused modalities as
+// { name, result, score, weight }; coverage: their share of the profile's
+// nominal weight.
+//   evidence   weighted mean of each modality's input quality: geometric
+//              mean of its factors, or the engine's own confidence when the
+//              result carries none of them
+//   agreement  1 - weighted SD of the modality scores / disagreement;
+//              not applied with a single modality
+//   confidence 100 * evidence * (0.5 + 0.5 coverage) * (0.5 + 0.5 agreement)
+export const assessUncertainty = (scored, coverage, transcript, profile, options = {}) => {
+  const opts = { ...DEFAULT_UNCERTAINTY_OPTIONS, ...options };
+  const totalWeight = scored.reduce((sum, { weight }) => sum + weight, 0);
+
+  const modalities = scored.map(({ name, result, score, weight }) => {
+    const factors = measureFactors(name, result, transcript, opts);
+    const qualities = Object.values(factors).map(factor => factor.quality);
+    const quality = qualities.length
+      ? Math.pow(qualities.reduce((product, q) => product * Math.max(q, 0.01), 1), 1 / qualities.length)
+      : clamp01((result.confidence ?? 50) / 100);
+    return { name, score, share: weight / totalWeight, factors, quality };
+  });
+
+  const evidence = modalities.reduce((sum, { quality, share }) => sum + quality * share, 0);
+  const meanScore = modalities.reduce((sum, { score, share }) => sum + score * share, 0);
+  const spread = Math.sqrt(modalities.reduce((sum, { score, share }) => sum + share * (score - meanScore) ** 2, 0));
+  const agreement = modalities.length > 1 ? clamp01(1 - spread / opts.disagreement) : null;
+
+  const confidence = Math.round(
+    100 * evidence * (0.5 + 0.5 * coverage) * (agreement === null ? 1 : 0.5 + 0.5 * agreement)
+  );
+  const threshold = confidenceThreshold(profile);
+
+  const limits = modalities
+    .flatMap(({ factors }) => Object.entries(factors))
+    .filter(([, factor]) => factor.quality < 0.5)
+    .map(([name, factor]) => LIMIT_NOTES[name](factor));
+  if (agreement !== null && agreement < 0.5) limits.push(`modalities disagree (spread ${round(spread, 1)} points)`);
+  if (coverage < 0.5) limits.push(`only ${modalities.map(({ name }) => name).join(', ')} analyzed`);
+
+  return {
+    confidence,
+    conclusive: confidence >= threshold,
+    uncertainty: {
+      threshold,
+      evidence: round(evidence, 2),
+      coverage: round(coverage, 2),
+      agreement: agreement === null ? null : round(agreement, 2),
+      modalities: Object.fromEntries(
+        modalities.map(({ name, factors, quality }) => [name, { quality: round(quality, 2), factors }])
+      ),
+      limits
+    }
+  };
+};
@@ -0,0 +1,94 @@
+import { round } from './dsp.js';
+
+export const DEFAULT_VAD_OPTIONS = {
+  energyRatio: 0.15, // speech threshold between noise floor and loud speech
+  weakEnergyRatio: 0.05, // lower threshold for high-ZCR (fricative) frames
+  zcrThreshold: 0.25,
+  minEnergy: 0.005, // absolute floor so digital silence never counts as speech
+  minSpeech: 0.1, // seconds; shorter bursts are dropped as clicks/noise
+  minSilence: 0.2, // seconds; shorter gaps are bridged (hangover)
+  minPause: 0.25 // seconds of silence between segments counted as a pause
+};
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] || 0;
+
+// Flip runs of `value` shorter than minFrames in a boolean mask
+const removeShortRuns = (mask, value, minFrames) => {
+  let start = -1;
+  for (let i = 0; i <= mask.length; i++) {
+    const inside = i < mask.length && mask[i] === value;
+    if (inside && start < 0) start = i;
+    if (!inside && start >= 0) {
+      const touchesEdge = start === 0 || i === mask.length;
+      // Leading/trailing silence is not a gap to bridge
+      if (i - start < minFrames && !(value === false && touchesEdge)) {
+        for (let j = start; j < i; j++) mask[j] = !value;
+      }
+      start = -1;
+    }
+  }
+  return mask;
+};
+
+// Signal-to-noise ratio (dB) of speech frames against the rest, or against
+// the energy floor when there is no silence; null without speech. Capped at
+// 60 dB for digital silence.
+const signalToNoise = (rms, mask, floor) => {
+  const speech = rms.filter((energy, i) => mask[i]);
+  if (!speech.length) return null;
+  const noise = rms.filter((energy, i) => !mask[i]);
+  const noiseLevel = noise.length ? noise.reduce((a, v) => a + v, 0) / noise.length : floor;
+  const speechLevel = speech.reduce((a, v) => a + v, 0) / speech.length;
+  return round(Math.min(60, 20 * Math.log10(speechLevel / Math.max(noiseLevel, speechLevel / 1000))), 1);
+};
+
+// Energy/ZCR voice activity detection over per-frame rms and zcr series spaced
+// hopSeconds apart. Returns the per-frame speech mask, speech segments (seconds),
+// pause statistics and the speech signal-to-noise ratio.
+export const detectVoiceActivity = (frames, hopSeconds, options = {}) => {
+  const opts = { ...DEFAULT_VAD_OPTIONS, ...options };
+  const { rms, zcr } = frames;
+  const sorted = [...rms].sort((a, b) => a - b);
+  const floor = percentile(sorted, 0.1);
+  const loud = percentile(sorted, 0.9);
+  const threshold = Math.max(opts.minEnergy, floor + (loud - floor) * opts.energyRatio);
+  const weakThreshold = Math.max(opts.minEnergy, floor + (loud - floor) * opts.weakEnergyRatio);
+
+  const mask = rms.map((energy, i) =>
+    energy > threshold || (energy > weakThreshold && zcr[i] > opts.zcrThreshold)
+  );
+  removeShortRuns(mask, false, Math.round(opts.minSilence / hopSeconds));
+  removeShortRuns(mask, true, Math.round(opts.minSpeech / hopSeconds));
+
+  const segments = [];
+  let start = -1;
+  for (let i = 0; i <= mask.length; i++) {
+    if (i < mask.length && mask[i] && start < 0) start = i;
+    if ((i === mask.length || !mask[i]) && start >= 0) {
+      segments.push({ start: round(start * hopSeconds, 2), end: round(i * hopSeconds, 2) });
+      start = -1;
+    }
+  }
+
+  const duration = mask.length * hopSeconds;
+  const speakingTime = segments.reduce((a, s) => a + (s.end - s.start), 0);
+  const silenceTime = Math.max(0, duration - speakingTime);
+  const pauses = [];
+  for (let i = 1; i < segments.length; i++) {
+    const gap = segments[i].start - segments[i - 1].end;
+    if (gap >= opts.minPause) pauses.push({ start: segments[i - 1].end, end: segments[i].start, duration: round(gap, 2) });
+  }
+
+  return {
+    mask,
+    segments,
+    pauses,
+    duration: round(duration, 2),
+    speakingTime: round(speakingTime, 2),
+    silenceTime: round(silenceTime, 2),
+    pauseCount: pauses.length,
+    longestPause: round(pauses.reduce((a, p) => Math.max(a, p.duration), 0), 2),
+    speechToSilenceRatio: round(silenceTime > 0 ? speakingTime / silenceTime : speakingTime, 2),
+    snrDb: signalToNoise(rms, mask, floor)
+  };
+};
@@ -0,0 +1,130 @@
+import { fileURLToPath } from 'url';
+import * as faceapi from '@vladmandic/face-api/dist/face-api.node-wasm.js';
+import { extractFrames, frameOptions } from './video_frames.js';
+
+export const DEFAULT_VIDEO_FACE_OPTIONS = {
+  inputSize: 224, // tiny face detector input (multiple of 32)
+  scoreThreshold: 0.5,
+  descriptorInterval: 1, // seconds between face descriptors (identity)
+  qualitySize: 48 // pixels; face crop used for brightness and sharpness
+};
+
+// The weights ship with the face-api package; FACE_MODELS_PATH overrides
+const modelPath = () =>
+  process.env.FACE_MODELS_PATH || fileURLToPath(new URL('../node_modules/@vladmandic/face-api/model', import.meta.url));
+
+let modelsPromise = null;
+
+// Load the same models the browser tracker uses, once, on the wasm backend
+const loadModels = () => {
+  if (!modelsPromise) {
+    const dir = modelPath();
+    modelsPromise = (async () => {
+      await faceapi.tf.setBackend('wasm');
+      await faceapi.tf.ready();
+      await Promise.all([
+        faceapi.nets.tinyFaceDetector.loadFromDisk(dir),
+        faceapi.nets.faceLandmark68Net.loadFromDisk(dir),
+        faceapi.nets.faceRecognitionNet.loadFromDisk(dir),
+        faceapi.nets.faceExpressionNet.loadFromDisk(dir)
+      ]);
+    })().catch(error => {
+      modelsPromise = null;
+      throw error;
+    });
+  }
+  return modelsPromise;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Mean luminance (0-255) and sharpness (variance of the 4-neighbour
+// Laplacian) of the face box, sampled onto a small grayscale grid
+const measureQuality = (frame, box, size) => {
+  const gray = new Float32Array(size * size);
+  let sum = 0;
+  for (let y = 0; y < size; y++) {
+    const sy = Math.min(frame.height - 1, Math.max(0, Math.floor(box.y + ((y + 0.5) * box.height) / size)));
+    for (let x = 0; x < size; x++) {
+      const sx = Math.min(frame.width - 1, Math.max(0, Math.floor(box.x + ((x + 0.5) * box.width) / size)));
+      const i = (sy * frame.width + sx) * 3;
+      gray[y * size + x] = 0.299 * frame.data[i] + 0.587 * frame.data[i + 1] + 0.114 * frame.data[i + 2];
+      sum += gray[y * size + x];
+    }
+  }
+  let lapSum = 0;
+  let lapSq = 0;
+  let count = 0;
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      const lap = gray[i - 1] + gray[i + 1] + gray[i - size] + gray[i + size] - 4 * gray[i];
+      lapSum += lap;
+      lapSq += lap * lap;
+      count++;
+    }
+  }
+  const lapMean = lapSum / count;
+  return { brightness: round1(sum / gray.length), sharpness: round1(lapSq / count - lapMean * lapMean) };
+};
+
+// Same compact record as the browser tracker: the largest face's box,
+// score, flat landmarks, expression probabilities and, on descriptor
+// frames, its 128-d descriptor
+const toFrame = (t, detections) => {
+  if (detections.length === 0) return { t, faces: 0 };
+  const largest = detections.reduce((a, b) => (b.detection.box.area > a.detection.box.area ? b : a));
+  const { box, score } = largest.detection;
+  const frame = {
+    t,
+    faces: detections.length,
+    score: Math.round(score * 1000) / 1000,
+    box: [round1(box.x), round1(box.y), round1(box.width), round1(box.height)],
+    landmarks: largest.landmarks.positions.flatMap(p => [round1(p.x), round1(p.y)]),
+    expressions: Object.fromEntries(
+      Object.entries(largest.expressions).map(([name, p]) => [name, Math.round(p * 1000) / 1000])
+    )
+  };
+  if (largest.descriptor) {
+    frame.descriptor = Array.from(largest.descriptor, v => Math.round(v * 1e4) / 1e4);
+  }
+  return frame;
+};
+
+// Landmark stream for a recorded video (file path or URL), in the format the
+// browser tracker posts to /api/analysis/facial. options.fps / options.width
+// go to the frame decoder.
+export const trackVideoFaces = async (source, options = {}) => {
+  const opts = { ...DEFAULT_VIDEO_FACE_OPTIONS, ...options };
+  await loadModels();
+  const detectorOptions = new faceapi.TinyFaceDetectorOptions({
+    inputSize: opts.inputSize,
+    scoreThreshold: opts.scoreThreshold
+  });
+
+  const { fps, width } = frameOptions(opts);
+  const frames = [];
+  let size = { width: 0, height: 0 };
+  let lastDescriptorAt = -Infinity;
+  for await (const decoded of extractFrames(source, { fps, width })) {
+    size = { width: decoded.width, height: decoded.height };
+    const input = faceapi.tf.tensor3d(decoded.data, [decoded.height, decoded.width, 3], 'int32');
+    try {
+      const withDescriptor = decoded.t - lastDescriptorAt >= opts.descriptorInterval;
+      const task = faceapi.detectAllFaces(input, detectorOptions).withFaceLandmarks().withFaceExpressions();
+      const detections = withDescriptor ? await task.withFaceDescriptors() : await task;
+      if (withDescriptor && detections.length > 0) lastDescriptorAt = decoded.t;
+
+      const frame = toFrame(decoded.t, detections);
+      if (frame.faces > 0) {
+        const [x, y, width, height] = frame.box;
+        frame.quality = measureQuality(decoded, { x, y, width, height }, opts.qualitySize);
+      }
+      frames.push(frame);
+    } finally {
+      input.dispose();
+    }
+  }
+
+  return { version: 1, source: 'server', fps, ...size, frames };
+};
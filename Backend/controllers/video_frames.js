@@ -0,0 +1,163 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { isUploadedFile, InvalidMediaError } from './media_upload.js';
+
+export const DEFAULT_FRAME_OPTIONS = {
+  fps: Number(process.env.VIDEO_FRAME_FPS) || 5, // sampled frames per second
+  width: 320 // frames are scaled down to this width, keeping the aspect ratio
+};
+
+// Accepted range of each frame option; others are clamped into it
+const FRAME_OPTION_LIMITS = {
+  fps: { min: 1, max: 30 },
+  width: { min: 64, max: 1280 }
+};
+
+// ffmpeg/ffprobe not found. 501: the server cannot decode video until a
+// decoder is installed or FFMPEG_PATH / FFPROBE_PATH point at one.
+export class VideoDecoderUnavailableError extends Error {
+  constructor(command) {
+    super(`No video decoder available: "${command}" was not found. Install ffmpeg (with ffprobe) or set FFMPEG_PATH and FFPROBE_PATH.`);
+    this.name = 'VideoDecoderUnavailableError';
+    this.statusCode = 501;
+  }
+}
+
+// The decoder ran but could not read the media (corrupt, not a video, ...)
+export class VideoDecodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VideoDecodeError';
+    this.statusCode = 422;
+  }
+}
+
+const ffmpegPath = () => process.env.FFMPEG_PATH || 'ffmpeg';
+const ffprobePath = () => process.env.FFPROBE_PATH || 'ffprobe';
+
+// Input arguments restricting the decoder to the source's own protocol:
+// plain https for URLs (see trustedMediaUrl), the local file otherwise, so
+// no concat:, file: or other protocols can be smuggled in
+const inputArgs = (source) => [
+  '-protocol_whitelist', /^https:\/\//.test(source) ? 'https,tls,tcp' : 'file',
+  '-i', source
+];
+
+// Frame options as finite numbers within FRAME_OPTION_LIMITS, defaults for
+// missing or non-numeric ones
+export const frameOptions = (options = {}) =>
+  Object.fromEntries(
+    Object.entries(FRAME_OPTION_LIMITS).map(([name, { min, max }]) => {
+      const value = Number(options[name] ?? DEFAULT_FRAME_OPTIONS[name]);
+      return [name, Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_FRAME_OPTIONS[name]];
+    })
+  );
+
+// Spawn a decoder process, mapping a missing binary to
+// VideoDecoderUnavailableError
+const spawnDecoder = (command, args) => {
+  const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', chunk => {
+    stderr = (stderr + chunk).slice(-2000);
+  });
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', error => {
+      reject(error.code === 'ENOENT' ? new VideoDecoderUnavailableError(command) : error);
+    });
+    child.on('close', code => {
+      if (code === 0) resolve();
+      else reject(new VideoDecodeError(`${path.basename(command)} exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+    });
+  });
+  return { child, exited };
+};
+
+// Width, height and duration (seconds, null when the container has none,
+// as with MediaRecorder WebM) of the first video stream
+export const probeVideo = async (source) => {
+  const { child, exited } = spawnDecoder(ffprobePath(), [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=width,height,duration:format=duration',
+    '-of', 'json',
+    ...inputArgs(source)
+  ]);
+  let stdout = '';
+  child.stdout.on('data', chunk => {
+    stdout += chunk;
+  });
+  await exited;
+
+  const info = JSON.parse(stdout || '{}');
+  const stream = info.streams?.[0];
+  if (!stream?.width || !stream?.height) {
+    throw new VideoDecodeError('No video stream found in the media');
+  }
+  const duration = Number(stream.duration) || Number(info.format?.duration) || null;
+  return { width: stream.width, height: stream.height, duration };
+};
+
+// Decoded RGB frames of a video file or URL, sampled at options.fps and
+// scaled to options.width. Yields { t, width, height, data } with data a
+// width * height * 3 Buffer; t is seconds from the start of the video.
+export async function* extractFrames(source, options = {}) {
+  const opts = frameOptions(options);
+  const info = await probeVideo(source);
+  const evenSize = (value) => Math.max(2, Math.round(value / 2) * 2);
+  const width = evenSize(Math.min(opts.width, info.width));
+  const height = evenSize((width * info.height) / info.width);
+  const frameSize = width * height * 3;
+
+  const { child, exited } = spawnDecoder(ffmpegPath(), [
+    '-v', 'error',
+    ...inputArgs(source),
+    '-an',
+    '-vf', `fps=${opts.fps},scale=${width}:${height}`,
+    '-f', 'rawvideo',
+    '-pix_fmt', 'rgb24',
+    'pipe:1'
+  ]);
+  // Surface exit errors through the iteration below rather than unhandled
+  exited.catch(() => {});
+
+  let pending = Buffer.alloc(0);
+  let index = 0;
+  try {
+    for await (const chunk of child.stdout) {
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      while (pending.length >= frameSize) {
+        yield { t: Math.round((index / opts.fps) * 100) / 100, width, height, data: pending.subarray(0, frameSize) };
+        pending = pending.subarray(frameSize);
+        index++;
+      }
+    }
+    await exited;
+  } finally {
+    // Consumer stopped early: do not leave the decoder running
+    if (child.exitCode === null) child.kill();
+  }
+}
+
+// Write base64 (optionally a data URL) or Buffer video to a temporary file,
+// run fn with its path and remove the file afterwards. An uploaded file (see
+// isUploadedFile) is already on disk and used in place.
+export const withTempVideo = async (videoData, fn) => {
+  if (isUploadedFile(videoData)) return fn(videoData.path);
+  if (!Buffer.isBuffer(videoData) && typeof videoData !== 'string') {
+    throw new InvalidMediaError('"videoData" must be a base64 string');
+  }
+  const buffer = Buffer.isBuffer(videoData)
+    ? videoData
+    : Buffer.from(videoData.startsWith('data:') ? videoData.slice(videoData.indexOf(',') + 1) : videoData, 'base64');
+  const file = path.join(os.tmpdir(), `video-${crypto.randomUUID()}`);
+  await fs.writeFile(file, buffer);
+  try {
+    return await fn(file);
+  } finally {
+    await fs.rm(file, { force: true });
+  }
+};
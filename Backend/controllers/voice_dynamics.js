@@ -0,0 +1,206 @@
+import { magnitudeSpectrum } from './spectral.js';
+import { mean, std, median, round } from './dsp.js';
+
+export const DEFAULT_DYNAMICS_OPTIONS = {
+  tremorBand: [4, 12], // Hz, physiological/stress tremor range
+  minRunDuration: 0.5, // seconds of continuous voicing needed to measure modulation
+  minPause: 0.25, // seconds of silence counted as a hesitation pause
+  longPause: 1.0,
+  filledPauseMin: 0.25, // sustained, flat "uh"/"um" phonation length bounds
+  filledPauseMax: 1.5,
+  rateWindow: 2.0, // seconds per speech-rate window
+  rateDropRatio: 0.6 // window rate below this fraction of the median = a drop
+};
+
+const FILLER_WORDS = ['um', 'umm', 'uh', 'uhh', 'er', 'erm', 'ah', 'hmm', 'mm'];
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value || 0));
+
+// Contiguous index runs where predicate(i) holds
+const findRuns = (length, predicate) => {
+  const runs = [];
+  let start = -1;
+  for (let i = 0; i <= length; i++) {
+    const inside = i < length && predicate(i);
+    if (inside && start < 0) start = i;
+    if (!inside && start >= 0) {
+      runs.push({ start, end: i });
+      start = -1;
+    }
+  }
+  return runs;
+};
+
+// Share of modulation power inside the tremor band, the dominant rate there
+// and the peak-to-peak extent, for one detrended contour sampled at frameRate.
+const modulationSpectrum = (values, frameRate, band) => {
+  // Remove slow intonation with a ~250 ms moving average before looking at 4-12 Hz
+  const radius = Math.max(1, Math.round(frameRate * 0.125));
+  const residual = values.map((_, i) => {
+    const from = Math.max(0, i - radius);
+    const to = Math.min(values.length, i + radius + 1);
+    let sum = 0;
+    for (let j = from; j < to; j++) sum += values[j];
+    return values[i] - sum / (to - from);
+  });
+
+  const magnitudes = magnitudeSpectrum(residual);
+  const binHz = frameRate / ((magnitudes.length - 1) * 2);
+  let bandPower = 0;
+  let totalPower = 0;
+  let peakBin = 0;
+  for (let k = 1; k < magnitudes.length; k++) {
+    const power = magnitudes[k] * magnitudes[k];
+    const hz = k * binHz;
+    if (hz < 2) continue; // below 2 Hz is intonation, not tremor
+    totalPower += power;
+    if (hz >= band[0] && hz <= band[1]) {
+      bandPower += power;
+      if (!peakBin || power > magnitudes[peakBin] * magnitudes[peakBin]) peakBin = k;
+    }
+  }
+
+  return {
+    ratio: totalPower > 0 ? bandPower / totalPower : 0,
+    rate: peakBin * binHz,
+    extent: 2 * Math.sqrt(2) * std(residual) // peak-to-peak of an equivalent sinusoid
+  };
+};
+
+// Aggregate per-run modulation measurements weighted by run length
+const aggregateModulation = (runs, frameRate, band) => {
+  const results = runs.map(values => ({ ...modulationSpectrum(values, frameRate, band), weight: values.length }));
+  const totalWeight = results.reduce((a, r) => a + r.weight, 0);
+  if (!totalWeight) return { index: 0, rate: 0, extent: 0, runs: 0 };
+  const weighted = (key) => results.reduce((a, r) => a + r[key] * r.weight, 0) / totalWeight;
+  return { index: weighted('ratio'), rate: weighted('rate'), extent: weighted('extent'), runs: results.length };
+};
+
+// Frequency (F0) and amplitude (energy) modulation in the 4-12 Hz tremor band.
+// pitch: { contour: { hopSize, f0 } }, frames: { rms } at hopSeconds spacing.
+export const measureTremor = (pitch, frames, hopSeconds, options = {}) => {
+  const opts = { ...DEFAULT_DYNAMICS_OPTIONS, ...options };
+  const f0 = pitch.contour.f0;
+  const pitchRate = 1 / pitch.contour.hopSize;
+  const energyRate = 1 / hopSeconds;
+
+  // F0 modulation in cents over voiced runs
+  const voicedRuns = findRuns(f0.length, i => f0[i] > 0)
+    .filter(r => (r.end - r.start) / pitchRate >= opts.minRunDuration)
+    .map(r => {
+      const run = f0.slice(r.start, r.end);
+      const reference = mean(run);
+      return run.map(v => 1200 * Math.log2(v / reference));
+    });
+
+  // Energy modulation in dB over active runs
+  const floor = Math.max(1e-4, median(frames.rms) * 0.5);
+  const activeRuns = findRuns(frames.rms.length, i => frames.rms[i] > floor)
+    .filter(r => (r.end - r.start) / energyRate >= opts.minRunDuration)
+    .map(r => frames.rms.slice(r.start, r.end).map(v => 20 * Math.log10(v)));
+
+  const fm = aggregateModulation(voicedRuns, pitchRate, opts.tremorBand);
+  const am = aggregateModulation(activeRuns, energyRate, opts.tremorBand);
+
+  // Tremor needs both a concentrated 4-12 Hz modulation and a noticeable depth:
+  // ~50 cents of F0 wobble or ~3 dB of loudness wobble counts as pronounced.
+  const fmStrength = fm.index * clamp01(fm.extent / 50);
+  const amStrength = am.index * clamp01(am.extent / 3);
+  const score = Math.round(100 * clamp01(0.6 * fmStrength * 2 + 0.4 * amStrength * 2));
+
+  return {
+    score,
+    fmIndex: round(fm.index, 3),
+    fmRate: round(fm.rate, 2),
+    fmExtentCents: round(fm.extent, 1),
+    amIndex: round(am.index, 3),
+    amRate: round(am.rate, 2),
+    amExtentDb: round(am.extent, 2),
+    voicedRuns: fm.runs
+  };
+};
+
+// Syllable-nucleus count: local energy peaks inside speech at least 100 ms apart
+const countSyllables = (rms, mask, from, to, hopSeconds) => {
+  const minGap = Math.max(1, Math.round(0.1 / hopSeconds));
+  let count = 0;
+  let last = -Infinity;
+  for (let i = Math.max(1, from); i < Math.min(rms.length - 1, to); i++) {
+    if (mask[i] && rms[i] > rms[i - 1] && rms[i] >= rms[i + 1] && i - last >= minGap) {
+      count++;
+      last = i;
+    }
+  }
+  return count;
+};
+
+// Hesitation from silent pauses, filled pauses (acoustic and transcript) and
+// drops in local speech rate. frames: { rms, deltas } at hopSeconds spacing;
+// vad: output of detectVoiceActivity over the same frames.
+export const detectHesitation = (pitch, frames, hopSeconds, vad, transcript = '', options = {}) => {
+  const opts = { ...DEFAULT_DYNAMICS_OPTIONS, ...options };
+  const { mask, speakingTime } = vad;
+
+  // Silent pauses between speech segments
+  const pauses = vad.pauses.map(p => p.duration).filter(d => d >= opts.minPause);
+  const longPauses = pauses.filter(d => d >= opts.longPause);
+
+  // Filled pauses: sustained voicing with a flat pitch and a static spectrum
+  const f0 = pitch.contour.f0;
+  const pitchHop = pitch.contour.hopSize;
+  const deltaAt = (time) => {
+    const row = frames.deltas[Math.min(frames.deltas.length - 1, Math.round(time / hopSeconds))];
+    return row ? Math.sqrt(row.reduce((a, v) => a + v * v, 0)) : Infinity;
+  };
+  const acousticFilled = findRuns(f0.length, i => f0[i] > 0).filter(r => {
+    const duration = (r.end - r.start) * pitchHop;
+    if (duration < opts.filledPauseMin || duration > opts.filledPauseMax) return false;
+    const run = f0.slice(r.start, r.end);
+    const reference = mean(run);
+    const flatPitch = std(run.map(v => 12 * Math.log2(v / reference))) < 0.5;
+    const staticSpectrum = mean(run.map((_, i) => deltaAt((r.start + i) * pitchHop))) < 0.8;
+    return flatPitch && staticSpectrum;
+  }).length;
+
+  const words = (transcript || '').toLowerCase().match(/[a-z']+/g) || [];
+  const lexicalFilled = words.filter(w => FILLER_WORDS.includes(w)).length;
+  const filledPauses = Math.max(acousticFilled, lexicalFilled);
+
+  // Speech-rate drops: windows whose syllable rate falls well below the median
+  const windowFrames = Math.max(1, Math.round(opts.rateWindow / hopSeconds));
+  const rates = [];
+  for (let start = 0; start + windowFrames <= mask.length; start += windowFrames) {
+    const speechFrames = mask.slice(start, start + windowFrames).filter(Boolean).length;
+    if (speechFrames * hopSeconds < opts.rateWindow * 0.25) continue; // mostly silent window
+    rates.push(countSyllables(frames.rms, mask, start, start + windowFrames, hopSeconds) / opts.rateWindow);
+  }
+  const medianRate = median(rates);
+  const rateDrops = rates.filter(r => r < medianRate * opts.rateDropRatio).length;
+
+  const speakingMinutes = Math.max(speakingTime / 60, 1 / 60);
+  const pausesPerMinute = pauses.length / speakingMinutes;
+  const filledPerMinute = filledPauses / speakingMinutes;
+  const pauseTime = pauses.reduce((a, b) => a + b, 0);
+
+  // Fluent conversational speech has ~10 pauses and a few fillers per minute
+  const score = Math.round(100 * clamp01(
+    0.3 * clamp01((pausesPerMinute - 6) / 20) +
+    0.25 * clamp01(longPauses.length / Math.max(1, pauses.length) * 2) +
+    0.25 * clamp01(filledPerMinute / 10) +
+    0.2 * clamp01(rates.length ? rateDrops / rates.length * 3 : 0)
+  ));
+
+  return {
+    score,
+    speakingTime: round(speakingTime, 2),
+    pauseCount: pauses.length,
+    longPauseCount: longPauses.length,
+    totalPauseTime: round(pauseTime, 2),
+    meanPause: round(mean(pauses), 2),
+    filledPauseCount: filledPauses,
+    acousticFilledPauses: acousticFilled,
+    lexicalFilledPauses: lexicalFilled,
+    syllableRate: round(medianRate, 2),
+    speechRateDrops: rateDrops
+  };
+};
@@ -0,0 +1,186 @@
+import { forEachSpectrum, nextPowerOfTwo } from './spectral.js';
+import { mean, std, round } from './dsp.js';
+
+export const DEFAULT_FEATURE_OPTIONS = {
+  frameDuration: 0.02, // seconds, rounded up to a power-of-two FFT size
+  hopDuration: 0.01,
+  melBands: 26,
+  mfccCount: 13,
+  minFrequency: 50,
+  maxFrequency: 8000,
+  deltaWidth: 2, // frames on each side for the delta regression
+  activeRms: 0.01 // frames quieter than this are left out of the summaries
+};
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+const filterbankCache = new Map();
+
+// Triangular mel filters over the FFT bins, as sparse { start, weights } rows
+export const melFilterbank = (bands, fftSize, sampleRate, minFrequency, maxFrequency) => {
+  const key = `${bands}:${fftSize}:${sampleRate}:${minFrequency}:${maxFrequency}`;
+  if (filterbankCache.has(key)) return filterbankCache.get(key);
+
+  const top = Math.min(maxFrequency, sampleRate / 2);
+  const minMel = hzToMel(minFrequency);
+  const maxMel = hzToMel(top);
+  const points = Array.from({ length: bands + 2 }, (_, i) =>
+    Math.floor(((fftSize + 1) * melToHz(minMel + ((maxMel - minMel) * i) / (bands + 1))) / sampleRate)
+  );
+
+  const filters = [];
+  for (let m = 1; m <= bands; m++) {
+    const left = points[m - 1];
+    const center = Math.max(points[m], left + 1);
+    const right = Math.max(points[m + 1], center + 1);
+    const weights = [];
+    for (let k = left; k < right; k++) {
+      weights.push(k < center ? (k - left) / (center - left) : (right - k) / (right - center));
+    }
+    filters.push({ start: left, weights });
+  }
+
+  filterbankCache.set(key, filters);
+  return filters;
+};
+
+const dctCache = new Map();
+
+// Orthonormal DCT-II of the log mel energies
+const dct = (input, count) => {
+  const n = input.length;
+  const key = `${n}:${count}`;
+  if (!dctCache.has(key)) {
+    dctCache.set(key, Array.from({ length: count }, (_, k) =>
+      Float64Array.from({ length: n }, (_, i) => Math.cos((Math.PI * k * (i + 0.5)) / n) * Math.sqrt((k === 0 ? 1 : 2) / n))
+    ));
+  }
+  const basis = dctCache.get(key);
+  const out = new Float64Array(count);
+  for (let k = 0; k < count; k++) {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += input[i] * basis[k][i];
+    out[k] = sum;
+  }
+  return out;
+};
+
+// Standard regression deltas over +/- width frames
+const computeDeltas = (frames, width) => {
+  const denom = 2 * Array.from({ length: width }, (_, i) => (i + 1) * (i + 1)).reduce((a, b) => a + b, 0);
+  return frames.map((_, t) => {
+    const delta = new Float64Array(frames[t].length);
+    for (let n = 1; n <= width; n++) {
+      const next = frames[Math.min(frames.length - 1, t + n)];
+      const prev = frames[Math.max(0, t - n)];
+      for (let c = 0; c < delta.length; c++) delta[c] += (n * (next[c] - prev[c])) / denom;
+    }
+    return delta;
+  });
+};
+
+const columnStats = (rows, count) => {
+  const means = [];
+  const stds = [];
+  for (let c = 0; c < count; c++) {
+    const column = rows.map(r => r[c]);
+    means.push(round(mean(column), 3));
+    stds.push(round(std(column), 3));
+  }
+  return { mean: means, std: stds };
+};
+
+// Per-frame mel energies, MFCCs (+ deltas), spectral flatness and zero-crossing
+// rate. Returns the per-frame series alongside summaries over active frames.
+export const extractVoiceFeatures = (samples, sampleRate, options = {}) => {
+  const opts = { ...DEFAULT_FEATURE_OPTIONS, ...options };
+  const frameSize = nextPowerOfTwo(Math.round(opts.frameDuration * sampleRate));
+  const hopSize = Math.max(1, Math.round(opts.hopDuration * sampleRate));
+  const filters = melFilterbank(opts.melBands, frameSize, sampleRate, opts.minFrequency, opts.maxFrequency);
+
+  const times = [];
+  const rms = [];
+  const zcr = [];
+  const flatness = [];
+  const mfcc = [];
+  const melEnergies = [];
+  const logMel = new Float64Array(opts.melBands);
+
+  forEachSpectrum(samples, sampleRate, { frameSize, hopSize }, (magnitudes, index, time) => {
+    const start = index * hopSize;
+
+    // Time-domain energy and zero crossings for the same frame
+    let energy = 0;
+    let crossings = 0;
+    for (let i = start; i < start + frameSize; i++) {
+      energy += samples[i] * samples[i];
+      if (i > start && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+    }
+    times.push(round(time, 3));
+    rms.push(Math.sqrt(energy / frameSize));
+    zcr.push(crossings / frameSize);
+
+    // Spectral flatness: geometric / arithmetic mean of the power spectrum
+    let logSum = 0;
+    let linSum = 0;
+    for (let k = 1; k < magnitudes.length; k++) {
+      const power = magnitudes[k] * magnitudes[k] + 1e-12;
+      logSum += Math.log(power);
+      linSum += power;
+    }
+    const bins = magnitudes.length - 1;
+    flatness.push(Math.exp(logSum / bins) / (linSum / bins));
+
+    for (let m = 0; m < filters.length; m++) {
+      const { start: first, weights } = filters[m];
+      let sum = 0;
+      for (let w = 0; w < weights.length; w++) {
+        const magnitude = magnitudes[first + w] || 0;
+        sum += weights[w] * magnitude * magnitude;
+      }
+      logMel[m] = Math.log(sum + 1e-10);
+    }
+    melEnergies.push(Float32Array.from(logMel));
+    mfcc.push(dct(logMel, opts.mfccCount));
+  });
+
+  const deltas = computeDeltas(mfcc, opts.deltaWidth);
+  const active = rms.map((value, i) => (value >= opts.activeRms ? i : -1)).filter(i => i >= 0);
+  const pick = (series) => active.map(i => series[i]);
+
+  const activeMfcc = pick(mfcc);
+  const activeDeltas = pick(deltas);
+  const activeFlatness = pick(flatness);
+  const activeZcr = pick(zcr);
+
+  const mfccStats = columnStats(activeMfcc, opts.mfccCount);
+  const deltaStats = columnStats(activeDeltas, opts.mfccCount);
+  const melStats = columnStats(pick(melEnergies), opts.melBands);
+  // Average magnitude of MFCC change per frame (articulation rate proxy)
+  const deltaMagnitude = mean(activeDeltas.map(d => Math.sqrt(d.reduce((a, v) => a + v * v, 0))));
+
+  // Zero-crossing statistics also count frames above 0.3 (noisy/fricative)
+  const highZcrRatio = activeZcr.length ? activeZcr.filter(v => v > 0.3).length / activeZcr.length : 0;
+
+  return {
+    perFrame: { times, rms, zcr, flatness, mfcc, deltas },
+    summary: {
+      frames: times.length,
+      activeFrames: active.length,
+      frameSize,
+      hopSize,
+      mfccMean: mfccStats.mean,
+      mfccStd: mfccStats.std,
+      deltaMean: deltaStats.mean,
+      deltaStd: deltaStats.std,
+      deltaMagnitude: round(deltaMagnitude, 3),
+      melEnergyMean: melStats.mean,
+      flatnessMean: round(mean(activeFlatness), 4),
+      flatnessStd: round(std(activeFlatness), 4),
+      zcrMean: round(mean(activeZcr), 4),
+      zcrStd: round(std(activeZcr), 4),
+      highZcrRatio: round(highZcrRatio, 3)
+    }
+  };
+};
@@ -0,0 +1,24 @@
+import crypto from "crypto";
+
+// Whether the request carries the admin key (x-admin-key header equal to
+// ADMIN_SECRET); always false while ADMIN_SECRET is unset
+export const isAdminRequest = (req) => {
+  const adminKey = req.header("x-admin-key");
+  const secret = process.env.ADMIN_SECRET;
+  if (!adminKey || !secret) return false;
+  const given = Buffer.from(adminKey);
+  const expected = Buffer.from(secret);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+};
+
+// Route middleware for admin-only endpoints
+export const requireAdmin = (req, res, next) => {
+  if (!isAdminRequest(req)) {
+    return res
+      .status(403)
+      .json({ success: false, message: "Forbidden: admin key required" });
+  }
+  next();
+};
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// One term of a modality sub-score: a numeric field of the modality result
+// (0-100), counted as 100 - value when inverted
+const termSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  weight: { type: Number, min: 0, default: 1 },
+  invert: { type: Boolean, default: false },
+}, { _id: false });
+
+// Interpretation for truthfulness scores of at least min
+const thresholdSchema = new mongoose.Schema({
+  min: { type: Number, min: 0, max: 100, required: true },
+  interpretation: { type: String, required: true },
+}, { _id: false });
+
+// Named truth-score fusion settings (see controllers/scoring_profiles.js);
+// revision goes up with every edit and is recorded with each truth score
+const scoringProfileSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String },
+    weights: {
+      voice: { type: Number, min: 0, required: true },
+      facial: { type: Number, min: 0, required: true },
+      text: { type: Number, min: 0, required: true },
+    },
+    subScores: {
+      voice: [termSchema],
+      facial: [termSchema],
+      text: [termSchema],
+    },
+    thresholds: [thresholdSchema],
+    // Confidence (0-100) a truth score needs for a verdict; below it the
+    // outcome is inconclusive. Unset uses TRUTH_MIN_CONFIDENCE.
+    minConfidence: { type: Number, min: 0, max: 100 },
+    // Trained fusion model (file name in FUSION_MODELS_DIR) that computes
+    // the score; unset fuses with the weights and sub-scores
+    model: { type: String },
+    revision: { type: Number, default: 1 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ScoringProfile = mongoose.model("ScoringProfile", scoringProfileSchema);
+export default ScoringProfile;
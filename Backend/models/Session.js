@@ -5,6 +5,335 @@ const scoreSchema = new mongoose.Schema({
   value: { type: Number, min: 0, max: 100 },
 }, { _id: false });
 
+const pitchSummaryFields = {
+  meanF0: Number,
+  medianF0: Number,
+  minF0: Number,
+  maxF0: Number,
+  rangeHz: Number,
+  rangeSemitones: Number,
+  variability: Number,
+  jitter: Number,
+  voicedRatio: Number,
+  voicedFrames: Number,
+};
+
+const pitchSummarySchema = new mongoose.Schema(pitchSummaryFields, { _id: false });
+
+const pitchSchema = new mongoose.Schema({
+  ...pitchSummaryFields,
+  contour: {
+    hopSize: Number,
+    times: [Number],
+    f0: [Number],
+    probability: [Number],
+  },
+}, { _id: false });
+
+const tremorSchema = new mongoose.Schema({
+  fmIndex: Number,
+  fmRate: Number,
+  fmExtentCents: Number,
+  amIndex: Number,
+  amRate: Number,
+  amExtentDb: Number,
+  voicedRuns: Number,
+}, { _id: false });
+
+const hesitationSchema = new mongoose.Schema({
+  speakingTime: Number,
+  pauseCount: Number,
+  longPauseCount: Number,
+  totalPauseTime: Number,
+  meanPause: Number,
+  filledPauseCount: Number,
+  acousticFilledPauses: Number,
+  lexicalFilledPauses: Number,
+  syllableRate: Number,
+  speechRateDrops: Number,
+}, { _id: false });
+
+const timeRangeSchema = new mongoose.Schema({
+  start: Number,
+  end: Number,
+  duration: Number,
+}, { _id: false });
+
+const vadSchema = new mongoose.Schema({
+  segments: [timeRangeSchema],
+  pauses: [timeRangeSchema],
+  duration: Number,
+  speakingTime: Number,
+  silenceTime: Number,
+  pauseCount: Number,
+  longestPause: Number,
+  speechToSilenceRatio: Number,
+  snrDb: Number,
+}, { _id: false });
+
+const responseLatencySchema = new mongoose.Schema({
+  questions: [{
+    _id: false,
+    index: Number,
+    label: String,
+    questionEnd: Number,
+    answerStart: Number,
+    latency: Number,
+    overlap: Boolean,
+    answered: Boolean,
+  }],
+  questionCount: Number,
+  answered: Number,
+  meanLatency: Number,
+  medianLatency: Number,
+  maxLatency: Number,
+}, { _id: false });
+
+// Analyzer engine that produced a modality result (see /api/analysis/engines)
+const engineSchema = new mongoose.Schema({
+  name: String,
+  version: String,
+}, { _id: false });
+
+const facialFields = {
+  engine: engineSchema,
+  microExpressionsScore: Number,
+  blinkingScore: Number,
+  eyeMovementScore: Number,
+  smileSuppressionScore: Number,
+  visualEmotionScore: Number,
+  headPoseStability: Number,
+  gazeStability: Number,
+  confidence: Number,
+  blinks: {
+    count: Number,
+    ratePerMinute: Number,
+    meanDuration: Number,
+    maxDuration: Number,
+    bursts: Number,
+    longClosures: Number,
+    openEar: Number,
+    baselineRate: Number,
+    baselineDeviation: Number,
+    events: [{ _id: false, t: Number, duration: Number, minEar: Number }],
+  },
+  // Facial movements under 500 ms, labelled with the nearest action-unit
+  // family; times are seconds into the recording (dashboard timeline)
+  microExpressionEvents: {
+    count: Number,
+    ratePerMinute: Number,
+    macroCount: Number,
+    families: mongoose.Schema.Types.Mixed,
+    events: [
+      {
+        _id: false,
+        t: Number,
+        duration: Number,
+        family: String,
+        region: String,
+        feature: String,
+        intensity: Number,
+      },
+    ],
+  },
+  // Per-frame expression classes (expression model or landmark geometry)
+  emotions: {
+    source: String,
+    dominant: String,
+    distribution: mongoose.Schema.Types.Mixed,
+    expressiveness: Number,
+    smileCount: Number,
+    suppressedSmiles: Number,
+    smiles: [
+      {
+        _id: false,
+        t: Number,
+        duration: Number,
+        intensity: Number,
+        asymmetry: Number,
+        asymmetric: Boolean,
+        masked: Boolean,
+      },
+    ],
+    // Mean class probabilities per interval, for the emotion timeline
+    series: [
+      {
+        _id: false,
+        t: Number,
+        emotion: String,
+        probabilities: mongoose.Schema.Types.Mixed,
+      },
+    ],
+  },
+  // Head pose (degrees) from the landmarks against a generic 3D face
+  pose: {
+    frames: Number,
+    neutral: { pitch: Number, yaw: Number },
+    variance: { pitch: Number, yaw: Number, roll: Number },
+    meanError: Number,
+    suddenMovementCount: Number,
+    suddenMovements: [
+      { _id: false, t: Number, angle: Number, peakVelocity: Number },
+    ],
+    gazeAversionCount: Number,
+    gazeAversionTime: Number,
+    gazeAversions: [
+      {
+        _id: false,
+        start: Number,
+        end: Number,
+        duration: Number,
+        direction: String,
+      },
+    ],
+    series: [{ _id: false, t: Number, pitch: Number, yaw: Number, roll: Number }],
+  },
+  // Set when capture quality was too poor to score the face at all
+  withheld: Boolean,
+  quality: {
+    level: { type: String, enum: ["good", "degraded", "insufficient"] },
+    facePresentRatio: Number,
+    faceFrames: Number,
+    multiFaceFrames: Number,
+    multiFaceRatio: Number,
+    meanFaceSize: Number,
+    meanBrightness: Number,
+    meanSharpness: Number,
+    confidenceFactor: Number,
+    issues: [String],
+  },
+  // Same person on camera throughout, from face descriptor distances to the
+  // opening frames; changes are times another face appeared
+  identity: {
+    status: { type: String, enum: ["pass", "fail", "unverified"] },
+    descriptors: Number,
+    threshold: Number,
+    meanDistance: Number,
+    maxDistance: Number,
+    changeCount: Number,
+    changes: [
+      {
+        _id: false,
+        start: Number,
+        end: Number,
+        duration: Number,
+        meanDistance: Number,
+        maxDistance: Number,
+      },
+    ],
+  },
+  // Coverage of the browser's landmark stream behind these scores
+  stream: {
+    frames: Number,
+    faceFrames: Number,
+    facePresentRatio: Number,
+    duration: Number,
+    fps: Number,
+    meanDetectionScore: Number,
+    expressionMotion: Number,
+    eyeMotion: Number,
+  },
+};
+
+const textFields = {
+  engine: engineSchema,
+  toneScore: Number,
+  sentimentScore: Number,
+  inconsistencyScore: Number,
+  consistencyScore: Number,
+  deceptionScore: Number,
+  complexityScore: Number,
+  confidence: Number,
+};
+
+// Signed points a feature moved the truth score from the neutral 50, with
+// its value (0-100 score, or z-score against the baseline) and its share
+// of the fused score
+const contributionSchema = new mongoose.Schema({
+  feature: String,
+  label: String,
+  value: Number,
+  zScore: Number,
+  weight: Number,
+  contribution: Number,
+}, { _id: false });
+
+const truthFields = {
+  truthfulness: Number,
+  confidence: Number,
+  // "inconclusive" when confidence is below the verdict threshold
+  outcome: { type: String, enum: ["conclusive", "inconclusive"] },
+  // Input quality per modality, modality agreement and what limited them
+  uncertainty: mongoose.Schema.Types.Mixed,
+  interpretation: String,
+  // Whether modalities were scored as z-score deviations from the baseline
+  calibrated: Boolean,
+  deviations: mongoose.Schema.Types.Mixed,
+  // Modalities fused into the score and their share of the nominal weight
+  modalitiesUsed: [String],
+  coverage: Number,
+  // Scoring profile (and its revision) the score was computed with, and
+  // the trained fusion model that computed it, if any
+  profile: { name: String, revision: Number, model: String },
+  // Per-modality and per-feature contributions, which add up to
+  // truthfulness - 50 (for a fusion model: points each one moves the
+  // score), and the three largest of them
+  breakdown: [
+    {
+      _id: false,
+      modality: String,
+      score: Number,
+      weight: Number,
+      calibrated: Boolean,
+      contribution: Number,
+      features: [contributionSchema],
+    },
+  ],
+  topFactors: [
+    {
+      _id: false,
+      modality: String,
+      feature: String,
+      label: String,
+      value: Number,
+      contribution: Number,
+      direction: { type: String, enum: ["raised", "lowered"] },
+      description: String,
+    },
+  ],
+};
+
+// One interview question and the answer that followed it. Times are seconds
+// from the start of the recording; results cover the answer range only.
+const segmentSchema = new mongoose.Schema({
+  question: { type: String },
+  // Neutral control question used to build the calibration baseline
+  control: { type: Boolean, default: false },
+  questionEnd: { type: Number },
+  answerStart: { type: Number, required: true },
+  answerEnd: { type: Number, required: true },
+  transcript: { type: String },
+  voice: {
+    engine: engineSchema,
+    pitchScore: Number,
+    toneScore: Number,
+    tremorScore: Number,
+    hesitationScore: Number,
+    emotionalScore: Number,
+    stressScore: Number,
+    confidence: Number,
+    pitch: pitchSummarySchema,
+    tremor: tremorSchema,
+    hesitation: hesitationSchema,
+    // Speech level and amount behind the answer's confidence
+    vad: { snrDb: Number, speakingTime: Number },
+  },
+  facial: facialFields,
+  text: textFields,
+  truth: truthFields,
+  analyzedAt: { type: Date },
+});
+
 const sessionSchema = new mongoose.Schema({
   userId: { type: String },
   startedAt: { type: Date, default: Date.now },
@@ -21,6 +350,7 @@ const sessionSchema = new mongoose.Schema({
 
   // Analysis results
   voice: {
+    engine: engineSchema,
     pitchScore: Number,
     toneScore: Number,
     tremorScore: Number,
@@ -28,29 +358,42 @@ const sessionSchema = new mongoose.Schema({
     sentimentScore: Number,
     emotionalScore: Number,
     stressScore: Number,
-  },
-  facial: {
-    microExpressionsScore: Number,
-    blinkingScore: Number,
-    eyeMovementScore: Number,
-    smileSuppressionScore: Number,
-    visualEmotionScore: Number,
-  },
-  text: {
-    toneScore: Number,
-    sentimentScore: Number,
-    inconsistencyScore: Number,
-  },
-  truth: {
-    truthfulness: Number,
     confidence: Number,
-    interpretation: String,
+    pitch: pitchSchema,
+    tremor: tremorSchema,
+    hesitation: hesitationSchema,
+    vad: vadSchema,
+    responseLatency: responseLatencySchema,
+  },
+  facial: facialFields,
+  text: textFields,
+  truth: truthFields,
+  // Per-modality outcome of the analysis: { status: ok|skipped|failed, reason }
+  modalities: { type: mongoose.Schema.Types.Mixed },
+  // Scoring profile for every truth score of the session, including
+  // recalibration and re-analysis; unset means the built-in default
+  scoringProfile: { type: String },
+
+  // Known outcome of the interview, set by an admin; labelled sessions are
+  // the training data of fusion models (see controllers/fusion_training.js)
+  groundTruth: {
+    label: { type: String, enum: ["truthful", "deceptive"] },
+    notes: { type: String },
+    labelledAt: { type: Date },
   },
 
+  // Per-question breakdown of the interview
+  segments: [segmentSchema],
+
   // Calibration and control questions
   calibration: {
     used: { type: Boolean, default: false },
     notes: { type: String },
+    controlQuestions: [{ type: String }],
+    // Per-modality feature distributions ({ mean, std, n, values }) over the
+    // control answers, keyed by feature name
+    baseline: { type: mongoose.Schema.Types.Mixed },
+    calibratedAt: { type: Date },
   },
 
   // Report and sharing
@@ -0,0 +1,72 @@
+// Trains a fusion model from labelled sessions and saves it to
+// FUSION_MODELS_DIR, where a scoring profile can select it ("model": name).
+//
+//   npm run train:fusion -- --name <name> [--type logistic|mlp]
+//     [--input rows.json] [--hidden 8] [--epochs N] [--seed 42]
+//
+// Rows come from MongoDB (MONGO_URI) unless --input names a file saved from
+// GET /api/training/features.
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { labelledTrainingRows, trainFusionModel } from '../controllers/fusion_training.js';
+import { saveFusionModel } from '../controllers/fusion_model.js';
+
+dotenv.config();
+
+const USAGE =
+  'Usage: npm run train:fusion -- --name <name> [--type logistic|mlp] [--input rows.json] ' +
+  '[--hidden 8] [--epochs N] [--seed 42]';
+
+const readRows = async (input) => {
+  if (input) return JSON.parse(await fs.readFile(input, 'utf8')).rows;
+  if (!process.env.MONGO_URI) throw new Error('Set MONGO_URI or pass --input');
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    return await labelledTrainingRows();
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      name: { type: 'string' },
+      type: { type: 'string', default: 'logistic' },
+      input: { type: 'string' },
+      hidden: { type: 'string' },
+      epochs: { type: 'string' },
+      seed: { type: 'string' }
+    }
+  });
+  if (!values.name || !/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(values.name)) {
+    throw new Error(`--name must be 1-64 letters, digits, "-" or "_"\n${USAGE}`);
+  }
+
+  const numeric = (value) => (value === undefined ? undefined : Number(value));
+  const epochs = numeric(values.epochs);
+  const rows = await readRows(values.input);
+  console.log(`Training ${values.type} model "${values.name}" on ${rows.length} labelled session(s)...`);
+
+  const model = await trainFusionModel(rows, {
+    name: values.name,
+    type: values.type,
+    ...(values.seed !== undefined && { seed: numeric(values.seed) }),
+    logistic: { ...(epochs && { epochs }) },
+    mlp: { ...(epochs && { epochs }), ...(values.hidden && { hidden: numeric(values.hidden) }) }
+  });
+  const file = await saveFusionModel(model);
+
+  const { total, truthful, deceptive } = model.samples;
+  const { evaluatedOn, accuracy, logLoss, samples } = model.metrics;
+  console.log(`Samples: ${total} (${truthful} truthful, ${deceptive} deceptive)`);
+  console.log(`Metrics on ${evaluatedOn} (${samples} rows): accuracy ${accuracy}, log loss ${logLoss}`);
+  console.log(`Saved ${file}`);
+};
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -9,6 +9,8 @@ import uploadRoutes from "./Routes/upload.js";
 import uploadsRoutes from "./Routes/uploads.js";
 import analysisRoutes from "./Routes/analysis.js";
 import sessionsRoutes from "./Routes/sessions.js";
+import scoringProfilesRoutes from "./Routes/scoring_profiles.js";
+import trainingRoutes from "./Routes/training.js";
 
 dotenv.config();
 connectDB();
@@ -31,6 +33,8 @@ app.use("/api/upload", uploadRoutes);
 app.use("/api/uploads", uploadsRoutes);
 app.use("/api/analysis", analysisRoutes);
 app.use("/api/sessions", sessionsRoutes);
+app.use("/api/scoring-profiles", scoringProfilesRoutes);
+app.use("/api/training", trainingRoutes);
 
 app.get("/", (req, res) => {
   res.send("Backend API is running...");
@@ -62,12 +62,132 @@ const Badge = ({ children, variant = "default" }) => {
   );
 };
 
+const REGION_COLORS = {
+  brow: "bg-violet-500",
+  eye: "bg-sky-500",
+  nose: "bg-amber-500",
+  mouth: "bg-rose-500",
+};
+
+const EMOTION_COLORS = {
+  neutral: "bg-gray-200",
+  happy: "bg-emerald-400",
+  sad: "bg-blue-400",
+  angry: "bg-red-500",
+  surprised: "bg-yellow-400",
+  fearful: "bg-purple-400",
+  disgusted: "bg-lime-600",
+};
+
+// Micro-expression events (ticks, coloured by face region), gaze aversions
+// and identity changes (shaded bands) and the dominant expression over time
+// along the recording
+const FacialTimeline = ({ facial }) => {
+  const events = facial?.microExpressionEvents?.events || [];
+  const aversions = facial?.pose?.gazeAversions || [];
+  const identityChanges = facial?.identity?.changes || [];
+  const series = facial?.emotions?.series || [];
+  const duration = Math.max(
+    facial?.stream?.duration || 0,
+    ...events.map((e) => e.t + e.duration),
+    ...aversions.map((a) => a.end),
+    ...identityChanges.map((c) => c.end),
+    ...series.map((s) => s.t + 1)
+  );
+  if (!duration) {
+    return <p className="text-sm text-gray-500">No facial timeline recorded</p>;
+  }
+  const at = (t) => `${Math.min(100, (t / duration) * 100)}%`;
+
+  return (
+    <div className="space-y-3">
+      <div className="relative h-8 rounded-lg bg-gray-100 overflow-hidden">
+        {aversions.map((a) => (
+          <div
+            key={`gaze-${a.start}`}
+            className="absolute inset-y-0 bg-gray-300"
+            style={{ left: at(a.start), width: at(a.duration) }}
+            title={`Gaze aversion ${a.direction} at ${a.start}s (${a.duration}s)`}
+          />
+        ))}
+        {identityChanges.map((c) => (
+          <div
+            key={`identity-${c.start}`}
+            className="absolute inset-y-0 bg-red-300"
+            style={{
+              left: at(c.start),
+              width: at(Math.max(c.duration, duration / 200)),
+            }}
+            title={`Different face from ${c.start}s to ${c.end}s (distance ${c.maxDistance})`}
+          />
+        ))}
+        {events.map((e) => (
+          <div
+            key={`micro-${e.t}`}
+            className={`absolute inset-y-1 w-1 rounded ${
+              REGION_COLORS[e.region] || "bg-gray-500"
+            }`}
+            style={{ left: at(e.t) }}
+            title={`${e.t}s: ${e.family} (${e.duration}s, intensity ${e.intensity})`}
+          />
+        ))}
+      </div>
+      {series.length > 0 && (
+        <div className="relative h-3 rounded bg-gray-100 overflow-hidden">
+          {series.map((s, i) => (
+            <div
+              key={`emotion-${s.t}`}
+              className={`absolute inset-y-0 ${
+                EMOTION_COLORS[s.emotion] || "bg-gray-200"
+              }`}
+              style={{
+                left: at(s.t),
+                width: at((series[i + 1]?.t ?? duration) - s.t),
+              }}
+              title={`${s.t}s: ${s.emotion}`}
+            />
+          ))}
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-4 text-xs text-gray-600">
+        <span>0s</span>
+        {Object.entries(REGION_COLORS).map(([region, color]) => (
+          <span key={region} className="flex items-center gap-1">
+            <span className={`inline-block w-2 h-2 rounded ${color}`} />
+            {region}
+          </span>
+        ))}
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-2 rounded bg-gray-300" />
+          gaze aversion
+        </span>
+        {identityChanges.length > 0 && (
+          <span className="flex items-center gap-1 text-red-600">
+            <span className="inline-block w-3 h-2 rounded bg-red-300" />
+            identity change
+          </span>
+        )}
+        {facial?.emotions?.dominant && (
+          <span>mostly {facial.emotions.dominant}</span>
+        )}
+        <span className="ml-auto">
+          {events.length} micro-expressions
+          {facial?.microExpressionEvents?.ratePerMinute != null &&
+            ` · ${facial.microExpressionEvents.ratePerMinute}/min`}{" "}
+          · {duration.toFixed(1)}s
+        </span>
+      </div>
+    </div>
+  );
+};
+
 export default function Dashboard() {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [sessions, setSessions] = useState([]);
   const [copiedId, setCopiedId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
 
   const isAdmin =
     typeof window !== "undefined" &&
@@ -460,93 +580,113 @@ export default function Dashboard() {
                     typeof s.truth?.confidence === "number"
                       ? s.truth.confidence
                       : null;
-                  const badgeVariant =
-                    truth >= 70
-                      ? "success"
-                      : truth >= 40
-                      ? "warning"
-                      : "danger";
+                  // Inconclusive sessions get no truthfulness bucket
+                  const inconclusive = s.truth?.outcome === "inconclusive";
+                  const badgeVariant = inconclusive
+                    ? "default"
+                    : truth >= 70
+                    ? "success"
+                    : truth >= 40
+                    ? "warning"
+                    : "danger";
 
                   return (
-                    <tr
-                      key={s._id}
-                      className="hover:bg-gray-50 transition-colors duration-150"
-                    >
-                      <td className="px-6 py-4">
-                        <div className="text-sm font-medium text-gray-900">
-                          {new Date(
-                            s.createdAt || s.startedAt
-                          ).toLocaleDateString()}
-                        </div>
-                        <div className="text-xs text-gray-500">
-                          {new Date(
-                            s.createdAt || s.startedAt
-                          ).toLocaleTimeString()}
-                        </div>
-                      </td>
-                      <td className="px-6 py-4">
-                        <div className="flex items-center gap-3">
-                          <div className="flex-1 min-w-32">
-                            <ProgressBar
-                              percent={truth ?? 0}
-                              color={percentColor(truth ?? 0)}
-                            />
+                    <React.Fragment key={s._id}>
+                      <tr className="hover:bg-gray-50 transition-colors duration-150">
+                        <td className="px-6 py-4">
+                          <div className="text-sm font-medium text-gray-900">
+                            {new Date(
+                              s.createdAt || s.startedAt
+                            ).toLocaleDateString()}
+                          </div>
+                          <div className="text-xs text-gray-500">
+                            {new Date(
+                              s.createdAt || s.startedAt
+                            ).toLocaleTimeString()}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4">
+                          <div className="flex items-center gap-3">
+                            <div className="flex-1 min-w-32">
+                              <ProgressBar
+                                percent={truth ?? 0}
+                                color={percentColor(truth ?? 0)}
+                              />
+                            </div>
+                            <span className="text-sm font-semibold text-gray-900 w-12 text-right">
+                              {truth != null ? `${truth}%` : "—"}
+                            </span>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4">
+                          <div className="flex items-center gap-3">
+                            <div className="flex-1 min-w-24">
+                              <ProgressBar
+                                percent={conf ?? 0}
+                                color="bg-indigo-500"
+                              />
+                            </div>
+                            <span className="text-sm font-medium text-gray-700 w-12 text-right">
+                              {conf != null ? `${conf}%` : "—"}
+                            </span>
                           </div>
-                          <span className="text-sm font-semibold text-gray-900 w-12 text-right">
-                            {truth != null ? `${truth}%` : "—"}
-                          </span>
-                        </div>
-                      </td>
-                      <td className="px-6 py-4">
-                        <div className="flex items-center gap-3">
-                          <div className="flex-1 min-w-24">
-                            <ProgressBar
-                              percent={conf ?? 0}
-                              color="bg-indigo-500"
-                            />
+                        </td>
+                        <td className="px-6 py-4">
+                          <Badge variant={badgeVariant}>
+                            {s.type || "recorded"}
+                            {inconclusive && " · inconclusive"}
+                          </Badge>
+                        </td>
+                        <td className="px-6 py-4">
+                          <div className="flex items-center gap-2">
+                            <button
+                              className="px-3 py-2 text-xs font-medium rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 transition-colors duration-150"
+                              onClick={() =>
+                                copyToClipboard(s._id, `id-${s._id}`)
+                              }
+                            >
+                              {copiedId === `id-${s._id}` ? "✓ Copied" : "ID"}
+                            </button>
+                            <button
+                              className="px-3 py-2 text-xs font-medium rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 transition-colors duration-150"
+                              onClick={() =>
+                                copyToClipboard(
+                                  s.report?.shareId || "",
+                                  `share-${s._id}`
+                                )
+                              }
+                            >
+                              {copiedId === `share-${s._id}`
+                                ? "✓ Copied"
+                                : "Share"}
+                            </button>
+                            <button
+                              className="px-3 py-2 text-xs font-medium rounded-lg bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white transition-all duration-150 shadow-sm hover:shadow"
+                              onClick={() => exportPdf(s._id)}
+                            >
+                              Export
+                            </button>
+                            <button
+                              className="px-3 py-2 text-xs font-medium rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 transition-colors duration-150"
+                              onClick={() =>
+                                setExpandedId(
+                                  expandedId === s._id ? null : s._id
+                                )
+                              }
+                            >
+                              {expandedId === s._id ? "Hide" : "Timeline"}
+                            </button>
                           </div>
-                          <span className="text-sm font-medium text-gray-700 w-12 text-right">
-                            {conf != null ? `${conf}%` : "—"}
-                          </span>
-                        </div>
-                      </td>
-                      <td className="px-6 py-4">
-                        <Badge variant={badgeVariant}>
-                          {s.type || "recorded"}
-                        </Badge>
-                      </td>
-                      <td className="px-6 py-4">
-                        <div className="flex items-center gap-2">
-                          <button
-                            className="px-3 py-2 text-xs font-medium rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 transition-colors duration-150"
-                            onClick={() =>
-                              copyToClipboard(s._id, `id-${s._id}`)
-                            }
-                          >
-                            {copiedId === `id-${s._id}` ? "✓ Copied" : "ID"}
-                          </button>
-                          <button
-                            className="px-3 py-2 text-xs font-medium rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 transition-colors duration-150"
-                            onClick={() =>
-                              copyToClipboard(
-                                s.report?.shareId || "",
-                                `share-${s._id}`
-                              )
-                            }
-                          >
-                            {copiedId === `share-${s._id}`
-                              ? "✓ Copied"
-                              : "Share"}
-                          </button>
-                          <button
-                            className="px-3 py-2 text-xs font-medium rounded-lg bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white transition-all duration-150 shadow-sm hover:shadow"
-                            onClick={() => exportPdf(s._id)}
-                          >
-                            Export
-                          </button>
-                        </div>
-                      </td>
-                    </tr>
+                        </td>
+                      </tr>
+                      {expandedId === s._id && (
+                        <tr className="bg-gray-50">
+                          <td className="px-6 py-4" colSpan={5}>
+                            <FacialTimeline facial={s.facial} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
                   );
                 })}
                 {sessions.length === 0 && !loading && (
@@ -17,8 +17,31 @@ import {
   Eye,
   MessageSquare,
   TrendingUp,
+  TrendingDown,
   Upload,
+  Flag,
 } from "lucide-react";
+import { createFaceTracker } from "../utils/faceTracker";
+
+// Consecutive tracked frames without a face before warning (~1 s at 10 fps)
+const FACE_WARNING_FRAMES = 10;
+
+// Progress card text for each analysis job state
+const ANALYSIS_STAGE_LABELS = {
+  upload: "Uploading recordings...",
+  queued: "Waiting for the analysis worker...",
+  voice: "Processing voice patterns...",
+  facial: "Processing facial expressions...",
+  text: "Processing text semantics...",
+  truth: "Computing the truth score...",
+};
+
+// Neutral questions asked first to record the subject's baseline
+const DEFAULT_CONTROL_QUESTIONS = [
+  "What is your full name?",
+  "What city do you live in?",
+  "What did you have for breakfast today?",
+];
 
 const UnifiedMediaRecorder = () => {
   // Recording states
@@ -38,6 +61,8 @@ const UnifiedMediaRecorder = () => {
   const [isListening, setIsListening] = useState(false);
   const [speechSupported, setSpeechSupported] = useState(false);
   const finalTranscriptRef = useRef("");
+  // Final speech-recognition results with their time from recording start
+  const transcriptEventsRef = useRef([]);
 
   // Recorded data
   const [recordings, setRecordings] = useState({
@@ -88,9 +113,38 @@ const UnifiedMediaRecorder = () => {
   // Analysis progress
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisProgress, setAnalysisProgress] = useState(0);
+  const [analysisStage, setAnalysisStage] = useState(null);
+
+  // Scoring profile the truth score is computed with (see /api/scoring-profiles)
+  const [scoringProfiles, setScoringProfiles] = useState([]);
+  const [scoringProfile, setScoringProfile] = useState("default");
+
+  // Live face-tracking warning shown while recording
+  const [faceWarning, setFaceWarning] = useState(null);
+
+  // "Question finished" marks, in seconds from the start of recording
+  const [questionMarks, setQuestionMarks] = useState([]);
+
+  // Calibration: the first marked questions are the control questions
+  const [calibrationEnabled, setCalibrationEnabled] = useState(true);
+  const [controlQuestionsText, setControlQuestionsText] = useState(
+    DEFAULT_CONTROL_QUESTIONS.join("\n")
+  );
+  const activeControlQuestions = calibrationEnabled
+    ? controlQuestionsText
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+    : [];
 
   // Refs
   const timerRef = useRef(null);
+  const recordingStartRef = useRef(null);
+  // Camera stream, in-browser face tracker and its captured landmark stream
+  const cameraStreamRef = useRef(null);
+  const faceTrackerRef = useRef(null);
+  const facialStreamRef = useRef(null);
+  const faceMissesRef = useRef(0);
   const recordedChunks = useRef({
     screen: [],
     camera: [],
@@ -114,6 +168,16 @@ const UnifiedMediaRecorder = () => {
     checkSpeechSupport();
   }, []);
 
+  // Load the scoring profiles to choose from
+  useEffect(() => {
+    fetch("http://localhost:5001/api/scoring-profiles")
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => setScoringProfiles(data?.profiles || []))
+      .catch((error) =>
+        console.warn("Failed to load scoring profiles:", error)
+      );
+  }, []);
+
   // Timer effect
   useEffect(() => {
     if (isRecording) {
@@ -128,6 +192,26 @@ const UnifiedMediaRecorder = () => {
     return () => clearInterval(timerRef.current);
   }, [isRecording]);
 
+  // Mark the end of the interviewer's question (button or "Q" hotkey)
+  const markQuestionEnd = () => {
+    if (!recordingStartRef.current) return;
+    const time = (Date.now() - recordingStartRef.current) / 1000;
+    setQuestionMarks((prev) => [...prev, Number(time.toFixed(2))]);
+  };
+
+  useEffect(() => {
+    if (!isRecording) return;
+    const handleKeyDown = (event) => {
+      const tag = event.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || event.repeat) return;
+      if (event.key === "q" || event.key === "Q") {
+        markQuestionEnd();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isRecording]);
+
   // Format time
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -169,6 +253,12 @@ const UnifiedMediaRecorder = () => {
 
           if (event.results[i].isFinal) {
             finalTranscript += currentTranscript + " ";
+            if (recordingStartRef.current) {
+              transcriptEventsRef.current.push({
+                time: (Date.now() - recordingStartRef.current) / 1000,
+                text: currentTranscript.trim(),
+              });
+            }
           } else {
             interimTranscript = currentTranscript;
           }
@@ -323,6 +413,7 @@ const UnifiedMediaRecorder = () => {
         cameraStream.getTracks().forEach((track) => track.stop());
       };
 
+      cameraStreamRef.current = cameraStream;
       setCameraRecorder(recorder);
       setStatus((prev) => ({ ...prev, camera: "ready" }));
       return recorder;
@@ -423,6 +514,42 @@ const UnifiedMediaRecorder = () => {
         { recorder: voiceRec, type: "voice" },
       ].filter((r) => r.recorder !== null);
 
+      recordingStartRef.current = Date.now();
+      transcriptEventsRef.current = [];
+      setQuestionMarks([]);
+
+      // Landmarks are computed in the browser on sampled camera frames
+      facialStreamRef.current = null;
+      if (cameraRec && cameraStreamRef.current) {
+        faceMissesRef.current = 0;
+        const tracker = createFaceTracker(
+          cameraStreamRef.current,
+          recordingStartRef.current,
+          {
+            onFrame: (frame) => {
+              faceMissesRef.current =
+                frame.faces === 0 ? faceMissesRef.current + 1 : 0;
+              setFaceWarning(
+                faceMissesRef.current >= FACE_WARNING_FRAMES
+                  ? "Face not detected. Ask the subject to face the camera."
+                  : frame.faces > 1
+                  ? "More than one face in view."
+                  : null
+              );
+            },
+          }
+        );
+        faceTrackerRef.current = tracker;
+        tracker.start().catch((error) => {
+          console.error("Face tracking failed to start:", error);
+          faceTrackerRef.current = null;
+          setErrors((prev) => ({
+            ...prev,
+            camera: `Face tracking unavailable: ${error.message}`,
+          }));
+        });
+      }
+
       recorders.forEach(({ recorder, type }) => {
         try {
           recorder.start(1000);
@@ -463,6 +590,15 @@ const UnifiedMediaRecorder = () => {
       setRecognition(null);
     }
 
+    // Keep the landmark stream before the camera stream goes away
+    if (faceTrackerRef.current) {
+      facialStreamRef.current = faceTrackerRef.current.getStream();
+      faceTrackerRef.current.stop();
+      faceTrackerRef.current = null;
+    }
+    setFaceWarning(null);
+    cameraStreamRef.current = null;
+
     // Stop all media recorders
     [
       { recorder: screenRecorder, type: "screen" },
@@ -655,97 +791,194 @@ const UnifiedMediaRecorder = () => {
     }
   };
 
-  // Convert blob URL to base64 for backend processing
-  const blobUrlToBase64 = async (blobUrl) => {
+  // Recorded Blob behind a blob URL, for multipart upload
+  const blobUrlToBlob = async (blobUrl) => {
     const response = await fetch(blobUrl);
-    const blob = await response.blob();
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result.split(",")[1]);
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
+    return response.blob();
+  };
+
+  // One segment per marked question: the answer runs from the detected
+  // answer onset to the next question mark (or the end of the recording)
+  const buildSegments = (voice) => {
+    const questions = voice?.responseLatency?.questions || [];
+    const end = voice?.vad?.duration ?? recordingTime;
+    const controls = activeControlQuestions.length;
+    return questions
+      .map((question, i) => {
+        const answerStart = question.answerStart ?? question.questionEnd;
+        const answerEnd = questions[i + 1]?.questionEnd ?? end;
+        const transcript = transcriptEventsRef.current
+          .filter((e) => e.time > answerStart && e.time <= answerEnd)
+          .map((e) => e.text)
+          .join(" ");
+        const control = i < controls;
+        return {
+          question: control
+            ? activeControlQuestions[i]
+            : question.label || `Question ${i - controls + 1}`,
+          control,
+          questionEnd: question.questionEnd,
+          answerStart,
+          answerEnd,
+          transcript,
+        };
+      })
+      .filter((segment) => segment.answerEnd > segment.answerStart);
   };
 
+  // Follow an analysis job until it completes (resolving with its results)
+  // or fails: Server-Sent Events, with polling when the event stream is
+  // unavailable
+  const waitForAnalysisJob = (backendUrl, job) =>
+    new Promise((resolve, reject) => {
+      const apply = (state) => {
+        setAnalysisProgress(state.progress);
+        setAnalysisStage(state.status === "queued" ? "queued" : state.stage);
+        if (state.status === "completed") resolve(state.results);
+        if (state.status === "failed") {
+          reject(
+            new Error(
+              `Backend error: ${state.error?.statusCode} - ${JSON.stringify(
+                state.error
+              )}`
+            )
+          );
+        }
+        return state.status === "completed" || state.status === "failed";
+      };
+
+      const poll = async () => {
+        try {
+          const response = await fetch(`${backendUrl}${job.links.self}`);
+          if (!response.ok) {
+            throw new Error(
+              `Backend error: ${response.status} - ${await response.text()}`
+            );
+          }
+          if (!apply(await response.json())) setTimeout(poll, 1000);
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      const source = new EventSource(`${backendUrl}${job.links.events}`);
+      const onEvent = (event) => {
+        if (apply(JSON.parse(event.data))) source.close();
+      };
+      ["queued", "running", "completed", "failed"].forEach((type) =>
+        source.addEventListener(type, onEvent)
+      );
+      source.onerror = () => {
+        source.close();
+        poll();
+      };
+    });
+
   // Run ML Analysis using backend API with session creation
   const runMLAnalysis = async () => {
     setIsAnalyzing(true);
     setAnalysisProgress(0);
+    setAnalysisStage("upload");
     setErrors((prev) => ({ ...prev, analysis: null }));
 
     try {
       console.log("Starting ML Analysis...");
 
-      // Prepare data for analysis
-      const analysisData = {
-        transcript:
-          transcript !==
-          'Click "Start Recording" to begin recording and see your speech transcribed here in real-time...'
-            ? transcript
-            : "",
-        audioData: null,
-        videoData: null,
-        imageData: null,
-      };
+      const transcriptText =
+        transcript !==
+        'Click "Start Recording" to begin recording and see your speech transcribed here in real-time...'
+          ? transcript
+          : "";
+
+      // Recordings are sent as files in one multipart request, which the
+      // backend streams to disk instead of parsing a base64 JSON body
+      const analysisData = new FormData();
+      analysisData.append("transcript", transcriptText);
+      analysisData.append("questionMarks", JSON.stringify(questionMarks));
+      analysisData.append("profile", scoringProfile);
 
-      // Convert recorded media to base64 if available
+      let audioBlob = null;
       if (recordings.voice) {
         try {
-          analysisData.audioData = await blobUrlToBase64(recordings.voice);
+          audioBlob = await blobUrlToBlob(recordings.voice);
+          analysisData.append("audio", audioBlob, "voice.webm");
         } catch (e) {
           console.warn("Audio conversion failed:", e);
         }
       }
-      setAnalysisProgress(25);
 
-      if (recordings.camera) {
+      // Per-frame landmarks replace the raw video; the video is only sent
+      // when face tracking produced nothing
+      let facialStreamBlob = null;
+      if (facialStreamRef.current?.frames.length) {
+        facialStreamBlob = new Blob([JSON.stringify(facialStreamRef.current)], {
+          type: "application/json",
+        });
+        analysisData.append("facialStream", facialStreamBlob, "facial.json");
+        // Blink baseline from the calibration phase: everything before the
+        // first interview answer
+        const controls = activeControlQuestions.length;
+        if (controls > 0 && questionMarks.length > controls) {
+          analysisData.append(
+            "facialOptions",
+            JSON.stringify({
+              blink: { baselineWindow: questionMarks[controls] },
+            })
+          );
+        }
+      } else if (recordings.camera) {
         try {
-          analysisData.videoData = await blobUrlToBase64(recordings.camera);
+          analysisData.append(
+            "video",
+            await blobUrlToBlob(recordings.camera),
+            "camera.webm"
+          );
         } catch (e) {
           console.warn("Camera conversion failed:", e);
         }
       }
-      setAnalysisProgress(50);
 
       if (recordings.screen) {
         try {
-          analysisData.imageData = await blobUrlToBase64(recordings.screen);
+          analysisData.append(
+            "screen",
+            await blobUrlToBlob(recordings.screen),
+            "screen.webm"
+          );
         } catch (e) {
           console.warn("Screen conversion failed:", e);
         }
       }
-      setAnalysisProgress(70);
 
       console.log("Analysis data prepared", {
-        hasAudio: !!analysisData.audioData,
-        hasVideo: !!analysisData.videoData,
-        hasImage: !!analysisData.imageData,
-        transcriptLength: analysisData.transcript?.length || 0,
+        hasAudio: analysisData.has("audio"),
+        hasVideo: analysisData.has("video"),
+        facialFrames: facialStreamRef.current?.frames.length || 0,
+        hasImage: analysisData.has("screen"),
+        transcriptLength: transcriptText.length,
       });
 
-      // Call backend ML analysis API
+      // Queue the analysis job, then follow its progress
       const backendUrl = "http://localhost:5001";
-      console.log("Calling backend:", `${backendUrl}/api/analysis/all`);
+      console.log("Calling backend:", `${backendUrl}/api/analysis/jobs`);
 
-      const response = await fetch(`${backendUrl}/api/analysis/all`, {
+      const response = await fetch(`${backendUrl}/api/analysis/jobs`, {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(analysisData),
+        body: analysisData,
       });
 
       console.log("Response status:", response.status);
-      setAnalysisProgress(90);
 
       if (!response.ok) {
         const errorText = await response.text();
         throw new Error(`Backend error: ${response.status} - ${errorText}`);
       }
 
-      const results = await response.json();
+      const results = await waitForAnalysisJob(
+        backendUrl,
+        await response.json()
+      );
       console.log("Analysis results:", results);
-      setAnalysisProgress(100);
 
       setAnalysisResults(results);
 
@@ -756,11 +989,12 @@ const UnifiedMediaRecorder = () => {
             JSON.parse(localStorage.getItem("userInfo") || "{}")?.sub ||
             "demo-user-123",
           type: "recorded",
-          transcript: analysisData.transcript,
+          transcript: transcriptText,
           voice: results.voice,
           facial: results.facial,
           text: results.text,
           truth: results.truth,
+          modalities: results.modalities,
           report: {
             shareId: "analysis-" + Date.now(),
           },
@@ -774,6 +1008,25 @@ const UnifiedMediaRecorder = () => {
 
         if (sessionResponse.ok) {
           console.log("Session created successfully");
+          const { session } = await sessionResponse.json();
+          const segments = buildSegments(results.voice);
+          if (session?._id && segments.length) {
+            const segmentData = new FormData();
+            segmentData.append("segments", JSON.stringify(segments));
+            segmentData.append("analyze", "true");
+            if (audioBlob) segmentData.append("audio", audioBlob, "voice.webm");
+            if (facialStreamBlob) {
+              segmentData.append(
+                "facialStream",
+                facialStreamBlob,
+                "facial.json"
+              );
+            }
+            await fetch(`${backendUrl}/api/sessions/${session._id}/segments`, {
+              method: "POST",
+              body: segmentData,
+            });
+          }
         }
       } catch (sessionError) {
         console.warn("Failed to create session:", sessionError);
@@ -787,6 +1040,7 @@ const UnifiedMediaRecorder = () => {
     } finally {
       setIsAnalyzing(false);
       setAnalysisProgress(0);
+      setAnalysisStage(null);
     }
   };
 
@@ -795,6 +1049,10 @@ const UnifiedMediaRecorder = () => {
     setRecordings({ screen: null, camera: null, voice: null });
     setUploadUrls({ screen: null, camera: null, voice: null });
     setAnalysisResults({ voice: null, facial: null, text: null, truth: null });
+    setQuestionMarks([]);
+    recordingStartRef.current = null;
+    transcriptEventsRef.current = [];
+    facialStreamRef.current = null;
     setIsAnalyzing(false);
     setAnalysisProgress(0);
     setErrors({
@@ -899,6 +1157,9 @@ const UnifiedMediaRecorder = () => {
   const hasRecordings =
     recordings.screen || recordings.camera || recordings.voice;
 
+  // Truth score confidence below the verdict threshold
+  const inconclusive = analysisResults.truth?.outcome === "inconclusive";
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -995,8 +1256,73 @@ const UnifiedMediaRecorder = () => {
             </span>
             <span>{isRecording ? "Stop Recording" : "Start Recording"}</span>
           </button>
+
+          {isRecording && (
+            <button
+              onClick={markQuestionEnd}
+              title="Press Q to mark the end of a question"
+              className="ml-4 flex items-center gap-2.5 px-6 py-5 bg-white hover:bg-slate-50 border-2 border-slate-200 text-slate-700 rounded-2xl font-semibold transition-colors"
+            >
+              <Flag className="w-5 h-5 text-indigo-500" />
+              <span>Question Finished ({questionMarks.length})</span>
+            </button>
+          )}
         </section>
 
+        {/* Calibration: control questions asked before the interview */}
+        {!isRecording && !hasRecordings && (
+          <section className="max-w-2xl mx-auto mb-10 bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+            <label className="flex items-center gap-3 font-semibold text-slate-800">
+              <input
+                type="checkbox"
+                checked={calibrationEnabled}
+                onChange={(e) => setCalibrationEnabled(e.target.checked)}
+                className="w-4 h-4 accent-indigo-600"
+              />
+              Calibrate with control questions
+            </label>
+            <p className="text-slate-500 text-sm mt-1">
+              Ask these neutral questions first and mark the end of each one.
+              Later answers are scored against this baseline.
+            </p>
+            {calibrationEnabled && (
+              <textarea
+                value={controlQuestionsText}
+                onChange={(e) => setControlQuestionsText(e.target.value)}
+                rows={4}
+                className="mt-4 w-full px-4 py-3 border border-slate-200 rounded-xl text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                placeholder="One control question per line"
+              />
+            )}
+          </section>
+        )}
+
+        {/* Current question prompt while recording */}
+        {isRecording && (
+          <div className="max-w-2xl mx-auto -mt-4 mb-10 text-center">
+            {questionMarks.length < activeControlQuestions.length ? (
+              <p className="text-slate-700">
+                <span className="font-semibold text-indigo-600">
+                  Calibration {questionMarks.length + 1}/
+                  {activeControlQuestions.length}:
+                </span>{" "}
+                {activeControlQuestions[questionMarks.length]}
+              </p>
+            ) : (
+              <p className="text-slate-500 text-sm">
+                {activeControlQuestions.length > 0 && "Calibration complete. "}
+                Ask your interview questions and press Q after each one.
+              </p>
+            )}
+            {faceWarning && (
+              <p className="mt-3 inline-flex items-center gap-2 px-4 py-2 bg-amber-50 border border-amber-200 text-amber-800 text-sm font-medium rounded-lg">
+                <AlertCircle className="w-4 h-4" />
+                {faceWarning}
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Action Buttons Row */}
         {hasRecordings && (
           <section className="flex flex-wrap justify-center gap-4 mb-10">
@@ -1018,6 +1344,23 @@ const UnifiedMediaRecorder = () => {
               )}
             </button>
 
+            {scoringProfiles.length > 1 && (
+              <select
+                value={scoringProfile}
+                onChange={(e) => setScoringProfile(e.target.value)}
+                disabled={isAnalyzing}
+                title="Scoring profile"
+                className="px-4 py-3 bg-white border border-slate-200 rounded-xl text-slate-700 font-medium shadow-md"
+              >
+                {scoringProfiles.map((profile) => (
+                  <option key={profile.name} value={profile.name}>
+                    {profile.name}
+                    {profile.description ? ` - ${profile.description}` : ""}
+                  </option>
+                ))}
+              </select>
+            )}
+
             <button
               onClick={runMLAnalysis}
               disabled={isAnalyzing}
@@ -1068,8 +1411,8 @@ const UnifiedMediaRecorder = () => {
                   />
                 </div>
                 <p className="text-sm text-slate-600">
-                  Processing voice patterns, facial expressions, and text
-                  semantics...
+                  {ANALYSIS_STAGE_LABELS[analysisStage] ||
+                    "Processing voice patterns, facial expressions, and text semantics..."}
                 </p>
               </div>
             </div>
@@ -1114,22 +1457,140 @@ const UnifiedMediaRecorder = () => {
                           strokeDasharray={`${
                             (analysisResults.truth.truthfulness / 100) * 352
                           } 352`}
-                          className="text-indigo-500 transition-all duration-1000"
+                          className={`${
+                            inconclusive ? "text-slate-400" : "text-indigo-500"
+                          } transition-all duration-1000`}
                         />
                       </svg>
                       <div className="absolute inset-0 flex items-center justify-center">
-                        <span className="text-3xl font-bold text-indigo-600">
+                        <span
+                          className={`text-3xl font-bold ${
+                            inconclusive ? "text-slate-400" : "text-indigo-600"
+                          }`}
+                        >
                           {analysisResults.truth.truthfulness}%
                         </span>
                       </div>
                     </div>
                     <div className="space-y-2">
+                      {/* Confidence below the verdict threshold: no bucket */}
+                      {inconclusive && (
+                        <span className="inline-block px-3 py-1 bg-amber-100 text-amber-800 text-sm font-semibold rounded-full">
+                          Inconclusive
+                        </span>
+                      )}
                       <div className="text-sm font-medium text-slate-600">
                         Confidence: {analysisResults.truth.confidence}%
+                        {analysisResults.truth.profile && (
+                          <span className="text-slate-400">
+                            {" "}
+                            · Profile: {analysisResults.truth.profile.name}
+                          </span>
+                        )}
                       </div>
                       <p className="text-slate-700 max-w-md mx-auto">
                         {analysisResults.truth.interpretation}
                       </p>
+                      {/* Modalities left out of the score, and why */}
+                      {analysisResults.modalities &&
+                        Object.entries(analysisResults.modalities)
+                          .filter(([, modality]) => modality.status !== "ok")
+                          .map(([name, modality]) => (
+                            <p key={name} className="text-xs text-amber-700">
+                              {name.charAt(0).toUpperCase() + name.slice(1)}{" "}
+                              {modality.status}: {modality.reason}
+                            </p>
+                          ))}
+                      {/* What moved the score most, and the full breakdown */}
+                      {analysisResults.truth.topFactors?.length > 0 && (
+                        <div className="pt-3 max-w-md mx-auto text-left">
+                          <div className="text-sm font-medium text-slate-600 mb-1">
+                            Top factors
+                          </div>
+                          {analysisResults.truth.topFactors.map((factor) => (
+                            <p
+                              key={`${factor.modality}-${factor.feature}`}
+                              className={`flex items-start gap-2 text-sm ${
+                                factor.direction === "raised"
+                                  ? "text-emerald-700"
+                                  : "text-red-700"
+                              }`}
+                            >
+                              {factor.direction === "raised" ? (
+                                <TrendingUp className="w-4 h-4 mt-0.5 shrink-0" />
+                              ) : (
+                                <TrendingDown className="w-4 h-4 mt-0.5 shrink-0" />
+                              )}
+                              {factor.description}
+                            </p>
+                          ))}
+                        </div>
+                      )}
+                      {analysisResults.truth.breakdown?.length > 0 && (
+                        <details className="pt-2 max-w-md mx-auto text-left">
+                          <summary className="text-sm font-medium text-slate-600 cursor-pointer">
+                            Score breakdown (points from a neutral 50)
+                          </summary>
+                          <table className="w-full mt-2 text-xs text-slate-700">
+                            <thead>
+                              <tr className="text-slate-500">
+                                <th className="text-left font-medium">
+                                  Feature
+                                </th>
+                                <th className="text-right font-medium">
+                                  Value
+                                </th>
+                                <th className="text-right font-medium">
+                                  Weight
+                                </th>
+                                <th className="text-right font-medium">
+                                  Points
+                                </th>
+                              </tr>
+                            </thead>
+                            {analysisResults.truth.breakdown.map((modality) => (
+                              <tbody key={modality.modality}>
+                                <tr className="font-semibold border-t border-slate-200">
+                                  <td className="capitalize">
+                                    {modality.modality}
+                                  </td>
+                                  <td className="text-right">
+                                    {modality.score}
+                                  </td>
+                                  <td className="text-right">
+                                    {Math.round(modality.weight * 100)}%
+                                  </td>
+                                  <td className="text-right">
+                                    {modality.contribution > 0 ? "+" : ""}
+                                    {modality.contribution}
+                                  </td>
+                                </tr>
+                                {modality.features.map((feature) => (
+                                  <tr key={feature.feature}>
+                                    <td className="pl-3">{feature.label}</td>
+                                    <td className="text-right">
+                                      {feature.value}
+                                    </td>
+                                    <td className="text-right">
+                                      {Math.round(feature.weight * 100)}%
+                                    </td>
+                                    <td
+                                      className={`text-right ${
+                                        feature.contribution < 0
+                                          ? "text-red-600"
+                                          : "text-emerald-600"
+                                      }`}
+                                    >
+                                      {feature.contribution > 0 ? "+" : ""}
+                                      {feature.contribution}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            ))}
+                          </table>
+                        </details>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -1165,6 +1626,14 @@ const UnifiedMediaRecorder = () => {
                             label: "Tone",
                             value: analysisResults.voice.toneScore,
                           },
+                          {
+                            label: "Tremor",
+                            value: analysisResults.voice.tremorScore ?? 0,
+                          },
+                          {
+                            label: "Hesitation",
+                            value: analysisResults.voice.hesitationScore ?? 0,
+                          },
                           {
                             label: "Confidence",
                             value: analysisResults.voice.confidence,
@@ -1190,6 +1659,40 @@ const UnifiedMediaRecorder = () => {
                             </div>
                           </div>
                         ))}
+                        {analysisResults.voice.responseLatency?.questionCount >
+                          0 && (
+                          <div className="pt-3 border-t border-emerald-100 space-y-1">
+                            <div className="flex justify-between text-sm">
+                              <span className="text-slate-600">
+                                Mean response latency
+                              </span>
+                              <span className="font-medium text-slate-700">
+                                {
+                                  analysisResults.voice.responseLatency
+                                    .meanLatency
+                                }
+                                s
+                              </span>
+                            </div>
+                            {analysisResults.voice.responseLatency.questions.map(
+                              (question, i) => (
+                                <div
+                                  key={question.index}
+                                  className="flex justify-between text-xs text-slate-500"
+                                >
+                                  <span>Q{i + 1}</span>
+                                  <span>
+                                    {question.answered
+                                      ? `${question.latency}s${
+                                          question.overlap ? " (overlap)" : ""
+                                        }`
+                                      : "no answer"}
+                                  </span>
+                                </div>
+                              )
+                            )}
+                          </div>
+                        )}
                         <p className="text-emerald-700 text-xs mt-3 pt-3 border-t border-emerald-100">
                           {analysisResults.voice.interpretation}
                         </p>
@@ -1210,36 +1713,130 @@ const UnifiedMediaRecorder = () => {
                       </div>
                       <div className="space-y-3">
                         <div className="space-y-2 text-sm">
-                          <div className="flex justify-between">
-                            <span className="text-slate-600">
-                              Micro-expressions
-                            </span>
-                            <span className="font-medium text-slate-700">
-                              {analysisResults.facial.microExpressions}
-                            </span>
-                          </div>
-                          <div className="flex justify-between">
-                            <span className="text-slate-600">Eye movement</span>
-                            <span className="font-medium text-slate-700">
-                              {analysisResults.facial.eyeMovement}
-                            </span>
-                          </div>
-                          <div className="flex justify-between">
-                            <span className="text-slate-600">
-                              Head stability
-                            </span>
-                            <span className="font-medium text-slate-700">
-                              {analysisResults.facial.headPoseStability}%
-                            </span>
-                          </div>
-                          <div className="flex justify-between">
-                            <span className="text-slate-600">
-                              Gaze stability
-                            </span>
-                            <span className="font-medium text-slate-700">
-                              {analysisResults.facial.gazeStability}%
-                            </span>
-                          </div>
+                          {!analysisResults.facial.withheld && (
+                            <>
+                              <div className="flex justify-between">
+                                <span className="text-slate-600">
+                                  Micro-expressions
+                                </span>
+                                <span className="font-medium text-slate-700">
+                                  {analysisResults.facial.microExpressions}
+                                  {analysisResults.facial
+                                    .microExpressionEvents &&
+                                    ` (${analysisResults.facial.microExpressionEvents.ratePerMinute}/min)`}
+                                </span>
+                              </div>
+                              <div className="flex justify-between">
+                                <span className="text-slate-600">
+                                  Eye movement
+                                </span>
+                                <span className="font-medium text-slate-700">
+                                  {analysisResults.facial.eyeMovement}
+                                </span>
+                              </div>
+                              <div className="flex justify-between">
+                                <span className="text-slate-600">
+                                  Head stability
+                                </span>
+                                <span className="font-medium text-slate-700">
+                                  {analysisResults.facial.headPoseStability}%
+                                </span>
+                              </div>
+                              <div className="flex justify-between">
+                                <span className="text-slate-600">
+                                  Gaze stability
+                                </span>
+                                <span className="font-medium text-slate-700">
+                                  {analysisResults.facial.gazeStability}%
+                                </span>
+                              </div>
+                              {analysisResults.facial.pose && (
+                                <div className="flex justify-between">
+                                  <span className="text-slate-600">
+                                    Gaze aversions
+                                  </span>
+                                  <span className="font-medium text-slate-700">
+                                    {
+                                      analysisResults.facial.pose
+                                        .gazeAversionCount
+                                    }
+                                    {analysisResults.facial.pose
+                                      .suddenMovementCount > 0 &&
+                                      ` · ${analysisResults.facial.pose.suddenMovementCount} sudden moves`}
+                                  </span>
+                                </div>
+                              )}
+                              {analysisResults.facial.emotions?.dominant && (
+                                <div className="flex justify-between">
+                                  <span className="text-slate-600">
+                                    Dominant expression
+                                  </span>
+                                  <span className="font-medium text-slate-700 capitalize">
+                                    {analysisResults.facial.emotions.dominant}
+                                  </span>
+                                </div>
+                              )}
+                              {analysisResults.facial.emotions && (
+                                <div className="flex justify-between">
+                                  <span className="text-slate-600">
+                                    Smile suppression
+                                  </span>
+                                  <span className="font-medium text-slate-700">
+                                    {
+                                      analysisResults.facial
+                                        .smileSuppressionScore
+                                    }
+                                    %
+                                    {analysisResults.facial.emotions
+                                      .smileCount > 0 &&
+                                      ` (${analysisResults.facial.emotions.suppressedSmiles}/${analysisResults.facial.emotions.smileCount} smiles)`}
+                                  </span>
+                                </div>
+                              )}
+                              {analysisResults.facial.blinks && (
+                                <div className="flex justify-between">
+                                  <span className="text-slate-600">
+                                    Blink rate
+                                  </span>
+                                  <span className="font-medium text-slate-700">
+                                    {
+                                      analysisResults.facial.blinks
+                                        .ratePerMinute
+                                    }
+                                    /min
+                                    {analysisResults.facial.blinks.bursts > 0 &&
+                                      ` (${analysisResults.facial.blinks.bursts} bursts)`}
+                                  </span>
+                                </div>
+                              )}
+                            </>
+                          )}
+                          {analysisResults.facial.quality && (
+                            <div className="flex justify-between">
+                              <span className="text-slate-600">
+                                Capture quality
+                              </span>
+                              <span className="font-medium text-slate-700 capitalize">
+                                {analysisResults.facial.quality.level}
+                              </span>
+                            </div>
+                          )}
+                          {analysisResults.facial.identity && (
+                            <div className="flex justify-between">
+                              <span className="text-slate-600">
+                                Same person throughout
+                              </span>
+                              <span className="font-medium text-slate-700">
+                                {analysisResults.facial.identity.status ===
+                                "pass"
+                                  ? "Yes"
+                                  : analysisResults.facial.identity.status ===
+                                    "fail"
+                                  ? `No (${analysisResults.facial.identity.changeCount} changes)`
+                                  : "Not verified"}
+                              </span>
+                            </div>
+                          )}
                           <div className="flex justify-between">
                             <span className="text-slate-600">Confidence</span>
                             <span className="font-medium text-slate-700">
@@ -1620,6 +2217,59 @@ const UnifiedMediaRecorder = () => {
               {recordings.voice && (
                 <div className="space-y-4">
                   <audio src={recordings.voice} controls className="w-full" />
+
+                  {/* Speech activity timeline from voice analysis */}
+                  {analysisResults.voice?.vad?.duration > 0 && (
+                    <div className="space-y-2">
+                      <div className="relative h-3 bg-slate-100 rounded-full overflow-hidden">
+                        {analysisResults.voice.vad.segments.map((segment) => (
+                          <div
+                            key={`${segment.start}-${segment.end}`}
+                            className="absolute top-0 h-full bg-emerald-500"
+                            title={`Speech ${segment.start.toFixed(
+                              1
+                            )}s – ${segment.end.toFixed(1)}s`}
+                            style={{
+                              left: `${
+                                (segment.start /
+                                  analysisResults.voice.vad.duration) *
+                                100
+                              }%`,
+                              width: `${
+                                ((segment.end - segment.start) /
+                                  analysisResults.voice.vad.duration) *
+                                100
+                              }%`,
+                            }}
+                          />
+                        ))}
+                        {questionMarks.map((mark) => (
+                          <div
+                            key={`q-${mark}`}
+                            className="absolute top-0 h-full w-0.5 bg-indigo-600"
+                            title={`Question finished at ${mark}s`}
+                            style={{
+                              left: `${Math.min(
+                                100,
+                                (mark / analysisResults.voice.vad.duration) *
+                                  100
+                              )}%`,
+                            }}
+                          />
+                        ))}
+                      </div>
+                      <div className="flex justify-between text-xs text-slate-500">
+                        <span>
+                          Speaking {analysisResults.voice.vad.speakingTime}s
+                        </span>
+                        <span>
+                          {analysisResults.voice.vad.pauseCount} pauses
+                          (longest {analysisResults.voice.vad.longestPause}s)
+                        </span>
+                      </div>
+                    </div>
+                  )}
+
                   <button
                     onClick={() => handleSingleUpload("voice")}
                     disabled={isUploading.voice}
@@ -0,0 +1,237 @@
+import * as faceapi from "@vladmandic/face-api";
+
+// Weights served from Frontend/public/models
+const MODEL_URL = "/models";
+
+export const DEFAULT_TRACKER_OPTIONS = {
+  fps: 10, // sampled frames per second; blinks last only 100-400 ms
+  inputSize: 224, // tiny face detector input (multiple of 32)
+  scoreThreshold: 0.5,
+  descriptorInterval: 1, // seconds between face descriptors (identity)
+  qualitySize: 48, // pixels; face crop used for brightness and sharpness
+};
+
+let modelsPromise = null;
+
+// Load an optional model, resolving to whether it is available
+const loadOptional = async (net, name) => {
+  try {
+    await net.loadFromUri(MODEL_URL);
+    return true;
+  } catch (error) {
+    console.warn(`${name} model unavailable:`, error);
+    return false;
+  }
+};
+
+// Load the detector and landmark models once. The recognition and expression
+// models are optional: without them frames simply carry no descriptors or
+// expression probabilities.
+export const loadFaceModels = () => {
+  if (!modelsPromise) {
+    modelsPromise = Promise.all([
+      faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL),
+      faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL),
+    ])
+      .then(async () => ({
+        recognition: await loadOptional(
+          faceapi.nets.faceRecognitionNet,
+          "Face recognition"
+        ),
+        expressions: await loadOptional(
+          faceapi.nets.faceExpressionNet,
+          "Face expression"
+        ),
+      }))
+      .catch((error) => {
+        modelsPromise = null;
+        throw error;
+      });
+  }
+  return modelsPromise;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Compact record of one sampled frame: the largest face's box, detection
+// score, 68 landmarks as a flat [x0, y0, x1, y1, ...] pixel array, the
+// expression model's probabilities when loaded and, on descriptor frames, its
+// 128-d face descriptor
+const toFrame = (t, detections) => {
+  if (detections.length === 0) return { t, faces: 0 };
+  const largest = detections.reduce((a, b) =>
+    b.detection.box.area > a.detection.box.area ? b : a
+  );
+  const { box, score } = largest.detection;
+  const frame = {
+    t,
+    faces: detections.length,
+    score: Math.round(score * 1000) / 1000,
+    box: [round1(box.x), round1(box.y), round1(box.width), round1(box.height)],
+    landmarks: largest.landmarks.positions.flatMap((p) => [
+      round1(p.x),
+      round1(p.y),
+    ]),
+  };
+  if (largest.expressions) {
+    frame.expressions = Object.fromEntries(
+      Object.entries(largest.expressions).map(([name, p]) => [
+        name,
+        Math.round(p * 1000) / 1000,
+      ])
+    );
+  }
+  if (largest.descriptor) {
+    frame.descriptor = Array.from(
+      largest.descriptor,
+      (v) => Math.round(v * 1e4) / 1e4
+    );
+  }
+  return frame;
+};
+
+// Mean luminance (0-255) and sharpness (variance of the 4-neighbour
+// Laplacian) of the face box, measured on a small grayscale crop
+const measureQuality = (video, box, canvas) => {
+  const size = canvas.width;
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  context.drawImage(
+    video,
+    box.x,
+    box.y,
+    box.width,
+    box.height,
+    0,
+    0,
+    size,
+    size
+  );
+  const { data } = context.getImageData(0, 0, size, size);
+  const gray = new Float32Array(size * size);
+  let sum = 0;
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] =
+      0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    sum += gray[i];
+  }
+  let lapSum = 0;
+  let lapSq = 0;
+  let count = 0;
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      const lap =
+        gray[i - 1] +
+        gray[i + 1] +
+        gray[i - size] +
+        gray[i + size] -
+        4 * gray[i];
+      lapSum += lap;
+      lapSq += lap * lap;
+      count++;
+    }
+  }
+  const lapMean = lapSum / count;
+  return {
+    brightness: round1(sum / gray.length),
+    sharpness: round1(lapSq / count - lapMean * lapMean),
+  };
+};
+
+// Sample frames from a camera MediaStream, run detection + landmarks on each
+// and collect the per-frame stream. startTime (ms epoch) anchors frame times
+// to the rest of the recording.
+export const createFaceTracker = (mediaStream, startTime, options = {}) => {
+  const opts = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = mediaStream;
+
+  const frames = [];
+  const qualityCanvas = document.createElement("canvas");
+  qualityCanvas.width = opts.qualitySize;
+  qualityCanvas.height = opts.qualitySize;
+  const detectorOptions = new faceapi.TinyFaceDetectorOptions({
+    inputSize: opts.inputSize,
+    scoreThreshold: opts.scoreThreshold,
+  });
+  let timer = null;
+  let stopped = false;
+  let busy = false;
+  let lastDescriptorAt = -Infinity;
+  let recognition = false;
+  let expressions = false;
+  let size = { width: 0, height: 0 };
+
+  const sample = async () => {
+    // Skip a tick instead of queueing when detection is slower than the rate
+    if (busy || video.readyState < 2) return;
+    busy = true;
+    try {
+      const t = Math.round((Date.now() - startTime) / 10) / 100;
+      size = { width: video.videoWidth, height: video.videoHeight };
+      const withDescriptor =
+        recognition && t - lastDescriptorAt >= opts.descriptorInterval;
+      const landmarks = faceapi
+        .detectAllFaces(video, detectorOptions)
+        .withFaceLandmarks();
+      const task = expressions ? landmarks.withFaceExpressions() : landmarks;
+      const detections = withDescriptor
+        ? await task.withFaceDescriptors()
+        : await task;
+      if (withDescriptor && detections.length > 0) lastDescriptorAt = t;
+
+      const frame = toFrame(t, detections);
+      if (frame.faces > 0) {
+        const [x, y, width, height] = frame.box;
+        frame.quality = measureQuality(
+          video,
+          { x, y, width, height },
+          qualityCanvas
+        );
+      }
+      frames.push(frame);
+      opts.onFrame?.(frames[frames.length - 1]);
+    } catch (error) {
+      console.warn("Face tracking frame failed:", error);
+    } finally {
+      busy = false;
+    }
+  };
+
+  return {
+    // stop() may run while the models load or playback starts; start() then
+    // returns without sampling
+    async start() {
+      stopped = false;
+      ({ recognition, expressions } = await loadFaceModels());
+      if (stopped) return;
+      try {
+        await video.play();
+      } catch (error) {
+        // stop() interrupts a pending play()
+        if (stopped) return;
+        throw error;
+      }
+      if (stopped) return;
+      timer = setInterval(sample, 1000 / opts.fps);
+    },
+    stop() {
+      stopped = true;
+      clearInterval(timer);
+      timer = null;
+      video.pause();
+      video.srcObject = null;
+    },
+    // Payload for POST /api/analysis/facial
+    getStream() {
+      return {
+        version: 1,
+        fps: opts.fps,
+        ...size,
+        frames: [...frames],
+      };
+    },
+  };
+};